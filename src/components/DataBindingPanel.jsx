@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { DEFAULT_DATA_SCHEMA, normalizeDataSchema, findTemplateFields } from '../utils/dataSchema';
+import { parsePlaceholderExpression } from '../utils/templateFormatters';
+import '../styles/templateEditor.css';
+
+const getBinding = (component) => {
+  const expression = component?.getAttributes()['data-placeholder'];
+  return expression ? parsePlaceholderExpression(expression).key : '';
+};
+
+// Canvas elements that read a field, through data-placeholder or their own {{field}} text
+const findComponentsUsing = (editor, field) => (
+  editor.getWrapper().find('*').filter(component => (
+    getBinding(component) === field ||
+    component.components().some(child => (
+      child.is('textnode') && findTemplateFields(child.get('content') || '').includes(field)
+    ))
+  ))
+);
+
+// Binds the selected canvas element to a data schema field and lists placeholders
+// the schema does not have. Use with useGrapesEditor's bindField and unknownPlaceholders.
+export default function DataBindingPanel({
+  editor, // GrapesJS editor (useGrapesEditor's editorRef.current)
+  schema = DEFAULT_DATA_SCHEMA, // The dataSchema passed to useGrapesEditor
+  onBind, // Called with (component, field), e.g. useGrapesEditor's bindField
+  unknownPlaceholders = [],
+  className
+}) {
+  const fields = useMemo(() => normalizeDataSchema(schema), [JSON.stringify(schema)]);
+  const [selected, setSelected] = useState(null);
+  const [binding, setBinding] = useState('');
+
+  useEffect(() => {
+    if (!editor) return;
+
+    const refresh = () => {
+      const component = editor.getSelected();
+      const bindable = component && component !== editor.getWrapper() ? component : null;
+      setSelected(bindable);
+      setBinding(getBinding(bindable));
+    };
+    refresh();
+
+    editor.on('component:toggled', refresh);
+    editor.on('component:update:attributes', refresh);
+    return () => {
+      editor.off('component:toggled', refresh);
+      editor.off('component:update:attributes', refresh);
+    };
+  }, [editor]);
+
+  const bindingIsKnown = fields.some(field => field.name === binding);
+
+  const handleBind = (event) => {
+    const field = event.target.value;
+    if (!selected || !field || field === binding) return;
+    onBind?.(selected, field);
+  };
+
+  const selectUsing = (field) => {
+    const [component] = findComponentsUsing(editor, field);
+    if (component) editor.select(component);
+  };
+
+  return (
+    <div className={`data-binding ${className || ''}`}>
+      <h4>Data Binding</h4>
+      {selected ? (
+        <label className="data-binding__field">
+          Field
+          <select value={binding} onChange={handleBind}>
+            {!binding && <option value="">Not bound</option>}
+            {binding && !bindingIsKnown && <option value={binding}>{binding} (not in schema)</option>}
+            {fields.map(field => (
+              <option key={field.name} value={field.name}>
+                {field.label} ({field.name})
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : (
+        <p className="data-binding__hint">Select an element to bind it to a field</p>
+      )}
+      {selected && binding && (
+        <p className="data-binding__hint">
+          {bindingIsKnown
+            ? `e.g. ${fields.find(field => field.name === binding).sample || '(no sample)'}`
+            : 'This field is not in the data schema'}
+        </p>
+      )}
+
+      {unknownPlaceholders.length > 0 && (
+        <div className="data-binding__unknown">
+          <strong>Not in the data schema</strong>
+          <ul>
+            {unknownPlaceholders.map(field => (
+              <li key={field}>
+                <code>{field}</code>{' '}
+                <button disabled={!editor} onClick={() => selectUsing(field)}>Select</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
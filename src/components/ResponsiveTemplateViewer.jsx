@@ -1,9 +1,27 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useLayoutEffect, useRef, useState, useCallback, useMemo } from 'react';
 import { 
   applyResponsiveScaling,
   createResponsiveObserver,
-  getOptimalDimensions
+  getOptimalDimensions,
+  getBaseDimensions,
+  getViewportOrientation,
+  normalizeRotation,
+  getThemeFonts
 } from '../utils/responsiveScaling';
+import { compileTemplate } from '../utils/templateCompiler';
+import { prefersReducedMotion } from '../utils/displayTransitions';
+import { hasRepeatRows, morphContent } from '../utils/rowAnimations';
+import { createScopeId } from '../utils/scopedCss';
+import { normalizeTemplate } from '../utils/templateSchema';
+import { hasPortraitLayout } from '../utils/templateOrientation';
+import {
+  DISPLAY_TEMPLATE_STORAGE_KEY,
+  TemplateStorageError,
+  createLocalStorageStore
+} from '../utils/templateStorage';
+import { useTemplateFonts } from '../hooks/useTemplateFonts';
+import TemplateError from './TemplateError';
+import SafeAreaGuide from './SafeAreaGuide';
 import '../styles/responsiveDisplay.css';
 
 // Debug flag - set to false to disable logging in production
@@ -14,6 +32,13 @@ const debugLog = (...args) => {
   }
 };
 
+// Store for templateId without a storage prop, created on first use
+let defaultStore = null;
+const getDefaultStore = () => {
+  defaultStore ??= createLocalStorageStore();
+  return defaultStore;
+};
+
 export default function ResponsiveTemplateViewer({ 
   className, 
   html, 
@@ -23,98 +48,220 @@ export default function ResponsiveTemplateViewer({
   canvasHeight = 1080,
   forceOrientation = null, // 'landscape', 'portrait', or null for auto
   enableOrientationToggle = false,
-  onOrientationChange = null
+  onOrientationChange = null,
+  sanitize = true, // Sanitize template markup and runner values; false or sanitizer overrides
+  fitMode = 'contain', // 'contain', 'cover', 'stretch' or 'integer'
+  letterboxColor = null, // Color around the stage, defaults to the template background
+  fontTimeout = 3000, // Max ms to wait for the template's webfonts before fitting text
+  rotation = 0, // Clockwise stage rotation (0, 90, 180, 270) for panels mounted sideways
+  safeArea = null, // Overscan insets, e.g. '5%' or { top: '3%', bottom: 40 }
+  envSafeArea = true, // Also keep clear of env(safe-area-inset-*) on notched tablets
+  showSafeArea = false, // Overlay the safe area for setup
+  theme = null, // Event theme tokens (typography, spacing, colors, fonts) - see createTheme
+  unitSystem = 'viewport', // 'container' sizes tokens with cqw/cqh against the stage, not the window
+  templateId = null, // Named template to show from `storage`; reloads when it is saved
+  templateVersion = null, // Pin the display to one saved version of templateId
+  pinInStore = true, // Also pin templateVersion in the store, so it is never pruned
+  storage = null // Template store (see createLocalStorageStore); default: the localStorage store
 }) {
+  const stageRotation = normalizeRotation(rotation);
+  // Template CSS is scoped to this instance so several viewers can share a page
+  const [scopeId] = useState(() => createScopeId());
   const containerRef = useRef(null);
   const contentRef = useRef(null);
+  const bodyRef = useRef(null);
+  const renderedBodyRef = useRef({ node: null, html: null });
   const [template, setTemplate] = useState(null);
+  const [templateError, setTemplateError] = useState(null);
   const [currentOrientation, setCurrentOrientation] = useState(null);
+  // Set by the orientation toggle; wins over forceOrientation until that prop changes
+  const [orientationOverride, setOrientationOverride] = useState(null);
+  const activeForceOrientation = orientationOverride || forceOrientation;
   const [dimensions, setDimensions] = useState(null);
   const responsiveCleanupRef = useRef(null);
   const [isClient, setIsClient] = useState(false);
+  // Sanitizer options are often passed inline, so recompile only when their content changes
+  const sanitizeRef = useRef(sanitize);
+  sanitizeRef.current = sanitize;
+  const sanitizeKey = JSON.stringify(sanitize);
+  const safeAreaRef = useRef(safeArea);
+  safeAreaRef.current = safeArea;
+  const safeAreaKey = JSON.stringify(safeArea);
+  // Templates use the theme's tokens, so a new theme restyles them without recompiling
+  const themeRef = useRef(theme);
+  themeRef.current = theme;
+  const themeKey = JSON.stringify(theme);
+  // Stores are often created inline, so reload only when a different store is passed
+  const storageRef = useRef(storage);
+  storageRef.current = storage;
+  const storageKey = storage ? storage.storeId ?? storage : null;
+  const warnedStorageRef = useRef(false);
+  const previousStorageRef = useRef(storage);
 
   // Detect client-side rendering
   useEffect(() => {
     setIsClient(true);
   }, []);
 
-  // Function to substitute template variables like {{name}}, {{bib}}, etc.
-  const substituteVariables = useCallback((htmlContent, runnerData) => {
-    if (!htmlContent) return htmlContent;
-    
-    debugLog('ResponsiveTemplateViewer: Substituting variables:', {
-      hasData: !!runnerData,
-      htmlLength: htmlContent.length
-    });
-    
-    if (!runnerData) {
-      debugLog('ResponsiveTemplateViewer: No runner data, clearing placeholders');
-      // Clear all {{}} placeholders if no data
-      return htmlContent.replace(/\{\{\w+\}\}/g, '');
-    }
-    
-    // Only substitute if there are placeholders
-    const hasPlaceholders = /\{\{\w+\}\}/.test(htmlContent);
-    if (!hasPlaceholders) {
-      return htmlContent;
-    }
-    
-    // Map custom_message to message for template compatibility
-    const templateData = {
-      ...runnerData,
-      message: runnerData.custom_message || runnerData.message || ''
-    };
-    
-    let result = htmlContent;
-    
-    // Replace {{variable}} patterns with actual data
-    const variablePattern = /\{\{(\w+)\}\}/g;
-    result = result.replace(variablePattern, (match, variableName) => {
-      const value = templateData[variableName];
-      debugLog(`ResponsiveTemplateViewer: Replacing ${match} with "${value}"`);
-      // Never show raw placeholders - show empty string if no data
-      return value !== undefined ? value : '';
-    });
-    
-    return result;
-  }, []);
+  // A custom store without a storeId is known only by identity, so a new object reloads the template
+  useEffect(() => {
+    const previous = previousStorageRef.current;
+    previousStorageRef.current = storage;
+    if (!previous || !storage || previous === storage || storage.storeId || warnedStorageRef.current) return;
+
+    warnedStorageRef.current = true;
+    console.warn('ResponsiveTemplateViewer: storage changed between renders; create the store once or memoize it');
+  }, [storage]);
 
-  // Load template from localStorage or props
+  // Load template from props, a template store or the editor's localStorage key
   useEffect(() => {
-    let templateData;
-    
+    const applyTemplateData = (templateData) => {
+      debugLog('ResponsiveTemplateViewer: Loaded template:', {
+        hasActiveState: !!templateData.activeState,
+        hasRestingState: !!templateData.restingState,
+        hasLegacyHtml: !!templateData.html,
+        canvasWidth: templateData.canvasWidth,
+        canvasHeight: templateData.canvasHeight
+      });
+
+      // Upgrade legacy templates and refuse malformed ones instead of waiting forever
+      try {
+        setTemplate(normalizeTemplate(templateData));
+        setTemplateError(null);
+      } catch (error) {
+        console.error('ResponsiveTemplateViewer: Rejected template:', error.message);
+        setTemplate(null);
+        setTemplateError(error);
+      }
+    };
+
     if (html && css) {
       // Use props if provided
-      templateData = {
+      applyTemplateData({
         html,
         css,
         canvasWidth,
         canvasHeight
-      };
-    } else {
-      // Try to load from localStorage
-      const savedTemplate = localStorage.getItem('currentDisplayTemplate');
-      if (savedTemplate) {
-        try {
-          templateData = JSON.parse(savedTemplate);
-        } catch (error) {
-          console.error('ResponsiveTemplateViewer: Failed to parse saved template:', error);
-          return;
-        }
-      }
+      });
+      return undefined;
     }
-    
-    if (templateData) {
-      debugLog('ResponsiveTemplateViewer: Loaded template:', {
-        hasActiveState: !!templateData.activeState,
-        hasRestingState: !!templateData.restingState,
-        hasLegacyHtml: !!templateData.html,
-        canvasWidth: templateData.canvasWidth,
-        canvasHeight: templateData.canvasHeight
+
+    if (templateId) {
+      const store = storageRef.current || getDefaultStore();
+      let cancelled = false;
+
+      // Mark the shown version pinned in the store, so later saves never drop it
+      const pinShownVersion = () => {
+        if (typeof store.listVersions !== 'function' || typeof store.pinVersion !== 'function') return;
+
+        Promise.resolve(store.listVersions(templateId))
+          .then(versions => {
+            const shown = versions.find(item => String(item.version) === String(templateVersion));
+            return shown && !shown.pinned ? store.pinVersion(templateId, shown.version) : null;
+          })
+          .catch(error => {
+            console.warn('ResponsiveTemplateViewer: Failed to pin template version:', error.message);
+          });
+      };
+
+      const loadFromStore = () => {
+        Promise.resolve(store.get(templateId, templateVersion ?? undefined))
+          .then(templateData => {
+            if (cancelled) return;
+            if (templateData) {
+              applyTemplateData(templateData);
+              if (templateVersion && pinInStore) pinShownVersion();
+            } else {
+              setTemplate(null);
+              const missing = templateVersion ? `version ${templateVersion} of template "${templateId}"` : `template "${templateId}"`;
+              setTemplateError(new TemplateStorageError(`${missing} not found`, 404));
+            }
+          })
+          .catch(error => {
+            if (cancelled) return;
+            console.error('ResponsiveTemplateViewer: Failed to load template:', error.message);
+            setTemplate(null);
+            setTemplateError(error);
+          });
+      };
+
+      loadFromStore();
+      // Saves from the editor, in this tab or another; a pinned version never changes
+      const unsubscribe = templateVersion ? null : store.subscribe?.(change => {
+        if (change.id !== templateId || change.type === 'pinned') return;
+        debugLog('ResponsiveTemplateViewer: Template changed in storage:', change);
+        loadFromStore();
       });
-      setTemplate(templateData);
+
+      return () => {
+        cancelled = true;
+        unsubscribe?.();
+      };
     }
-  }, [html, css, canvasWidth, canvasHeight]);
+
+    // Try to load from localStorage
+    const loadSaved = () => {
+      const savedTemplate = localStorage.getItem(DISPLAY_TEMPLATE_STORAGE_KEY);
+      if (!savedTemplate) return;
+
+      try {
+        applyTemplateData(JSON.parse(savedTemplate));
+      } catch (error) {
+        console.error('ResponsiveTemplateViewer: Failed to parse saved template:', error);
+        setTemplate(null);
+        setTemplateError(new Error(`Saved template is not valid JSON: ${error.message}`));
+      }
+    };
+
+    loadSaved();
+    // Saved by an editor in another tab
+    const handleStorage = (event) => {
+      if (event.key === DISPLAY_TEMPLATE_STORAGE_KEY) loadSaved();
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [html, css, canvasWidth, canvasHeight, templateId, templateVersion, pinInStore, storageKey]);
+
+  useEffect(() => {
+    setOrientationOverride(null);
+  }, [forceOrientation]);
+
+  // Portrait variants are picked by the detected (or forced) orientation
+  const layoutOrientation = useMemo(() => {
+    if (!hasPortraitLayout(template)) return 'landscape';
+    if (activeForceOrientation) return activeForceOrientation;
+    if (currentOrientation) return currentOrientation;
+    if (typeof window === 'undefined') return 'landscape';
+    // A sideways panel shows the window turned a quarter
+    const quarterTurn = stageRotation === 90 || stageRotation === 270;
+    return getViewportOrientation(
+      quarterTurn ? window.innerHeight : window.innerWidth,
+      quarterTurn ? window.innerWidth : window.innerHeight
+    );
+  }, [template, activeForceOrientation, currentOrientation, stageRotation]);
+
+  // Resolve state, {{field}} / data-placeholder bindings and animations
+  const compiledTemplate = useMemo(() => {
+    if (!template) return null;
+
+    debugLog('ResponsiveTemplateViewer: Compiling template:', { hasData: !!data, layoutOrientation });
+    return compileTemplate(template, data, {
+      reducedMotion: prefersReducedMotion(),
+      sanitize: sanitizeRef.current,
+      scope: scopeId,
+      orientation: layoutOrientation
+    });
+  }, [template, data, sanitizeKey, scopeId, layoutOrientation]);
+
+  // Text is fitted once the template's fonts are loaded (or timed out) and re-fitted as more arrive
+  const { ready: fontsReady, version: fontsVersion } = useTemplateFonts(template, {
+    timeout: fontTimeout,
+    fonts: getThemeFonts(theme)
+  });
+
+  // The template's canvas is the design size everything scales from
+  const baseWidth = compiledTemplate?.canvasWidth;
+  const baseHeight = compiledTemplate?.canvasHeight;
 
   // Calculate dimensions and orientation
   const calculateDimensions = useCallback(() => {
@@ -124,8 +271,15 @@ export default function ResponsiveTemplateViewer({
     const viewportWidth = container.clientWidth;
     const viewportHeight = container.clientHeight;
     
-    return getOptimalDimensions(viewportWidth, viewportHeight, forceOrientation);
-  }, [forceOrientation, isClient]);
+    return getOptimalDimensions(
+      viewportWidth,
+      viewportHeight,
+      activeForceOrientation,
+      getBaseDimensions(baseWidth, baseHeight),
+      fitMode,
+      stageRotation
+    );
+  }, [activeForceOrientation, isClient, baseWidth, baseHeight, fitMode, stageRotation]);
 
   // Apply responsive scaling when template or container changes
   useEffect(() => {
@@ -135,15 +289,23 @@ export default function ResponsiveTemplateViewer({
     
     const newDimensions = calculateDimensions();
     if (newDimensions) {
-      setDimensions(newDimensions);
       setCurrentOrientation(newDimensions.orientation);
       
       // Apply responsive scaling
       const result = applyResponsiveScaling(contentRef.current, {
         viewportWidth: containerRef.current.clientWidth,
         viewportHeight: containerRef.current.clientHeight,
-        forceOrientation,
-        enableSmartTextFit: true,
+        forceOrientation: activeForceOrientation,
+        baseWidth,
+        baseHeight,
+        fitMode,
+        rotation: stageRotation,
+        safeArea: safeAreaRef.current,
+        envSafeArea,
+        theme: themeRef.current,
+        unitSystem,
+        // Measuring with fallback fonts would fit names that overflow once the webfont swaps in
+        enableSmartTextFit: fontsReady,
         textFitOptions: {
           preferWordWrap: true,
           maxReduction: 0.3
@@ -151,13 +313,15 @@ export default function ResponsiveTemplateViewer({
       });
       
       debugLog('ResponsiveTemplateViewer: Scaling applied:', result);
+      // Includes the safe-area insets, env() ones too
+      setDimensions(result.dimensions);
       
       // Notify parent of orientation change
       if (onOrientationChange && newDimensions.orientation !== currentOrientation) {
         onOrientationChange(newDimensions.orientation);
       }
     }
-  }, [template, forceOrientation, calculateDimensions, onOrientationChange, currentOrientation, isClient]);
+  }, [template, activeForceOrientation, calculateDimensions, onOrientationChange, currentOrientation, isClient, baseWidth, baseHeight, fitMode, stageRotation, safeAreaKey, envSafeArea, themeKey, unitSystem, fontsReady, fontsVersion]);
 
   // Set up responsive observer for dynamic updates
   useEffect(() => {
@@ -170,7 +334,7 @@ export default function ResponsiveTemplateViewer({
       responsiveCleanupRef.current();
     }
 
-    // Create new observer with proper viewport dimensions
+    // Observes the container box, so the viewer follows resizable panels
     responsiveCleanupRef.current = createResponsiveObserver(
       contentRef.current,
       (result) => {
@@ -186,10 +350,17 @@ export default function ResponsiveTemplateViewer({
       },
       {
         debounceMs: 150,
-        viewportWidth: containerRef.current.clientWidth,
-        viewportHeight: containerRef.current.clientHeight,
-        forceOrientation,
-        enableSmartTextFit: true
+        target: containerRef.current,
+        forceOrientation: activeForceOrientation,
+        baseWidth,
+        baseHeight,
+        fitMode,
+        rotation: stageRotation,
+        safeArea: safeAreaRef.current,
+        envSafeArea,
+        theme: themeRef.current,
+        unitSystem,
+        enableSmartTextFit: fontsReady
       }
     );
 
@@ -199,7 +370,7 @@ export default function ResponsiveTemplateViewer({
         responsiveCleanupRef.current = null;
       }
     };
-  }, [template, forceOrientation, currentOrientation, onOrientationChange, isClient]);
+  }, [template, activeForceOrientation, currentOrientation, onOrientationChange, isClient, baseWidth, baseHeight, fitMode, stageRotation, safeAreaKey, envSafeArea, themeKey, unitSystem, fontsReady]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -222,21 +393,54 @@ export default function ResponsiveTemplateViewer({
         viewportWidth: containerRef.current.clientWidth,
         viewportHeight: containerRef.current.clientHeight,
         forceOrientation: newOrientation,
+        baseWidth,
+        baseHeight,
+        fitMode,
+        rotation: stageRotation,
+        safeArea: safeAreaRef.current,
+        envSafeArea,
+        theme: themeRef.current,
+        unitSystem,
         enableSmartTextFit: true
       });
       
       if (result.dimensions) {
         setDimensions(result.dimensions);
         setCurrentOrientation(newOrientation);
+        // Keep it forced so later scaling passes (and the portrait variant) stick to it
+        setOrientationOverride(newOrientation);
         
         if (onOrientationChange) {
           onOrientationChange(newOrientation);
         }
       }
     }
-  }, [currentOrientation, enableOrientationToggle, onOrientationChange]);
+  }, [currentOrientation, enableOrientationToggle, onOrientationChange, baseWidth, baseHeight, fitMode, stageRotation, safeAreaKey, envSafeArea, themeKey, unitSystem]);
+
+  // Leaderboards update in place so rows can slide to their new positions;
+  // everything else is re-rendered so entrance animations replay
+  useLayoutEffect(() => {
+    const body = bodyRef.current;
+    if (!body || !compiledTemplate) return;
 
-  if (!template || !isClient) {
+    const rendered = renderedBodyRef.current;
+    const nextHtml = compiledTemplate.html;
+    if (rendered.node === body && rendered.html === nextHtml) return;
+
+    if (rendered.node === body && hasRepeatRows(rendered.html) && hasRepeatRows(nextHtml)) {
+      const moved = morphContent(body, nextHtml, { reducedMotion: prefersReducedMotion() });
+      debugLog('ResponsiveTemplateViewer: Rows updated in place:', { moved });
+    } else {
+      body.innerHTML = nextHtml;
+    }
+    renderedBodyRef.current = { node: body, html: nextHtml };
+  }, [compiledTemplate, isClient]);
+
+  if (templateError) {
+    return <TemplateError error={templateError} className={className} />;
+  }
+
+  if (!compiledTemplate || !isClient) {
     return (
       <div className={`responsive-display-container ${className || ''}`}>
         <div className="center-content">
@@ -246,33 +450,30 @@ export default function ResponsiveTemplateViewer({
     );
   }
 
-  // Determine which template state to use
-  let templateToRender = template;
-  if (template.activeState && template.restingState) {
-    // Use active state if we have runner data, otherwise resting state
-    templateToRender = data ? template.activeState : template.restingState;
-  }
-
-  const processedHtml = substituteVariables(templateToRender.html || '', data);
-  const templateCss = templateToRender.css || '';
+  const templateCss = compiledTemplate.css;
+  const stageBackground = compiledTemplate.backgroundStyles?.backgroundColor || 'transparent';
   
   return (
     <div 
       ref={containerRef}
       className={`responsive-display-container ${className || ''}`}
       style={{
-        backgroundColor: templateToRender.backgroundStyles?.backgroundColor || 'transparent'
+        backgroundColor: letterboxColor || stageBackground
       }}
     >
       <div 
         ref={contentRef}
         className="responsive-display-content"
+        style={{ backgroundColor: stageBackground }}
       >
-        <div className="layout-root">
+        <div className="layout-root" data-display-scope={scopeId}>
           <style>{templateCss}</style>
-          <div dangerouslySetInnerHTML={{ __html: processedHtml }} />
+          {/* Filled by the layout effect above so rows can be morphed in place */}
+          <div ref={bodyRef} />
         </div>
       </div>
+
+      {showSafeArea && <SafeAreaGuide dimensions={dimensions} />}
       
       {/* Orientation toggle button (if enabled) */}
       {enableOrientationToggle && (
@@ -304,6 +505,7 @@ export default function ResponsiveTemplateViewer({
           <div>Scale: {dimensions.scale.toFixed(3)}</div>
           <div>Size: {Math.round(dimensions.width)} × {Math.round(dimensions.height)}</div>
           <div>Offset: {Math.round(dimensions.offsetX)}, {Math.round(dimensions.offsetY)}</div>
+          <div>Rotation: {dimensions.rotation}°</div>
         </div>
       )}
     </div>
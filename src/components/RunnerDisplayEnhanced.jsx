@@ -1,9 +1,32 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   applyResponsiveScaling, 
   createResponsiveObserver, 
-  intelligentTextFit 
+  intelligentTextFit,
+  getViewportOrientation,
+  normalizeRotation,
+  getThemeFonts
 } from '../utils/responsiveScaling';
+import {
+  prefersReducedMotion,
+  hasExitAnimations,
+  applyExitAnimations
+} from '../utils/displayTransitions';
+import { compileTemplate } from '../utils/templateCompiler';
+import { normalizeTemplate } from '../utils/templateSchema';
+import { hasPortraitLayout } from '../utils/templateOrientation';
+import {
+  hasRepeatRows,
+  captureRowPositions,
+  morphHtml,
+  animateRowMoves
+} from '../utils/rowAnimations';
+import { SCOPE_ATTRIBUTE, createScopeId } from '../utils/scopedCss';
+import { useRaceFeed } from '../hooks/useRaceFeed';
+import { useFinisherQueue } from '../hooks/useFinisherQueue';
+import { useTemplateFonts } from '../hooks/useTemplateFonts';
+import TemplateError from './TemplateError';
+import SafeAreaGuide from './SafeAreaGuide';
 import '../styles/responsiveDisplay.css';
 
 // Debug flag - set to false to disable logging in production
@@ -14,14 +37,91 @@ const debugLog = (...args) => {
   }
 };
 
-export default function RunnerDisplayEnhanced({ runner, template }) {
+// Markup for one display layer; the scope attribute matches the scoped template CSS
+const buildLayerMarkup = (layerTemplate) => `
+  <div class="layout-root" ${SCOPE_ATTRIBUTE}="${layerTemplate.scope || ''}">
+    <style>${layerTemplate.css || ''}</style>
+    ${layerTemplate.html || ''}
+  </div>
+`;
+
+export default function RunnerDisplayEnhanced({
+  runner,
+  template,
+  feed = null, // Live timing feed config ({ url, transport, ... }) - overrides the runner prop
+  showFeedStatus = true,
+  onFeedStatusChange = null,
+  queue = null, // true or finisher queue options ({ minDwellMs, dedupeWindowMs, priorityBibs, ... })
+  onQueueChange = null,
+  onCurrentRunnerChange = null,
+  reducedMotion = null, // Override prefers-reduced-motion detection (true/false), null = detect
+  sanitize = true, // Sanitize template markup and runner values; false or sanitizer overrides
+  fitMode = 'contain', // 'contain', 'cover', 'stretch' or 'integer'
+  letterboxColor = null, // Color around the stage, defaults to the template background
+  fontTimeout = 3000, // Max ms to wait for the template's webfonts before fitting text
+  forceOrientation = null, // 'landscape', 'portrait', or null to follow the container
+  rotation = 0, // Clockwise stage rotation (0, 90, 180, 270) for panels mounted sideways
+  safeArea = null, // Overscan insets, e.g. '5%' or { top: '3%', bottom: 40 }
+  envSafeArea = true, // Also keep clear of env(safe-area-inset-*) on notched tablets
+  showSafeArea = false, // Overlay the safe area for setup
+  theme = null, // Event theme tokens (typography, spacing, colors, fonts) - see createTheme
+  unitSystem = 'viewport' // 'container' sizes tokens with cqw/cqh against the stage, not the window
+}) {
+  const stageRotation = normalizeRotation(rotation);
+  // Template CSS is scoped to this instance so several displays can share a page
+  const [scopeId] = useState(() => createScopeId());
+  const queueOptions = queue === true ? {} : queue;
+  const queueEnabled = !!queueOptions;
+  const { current: queuedRunner, enqueue } = useFinisherQueue(queueOptions, {
+    onQueueChange,
+    onCurrentChange: onCurrentRunnerChange
+  });
+  const { runner: feedRunner, status: feedStatus } = useRaceFeed(feed, {
+    onStatusChange: onFeedStatusChange,
+    onRunner: queueEnabled ? enqueue : undefined
+  });
+
+  // Without a queue the latest runner is shown immediately
+  const latestRunner = feed ? feedRunner : runner;
+  const activeRunner = queueEnabled ? queuedRunner : latestRunner;
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [displayRunner, setDisplayRunner] = useState(null);
   const [isReady, setIsReady] = useState(false);
-  const [processedTemplate, setProcessedTemplate] = useState(null);
+  const [renderError, setRenderError] = useState(null);
+  // Refined from the container box once it is rendered
+  const [orientation, setOrientation] = useState(() => {
+    if (typeof window === 'undefined') return 'landscape';
+    // A sideways panel shows the window turned a quarter
+    const quarterTurn = stageRotation === 90 || stageRotation === 270;
+    return getViewportOrientation(
+      quarterTurn ? window.innerHeight : window.innerWidth,
+      quarterTurn ? window.innerWidth : window.innerHeight,
+      forceOrientation
+    );
+  });
+  // Double-buffered layers: the incoming runner renders while the outgoing one plays its exit
+  const [currentLayer, setCurrentLayer] = useState(null);
+  const [exitingLayer, setExitingLayer] = useState(null);
+  const processedTemplate = currentLayer?.template || null;
   const containerRef = useRef(null);
   const contentRef = useRef(null);
+  const exitRef = useRef(null);
+  const currentLayerRef = useRef(null);
+  const layerIdRef = useRef(0);
   const processingRef = useRef(false);
+  // Sanitizer options are often passed inline, so re-process only when their content changes
+  const sanitizeRef = useRef(sanitize);
+  sanitizeRef.current = sanitize;
+  const sanitizeKey = JSON.stringify(sanitize);
+  const safeAreaRef = useRef(safeArea);
+  safeAreaRef.current = safeArea;
+  const safeAreaKey = JSON.stringify(safeArea);
+  // Templates use the theme's tokens, so a new theme restyles them without recompiling
+  const themeRef = useRef(theme);
+  themeRef.current = theme;
+  const themeKey = JSON.stringify(theme);
+  // Only tracked while the safe-area guide is shown
+  const [stageDimensions, setStageDimensions] = useState(null);
   const responsiveCleanupRef = useRef(null);
 
   // Enhanced text fitting that respects responsive design
@@ -32,11 +132,17 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
     const textFitMode = element.getAttribute('data-text-fit') || 'auto';
     const minFontSize = parseInt(element.getAttribute('data-min-font-size')) || 12;
     const maxReduction = parseInt(element.getAttribute('data-max-reduction')) || 30;
+    const maxLines = parseInt(element.getAttribute('data-max-lines')) || null;
+    const maxFontSize = parseInt(element.getAttribute('data-max-font-size')) || null;
 
     const fitOptions = {
       maxReduction: maxReduction / 100, // Convert percentage to decimal
       minFontSize,
       preferWordWrap: textFitMode === 'wrap' || textFitMode === 'auto',
+      maxLines,
+      balance: element.hasAttribute('data-text-balance'),
+      grow: element.hasAttribute('data-text-grow'),
+      maxFontSize,
       ...options
     };
 
@@ -64,125 +170,50 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
     return intelligentTextFit(element, fitOptions);
   }, []);
 
-  // Enhanced template preprocessing with responsive awareness
-  const preprocessTemplate = useCallback((runnerData, templateData) => {
-    if (!templateData) return null;
+  // Fit every filled text placeholder of the live layer, by its data-text-fit mode
+  const fitLayerText = useCallback((content) => {
+    content.querySelectorAll('[data-placeholder]').forEach(node => {
+      if (node.tagName === 'IMG' || !node.textContent.trim()) return;
 
-    debugLog('[ResponsiveRunnerDisplay] Pre-processing template:', {
-      hasRunnerData: !!runnerData,
-      runnerName: runnerData?.first_name || runnerData?.name
+      const fitResult = smartTextFit(node);
+      debugLog(`[ResponsiveRunnerDisplay] Text fit result for ${node.getAttribute('data-placeholder')}:`, fitResult);
     });
-    
-    // Create a temporary DOM container
-    const tempContainer = document.createElement('div');
-    tempContainer.className = 'responsive-display-container';
-    tempContainer.innerHTML = `
-      <div class="responsive-display-content">
-        <div class="layout-root">
-          ${templateData.html || ''}
-        </div>
-      </div>
-    `;
-    
-    // Add template CSS
-    const styleElement = document.createElement('style');
-    styleElement.textContent = templateData.css || '';
-    tempContainer.appendChild(styleElement);
-    
-    // Temporarily add to document for measurements
-    tempContainer.style.position = 'absolute';
-    tempContainer.style.visibility = 'hidden';
-    tempContainer.style.top = '-9999px';
-    tempContainer.style.left = '-9999px';
-    document.body.appendChild(tempContainer);
-    
+  }, [smartTextFit]);
+
+  // Upgrade legacy templates and refuse malformed ones instead of waiting forever
+  const { normalizedTemplate, templateError } = useMemo(() => {
+    if (!template) return { normalizedTemplate: null, templateError: null };
     try {
-      // Apply responsive scaling to the temp container
-      applyResponsiveScaling(tempContainer, {
-        enableSmartTextFit: false // We'll handle text fitting later
-      });
+      return { normalizedTemplate: normalizeTemplate(template), templateError: null };
+    } catch (error) {
+      console.error('[ResponsiveRunnerDisplay] Rejected template:', error.message);
+      return { normalizedTemplate: null, templateError: error };
+    }
+  }, [template]);
 
-      // Find and process all placeholders
-      const placeholders = tempContainer.querySelectorAll('[data-placeholder]');
-      
-      placeholders.forEach(node => {
-        const key = node.getAttribute('data-placeholder');
-        let value = runnerData?.[key];
-        
-        // Handle special mappings
-        if (key === 'message' && !value) {
-          value = runnerData?.custom_message || '';
-        }
-        
-        debugLog(`[ResponsiveRunnerDisplay] Processing placeholder ${key}:`, value);
-        
-        if (node.tagName === 'IMG') {
-          if (value) {
-            node.src = value;
-            node.alt = `${key} image`;
-            node.style.display = '';
-          } else {
-            node.src = '';
-            node.style.display = 'none';
-          }
-        } else {
-          if (value !== undefined && value !== null && value.toString().trim()) {
-            node.textContent = value;
-            
-            // Apply smart text fitting if the element has content
-            debugLog(`[ResponsiveRunnerDisplay] Applying text fit to ${key}`);
-            const fitResult = smartTextFit(node);
-            debugLog(`[ResponsiveRunnerDisplay] Text fit result for ${key}:`, fitResult);
-          } else {
-            node.textContent = ''; // Clear placeholder, don't show raw template
-          }
-        }
-      });
+  // Templates without a portrait variant render the same layout either way
+  const layoutOrientation = hasPortraitLayout(normalizedTemplate) ? orientation : 'landscape';
 
-      // Process animations
-      const animatedElements = tempContainer.querySelectorAll('[data-anim]');
-      animatedElements.forEach(node => {
-        const anim = node.getAttribute('data-anim');
-        if (anim && anim.trim() !== '') {
-          const duration = parseInt(node.getAttribute('data-anim-dur')) || 1000;
-          const delay = parseInt(node.getAttribute('data-anim-delay')) || 0;
-          
-          // Sanitize animation name
-          const sanitizedAnim = anim.trim().replace(/\s+/g, '');
-          
-          // Add animation classes
-          node.classList.add('animate__animated', `animate__${sanitizedAnim}`);
-          node.style.setProperty('--animate-duration', `${duration}ms`);
-          node.style.setProperty('--animate-delay', `${delay}ms`);
-        }
-      });
+  // Text is fitted once the template's fonts are loaded (or timed out) and re-fitted as more arrive
+  const { ready: fontsReady, version: fontsVersion } = useTemplateFonts(normalizedTemplate, {
+    timeout: fontTimeout,
+    fonts: getThemeFonts(theme)
+  });
 
-      // Get the processed HTML
-      const contentElement = tempContainer.querySelector('.layout-root');
-      const processedHtml = contentElement ? contentElement.innerHTML : tempContainer.innerHTML;
-      
-      return {
-        html: processedHtml,
-        css: templateData.css,
-        canvasWidth: templateData.canvasWidth,
-        canvasHeight: templateData.canvasHeight,
-        backgroundStyles: templateData.backgroundStyles
-      };
-      
-    } finally {
-      // Clean up temporary element
-      document.body.removeChild(tempContainer);
-    }
-  }, [smartTextFit]);
+  // Feed runners are enqueued by useRaceFeed; runners passed as a prop are enqueued here
+  useEffect(() => {
+    if (!queueEnabled || feed || !runner) return;
+    enqueue(runner);
+  }, [runner, feed, enqueue, queueEnabled]);
 
   // Handle runner data changes with enhanced processing
   useEffect(() => {
-    if (!template) return;
+    if (!normalizedTemplate || !fontsReady) return;
 
     debugLog('[ResponsiveRunnerDisplay] Runner or template changed:', {
-      hasRunner: !!runner,
-      runnerName: runner?.first_name || runner?.name,
-      hasTemplate: !!template
+      hasRunner: !!activeRunner,
+      runnerName: activeRunner?.first_name || activeRunner?.name,
+      hasTemplate: !!normalizedTemplate
     });
     
     // Prevent concurrent processing
@@ -192,45 +223,129 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
     }
 
     processingRef.current = true;
-    setIsReady(false);
 
     try {
-      let templateToProcess = template;
-      
-      // Handle new format with active/resting states
-      if (template.activeState && template.restingState) {
-        templateToProcess = runner ? template.activeState : template.restingState;
-      }
-      
-      const processed = preprocessTemplate(runner, templateToProcess);
+      // The compiler picks the active or resting state from the runner
+      const compileOptions = {
+        reducedMotion: reducedMotion ?? prefersReducedMotion(),
+        sanitize: sanitizeRef.current,
+        scope: scopeId,
+        orientation: layoutOrientation
+      };
+      // Text is fitted on the live layer once it is scaled (see the layout effect below)
+      const processed = compileTemplate(normalizedTemplate, activeRunner, compileOptions);
       
       if (processed) {
-        setProcessedTemplate(processed);
-        setDisplayRunner(runner);
-        
-        // Small delay to ensure DOM is updated before applying responsive scaling
-        setTimeout(() => {
-          if (contentRef.current) {
-            applyResponsiveScaling(contentRef.current, {
-              enableSmartTextFit: true,
-              textFitOptions: {
-                preferWordWrap: true,
-                maxReduction: 0.3
-              }
-            });
-          }
-          setIsReady(true);
-        }, 50);
+        const previousLayer = currentLayerRef.current;
+        // Leaderboard updates keep the layer and morph its rows in place
+        const canUpdateInPlace = previousLayer &&
+          previousLayer.template.state === processed.state &&
+          previousLayer.template.orientation === processed.orientation &&
+          previousLayer.template.css === processed.css &&
+          hasRepeatRows(previousLayer.template.html) &&
+          hasRepeatRows(processed.html);
+
+        if (canUpdateInPlace) {
+          const nextLayer = { ...previousLayer, template: processed, updatedInPlace: true };
+          currentLayerRef.current = nextLayer;
+          setCurrentLayer(nextLayer);
+        } else {
+          layerIdRef.current += 1;
+          const nextLayer = {
+            id: layerIdRef.current,
+            template: processed,
+            markup: buildLayerMarkup(processed)
+          };
+
+          // Keep the outgoing runner on screen only if it has something to play,
+          // and not across a layout switch where it no longer fits the screen
+          const canExit = previousLayer &&
+            previousLayer.template.orientation === processed.orientation &&
+            !compileOptions.reducedMotion &&
+            hasExitAnimations(previousLayer.template.html);
+
+          currentLayerRef.current = nextLayer;
+          setExitingLayer(canExit ? previousLayer : null);
+          setCurrentLayer(nextLayer);
+        }
+        setDisplayRunner(activeRunner);
+        setRenderError(null);
       } else {
         setIsReady(true);
       }
     } catch (error) {
       console.error('[ResponsiveRunnerDisplay] Error processing template:', error);
+      setRenderError(error);
       setIsReady(true);
     } finally {
       processingRef.current = false;
     }
-  }, [runner, template, preprocessTemplate]);
+  }, [activeRunner, normalizedTemplate, fontsReady, layoutOrientation, reducedMotion, sanitizeKey, scopeId]);
+
+  // Scale to the parent box, not the window
+  const getLayerScalingOptions = useCallback((layerTemplate) => ({
+    viewportWidth: containerRef.current?.clientWidth,
+    viewportHeight: containerRef.current?.clientHeight,
+    baseWidth: layerTemplate.canvasWidth,
+    baseHeight: layerTemplate.canvasHeight,
+    forceOrientation,
+    fitMode,
+    rotation: stageRotation,
+    safeArea: safeAreaRef.current,
+    envSafeArea,
+    theme: themeRef.current,
+    unitSystem,
+    // Text is fitted per element by fitLayerText, after the tokens are set
+    enableSmartTextFit: false
+  }), [fitMode, forceOrientation, stageRotation, safeAreaKey, envSafeArea, themeKey, unitSystem]);
+
+  // Scale the incoming layer before the browser paints it, so it never flashes unscaled.
+  // In-place updates morph the live rows first and slide them into their new positions.
+  useLayoutEffect(() => {
+    if (!currentLayer || !contentRef.current) return;
+
+    const content = contentRef.current;
+    const previousPositions = currentLayer.updatedInPlace ? captureRowPositions(content) : null;
+    if (previousPositions) {
+      morphHtml(content, buildLayerMarkup(currentLayer.template));
+    }
+
+    const result = applyResponsiveScaling(content, getLayerScalingOptions(currentLayer.template));
+    fitLayerText(content);
+    // A portrait container switches to the portrait variant on the next pass
+    setOrientation(result.dimensions.orientation);
+    if (showSafeArea) setStageDimensions(result.dimensions);
+
+    if (previousPositions) {
+      const moved = animateRowMoves(content, previousPositions, {
+        reducedMotion: reducedMotion ?? prefersReducedMotion()
+      });
+      debugLog('[ResponsiveRunnerDisplay] Rows updated in place:', { moved });
+    }
+    setIsReady(true);
+  }, [currentLayer, getLayerScalingOptions, fitLayerText, showSafeArea]);
+
+  // Webfonts that finish loading after the first fit change text metrics - fit again
+  useEffect(() => {
+    const layer = currentLayerRef.current;
+    if (!fontsVersion || !layer || !contentRef.current) return;
+
+    debugLog('[ResponsiveRunnerDisplay] Fonts loaded, re-fitting text');
+    fitLayerText(contentRef.current);
+  }, [fontsVersion, fitLayerText]);
+
+  // Play exit animations on the outgoing layer, then drop it
+  useEffect(() => {
+    if (!exitingLayer) return;
+
+    const duration = applyExitAnimations(exitRef.current, {
+      reducedMotion: reducedMotion ?? prefersReducedMotion()
+    });
+    debugLog('[ResponsiveRunnerDisplay] Exit transition:', { layer: exitingLayer.id, duration });
+
+    const timeout = setTimeout(() => setExitingLayer(null), duration);
+    return () => clearTimeout(timeout);
+  }, [exitingLayer, reducedMotion]);
 
   // Set up responsive observer for dynamic scaling
   useEffect(() => {
@@ -248,15 +363,24 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
       contentRef.current,
       (result) => {
         debugLog('[ResponsiveRunnerDisplay] Responsive update applied:', result);
+        // Viewport-sized tokens change with the box, so the text is fitted again
+        if (contentRef.current) fitLayerText(contentRef.current);
+        setOrientation(result.dimensions.orientation);
+        if (showSafeArea) setStageDimensions(result.dimensions);
       },
       {
         debounceMs: 100,
-        enableSmartTextFit: true,
-        textFitOptions: {
-          maxReduction: 0.4, // Allow more reduction for long names
-          minFontSize: 10,
-          preferWordWrap: true
-        }
+        target: containerRef.current,
+        forceOrientation,
+        baseWidth: processedTemplate?.canvasWidth,
+        baseHeight: processedTemplate?.canvasHeight,
+        fitMode,
+        rotation: stageRotation,
+        safeArea: safeAreaRef.current,
+        envSafeArea,
+        theme: themeRef.current,
+        unitSystem,
+        enableSmartTextFit: false
       }
     );
 
@@ -266,7 +390,7 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
         responsiveCleanupRef.current = null;
       }
     };
-  }, [isReady, processedTemplate]);
+  }, [isReady, processedTemplate, fitMode, forceOrientation, stageRotation, safeAreaKey, envSafeArea, showSafeArea, themeKey, unitSystem, fitLayerText]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -297,9 +421,14 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
     return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
   }, []);
 
+  // A failed render keeps the previous runner on screen; only show the error when there is nothing else
+  if (templateError || (renderError && !processedTemplate)) {
+    return <TemplateError error={templateError || renderError} />;
+  }
+
   if (!processedTemplate) {
     return (
-      <div className="responsive-display-container">
+      <div ref={containerRef} className="responsive-display-container">
         <div className="center-content">
           <div>Loading template...</div>
         </div>
@@ -307,26 +436,36 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
     );
   }
 
+  const stageBackground = processedTemplate.backgroundStyles?.backgroundColor || 'transparent';
+
   return (
     <div 
       ref={containerRef}
       className="responsive-display-container"
       style={{
-        backgroundColor: processedTemplate.backgroundStyles?.backgroundColor || 'transparent'
+        backgroundColor: letterboxColor || stageBackground
       }}
     >
+      {exitingLayer && (
+        <div
+          key={exitingLayer.id}
+          ref={exitRef}
+          className="responsive-display-content display-layer-exit"
+          dangerouslySetInnerHTML={{ __html: exitingLayer.markup }}
+        />
+      )}
+
+      {/* Keyed per runner so entrance animations restart on fresh nodes. The markup
+          is fixed per layer; in-place row updates are morphed by the layout effect. */}
       <div 
+        key={currentLayer.id}
         ref={contentRef}
-        className="responsive-display-content"
-        dangerouslySetInnerHTML={{
-          __html: `
-            <div class="layout-root">
-              <style>${processedTemplate.css || ''}</style>
-              ${processedTemplate.html || ''}
-            </div>
-          `
-        }}
+        className="responsive-display-content display-layer-enter"
+        style={{ backgroundColor: stageBackground }}
+        dangerouslySetInnerHTML={{ __html: currentLayer.markup }}
       />
+
+      {showSafeArea && <SafeAreaGuide dimensions={stageDimensions} />}
       
       {/* Debug info for development */}
       {DEBUG_LOGGING && (
@@ -337,6 +476,16 @@ export default function RunnerDisplayEnhanced({ runner, template }) {
         </div>
       )}
       
+      {/* Live feed connection status */}
+      {feed && showFeedStatus && (
+        <div
+          className={`feed-status feed-status--${feedStatus}`}
+          title={`Live feed: ${feedStatus}`}
+        >
+          {feedStatus}
+        </div>
+      )}
+      
       {/* Fullscreen toggle */}
       <button 
         onClick={toggleFullscreen}
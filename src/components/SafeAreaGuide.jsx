@@ -0,0 +1,34 @@
+import React from 'react';
+import '../styles/responsiveDisplay.css';
+
+// Overlay marking the safe area from getOptimalDimensions. Drawn in the panel's
+// frame, so it turns with rotated stages.
+export default function SafeAreaGuide({ dimensions }) {
+  if (!dimensions?.safeArea) return null;
+
+  const { viewportWidth, viewportHeight, rotation, rotationOffsetX, rotationOffsetY, safeArea } = dimensions;
+
+  return (
+    <div
+      className="safe-area-guide"
+      aria-hidden="true"
+      style={{
+        width: `${viewportWidth}px`,
+        height: `${viewportHeight}px`,
+        transform: rotation
+          ? `translate(${rotationOffsetX}px, ${rotationOffsetY}px) rotate(${rotation}deg)`
+          : undefined
+      }}
+    >
+      <div
+        className="safe-area-guide__box"
+        style={{
+          top: `${safeArea.top}px`,
+          right: `${safeArea.right}px`,
+          bottom: `${safeArea.bottom}px`,
+          left: `${safeArea.left}px`
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+import '../styles/responsiveDisplay.css';
+
+// Shown instead of a display when its template cannot be loaded or rendered.
+// TemplateSchemaError lists every problem; other errors show their message.
+export default function TemplateError({ error, className }) {
+  const messages = error?.errors?.length ? error.errors : [error?.message || String(error)];
+
+  return (
+    <div className={`responsive-display-container ${className || ''}`}>
+      <div className="center-content">
+        <div className="template-error" role="alert">
+          <strong>Template error</strong>
+          <ul>
+            {messages.map((message, index) => (
+              <li key={index}>{message}</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
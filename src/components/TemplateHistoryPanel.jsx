@@ -0,0 +1,121 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import TemplateVersionDiff from './TemplateVersionDiff';
+import '../styles/templateEditor.css';
+
+const formatSavedAt = (savedAt) => {
+  const date = new Date(savedAt);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+};
+
+// Version history of one template: compare any version with the latest, roll back
+// in one click (saved as a new version) and pin versions so they are never dropped.
+export default function TemplateHistoryPanel({
+  storage, // Template store (see createLocalStorageStore)
+  templateId,
+  author = null, // Recorded on rollback versions
+  onRestore = null, // Called with (template, version) after a rollback, e.g. useGrapesEditor's loadTemplate
+  previewData = null, // Runner data for the diff previews
+  className
+}) {
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState(null);
+  const [comparing, setComparing] = useState(null);
+  const [busyVersion, setBusyVersion] = useState(null);
+
+  const refresh = useCallback(() => {
+    Promise.resolve(storage.listVersions(templateId))
+      .then(list => {
+        setVersions(list);
+        setError(null);
+      })
+      .catch(setError);
+  }, [storage, templateId]);
+
+  useEffect(() => {
+    refresh();
+    // Saves from the editor, rollbacks and pins in any tab
+    const unsubscribe = storage.subscribe?.(change => {
+      if (change.id === templateId) refresh();
+    });
+    return () => unsubscribe?.();
+  }, [storage, templateId, refresh]);
+
+  const runAction = async (version, action) => {
+    setBusyVersion(version);
+    try {
+      await action();
+      refresh();
+    } catch (actionError) {
+      console.warn('[TemplateHistoryPanel] Action failed:', actionError);
+      setError(actionError);
+    } finally {
+      setBusyVersion(null);
+    }
+  };
+
+  const restore = (version) => runAction(version, async () => {
+    const template = await storage.get(templateId, version);
+    if (!template) throw new Error(`Version ${version} is no longer stored`);
+
+    await storage.put(templateId, template, { author, message: `Rolled back to v${version}` });
+    onRestore?.(template, version);
+  });
+
+  const togglePin = (item) => runAction(item.version, () => (
+    storage.pinVersion(templateId, item.version, !item.pinned)
+  ));
+
+  const latestVersion = versions[0]?.version;
+
+  return (
+    <div className={`template-history ${className || ''}`}>
+      <h4>History</h4>
+      {error && <p className="template-history__error">{error.message}</p>}
+      {versions.length === 0 && !error && <p className="template-history__empty">No saved versions yet</p>}
+
+      <ol className="template-history__list">
+        {versions.map(item => (
+          <li key={item.version} className="template-history__item">
+            <div>
+              <strong>v{item.version}</strong>
+              {item.pinned && <span className="template-history__pin"> pinned</span>}
+              <span className="template-history__meta">
+                {' '}{formatSavedAt(item.savedAt)}{item.author ? ` · ${item.author}` : ''}
+              </span>
+            </div>
+            {item.message && <div className="template-history__message">{item.message}</div>}
+            <div className="template-history__actions">
+              <button
+                disabled={item.version === latestVersion}
+                onClick={() => setComparing(item.version)}
+              >
+                Compare
+              </button>
+              <button
+                disabled={item.version === latestVersion || busyVersion !== null}
+                onClick={() => restore(item.version)}
+              >
+                Restore
+              </button>
+              <button disabled={busyVersion !== null} onClick={() => togglePin(item)}>
+                {item.pinned ? 'Unpin' : 'Pin'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      {comparing !== null && (
+        <div className="template-history__compare">
+          <TemplateVersionDiff
+            storage={storage}
+            templateId={templateId}
+            baseVersion={comparing}
+            data={previewData}
+            onClose={() => setComparing(null)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
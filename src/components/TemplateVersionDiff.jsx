@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import ResponsiveTemplateViewer from './ResponsiveTemplateViewer';
+import { diffTemplates } from '../utils/templateDiff';
+import { normalizeTemplate, TEMPLATE_STATES } from '../utils/templateSchema';
+import '../styles/templateEditor.css';
+
+const STATE_LABELS = {
+  activeState: 'Runner on screen',
+  restingState: 'Between runners'
+};
+
+const DIFF_MARKERS = { same: ' ', removed: '-', added: '+' };
+
+function DiffLines({ title, lines }) {
+  if (!lines.some(line => line.type !== 'same')) return null;
+
+  return (
+    <div className="template-diff__text">
+      <h5>{title}</h5>
+      <pre>
+        {lines.map((line, index) => (
+          <div key={index} className={`template-diff__line template-diff__line--${line.type}`}>
+            {DIFF_MARKERS[line.type]} {line.text}
+          </div>
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+function StateDiff({ label, diff }) {
+  if (diff.changes === 0) return null;
+
+  return (
+    <div className="template-diff__state">
+      <h4>{label} ({diff.changes} changed lines)</h4>
+      <DiffLines title="HTML" lines={diff.html} />
+      <DiffLines title="CSS" lines={diff.css} />
+      <DiffLines title="Background" lines={diff.backgroundStyles} />
+    </div>
+  );
+}
+
+// Two saved versions of a template, rendered side by side with a text diff below.
+// compareVersion defaults to the latest version.
+export default function TemplateVersionDiff({
+  storage, // Template store (see createLocalStorageStore)
+  templateId,
+  baseVersion, // Older version, shown on the left
+  compareVersion = null, // Newer version, shown on the right; null for the latest
+  data = null, // Runner data for the previews; without it they show the resting state
+  onClose = null
+}) {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setVersions(null);
+    setError(null);
+
+    Promise.all([
+      storage.get(templateId, baseVersion),
+      storage.get(templateId, compareVersion ?? undefined)
+    ])
+      .then(([before, after]) => {
+        if (cancelled) return;
+        if (!before || !after) throw new Error('Version not found');
+        setVersions({ before: normalizeTemplate(before), after: normalizeTemplate(after) });
+      })
+      .catch(loadError => {
+        if (!cancelled) setError(loadError);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, templateId, baseVersion, compareVersion]);
+
+  const diff = useMemo(() => (
+    versions ? diffTemplates(versions.before, versions.after) : null
+  ), [versions]);
+
+  const compareLabel = compareVersion ? `v${compareVersion}` : 'Latest';
+
+  return (
+    <div className="template-diff">
+      <div className="template-diff__header">
+        <strong>v{baseVersion} → {compareLabel}</strong>
+        {onClose && <button onClick={onClose}>Close</button>}
+      </div>
+
+      <div className="template-diff__previews">
+        <div className="template-diff__preview">
+          <span>v{baseVersion}</span>
+          <ResponsiveTemplateViewer
+            storage={storage}
+            templateId={templateId}
+            templateVersion={baseVersion}
+            pinInStore={false}
+            data={data}
+          />
+        </div>
+        <div className="template-diff__preview">
+          <span>{compareLabel}</span>
+          <ResponsiveTemplateViewer
+            storage={storage}
+            templateId={templateId}
+            templateVersion={compareVersion}
+            pinInStore={false}
+            data={data}
+          />
+        </div>
+      </div>
+
+      {error && <p className="template-diff__empty">Could not load versions: {error.message}</p>}
+      {diff && !diff.changed && <p className="template-diff__empty">No differences</p>}
+      {diff?.canvas.map(({ field, before, after }) => (
+        <p key={field}>{field}: {before} → {after}</p>
+      ))}
+      {diff && TEMPLATE_STATES.map(state => (
+        <StateDiff key={state} label={STATE_LABELS[state]} diff={diff[state]} />
+      ))}
+      {diff?.portrait.changes > 0 && (
+        <div className="template-diff__state">
+          <h4>Portrait ({diff.portrait.changes} changed lines)</h4>
+          <DiffLines title="CSS" lines={diff.portrait.css} />
+          {TEMPLATE_STATES.map(state => (
+            <StateDiff key={state} label={`Portrait: ${STATE_LABELS[state]}`} diff={diff.portrait[state]} />
+          ))}
+        </div>
+      )}
+      {diff && <DiffLines title="Fonts" lines={diff.fonts} />}
+      {diff && <DiffLines title="Background" lines={diff.backgroundStyles} />}
+    </div>
+  );
+}
@@ -1,9 +1,12 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { createRoot } from 'react-dom/client';
 import {
   RunnerDisplayEnhanced,
   ResponsiveTemplateViewer,
-  useGrapesEditor
+  TemplateHistoryPanel,
+  DataBindingPanel,
+  useGrapesEditor,
+  createLocalStorageStore
 } from './index';
 
 // Example runner data
@@ -36,14 +39,51 @@ const sampleTemplate = {
   canvasHeight: 1080
 };
 
+// Sideways-mounted panels: open the display with ?rotation=90 (or 180, 270)
+const urlParams = new URLSearchParams(window.location.search);
+const displayRotation = urlParams.get('rotation');
+// Overscanning TVs: ?safeArea=5% keeps the template clear of cropped edges, &guides shows them
+const displaySafeArea = urlParams.get('safeArea');
+const showSafeAreaGuide = urlParams.has('guides');
+
+// The builder autosaves to a named template; ?template=<id> picks it, and shows it in the Template Viewer
+const templateStore = createLocalStorageStore();
+const savedTemplateId = urlParams.get('template');
+
 // Template Builder Component
 function TemplateBuilder() {
-  const { editorRef, isReady, addTextBlock, addImageBlock } = useGrapesEditor({
+  const [saveMessage, setSaveMessage] = useState('');
+  const {
+    editorRef,
+    isReady,
+    addTextBlock,
+    addImageBlock,
+    showSafeArea,
+    setShowSafeArea,
+    loadTemplate,
+    saveTemplate,
+    saveStatus,
+    editingState,
+    setEditingState,
+    copyToState,
+    setShared,
+    bindField,
+    unknownPlaceholders
+  } = useGrapesEditor({
     targetWidth: 1920,
     targetHeight: 1080,
-    container: '#grapesjs-editor'
+    container: '#grapesjs-editor',
+    storage: templateStore,
+    templateId: savedTemplateId || 'default',
+    author: 'Demo user'
   });
 
+  // Pick up where the last session left off
+  useEffect(() => {
+    if (!isReady) return;
+    templateStore.get(savedTemplateId || 'default').then(saved => loadTemplate(saved || sampleTemplate));
+  }, [isReady, loadTemplate]);
+
   return (
     <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
       <div style={{ padding: '10px', background: '#f5f5f5', borderBottom: '1px solid #ddd' }}>
@@ -51,6 +91,21 @@ function TemplateBuilder() {
         <p>Status: {isReady ? '✅ Ready' : '⏳ Loading...'}</p>
         <button onClick={() => addTextBlock('Sample Text')}>Add Text</button>
         <button onClick={() => addImageBlock('/sample-image.jpg')}>Add Image</button>
+        <button onClick={() => setShowSafeArea(!showSafeArea)}>
+          {showSafeArea ? 'Hide' : 'Show'} Safe Area
+        </button>
+        <button onClick={() => setEditingState(editingState === 'activeState' ? 'restingState' : 'activeState')}>
+          Editing: {editingState === 'activeState' ? 'Runner on screen' : 'Between runners'}
+        </button>
+        <button onClick={() => setShared(editorRef.current?.getSelected())}>Share Selected</button>
+        <button onClick={() => copyToState(editorRef.current?.getSelected())}>Copy Selected to Other State</button>
+        <input
+          value={saveMessage}
+          onChange={(event) => setSaveMessage(event.target.value)}
+          placeholder="What changed?"
+        />
+        <button onClick={() => saveTemplate({ message: saveMessage }).then(() => setSaveMessage(''), () => {})}>Save</button>
+        <span style={{ marginLeft: '10px' }}>{saveStatus === 'idle' ? '' : `Save: ${saveStatus}`}</span>
       </div>
       <div style={{ flex: 1, display: 'flex' }}>
         <div style={{ width: '200px', background: '#f9f9f9', padding: '10px' }}>
@@ -65,6 +120,19 @@ function TemplateBuilder() {
           <div className="styles-container">
             <h4>Styles</h4>
           </div>
+          {/* The default data schema matches sampleRunner */}
+          <DataBindingPanel
+            editor={isReady ? editorRef.current : null}
+            onBind={bindField}
+            unknownPlaceholders={unknownPlaceholders}
+          />
+          <TemplateHistoryPanel
+            storage={templateStore}
+            templateId={savedTemplateId || 'default'}
+            author="Demo user"
+            onRestore={(template) => loadTemplate(template)}
+            previewData={sampleRunner}
+          />
         </div>
       </div>
     </div>
@@ -141,6 +209,9 @@ function DemoApp() {
             <RunnerDisplayEnhanced 
               runner={sampleRunner} 
               template={sampleTemplate}
+              rotation={displayRotation}
+              safeArea={displaySafeArea}
+              showSafeArea={showSafeAreaGuide}
             />
           </div>
         </div>
@@ -168,10 +239,15 @@ function DemoApp() {
             height: '60vh'
           }}>
             <ResponsiveTemplateViewer
-              html={sampleTemplate.html}
-              css={sampleTemplate.css}
+              html={savedTemplateId ? undefined : sampleTemplate.html}
+              css={savedTemplateId ? undefined : sampleTemplate.css}
+              templateId={savedTemplateId}
+              storage={templateStore}
               data={sampleRunner}
               forceOrientation={orientation === 'auto' ? null : orientation}
+              rotation={displayRotation}
+              safeArea={displaySafeArea}
+              showSafeArea={showSafeAreaGuide}
               enableOrientationToggle={true}
               onOrientationChange={(newOrientation) => {
                 console.log('Orientation changed to:', newOrientation);
@@ -0,0 +1,85 @@
+/* ──────────────────────────────────────────────────────────────
+   useFinisherQueue.js - Finisher Queue Hook
+   ------------------------------------------------------------------
+   React hook wrapping createFinisherQueue. Exposes the runner to
+   display and the backlog length as state.
+   ------------------------------------------------------------------ */
+
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { createFinisherQueue } from '../utils/finisherQueue';
+
+/**
+ * Pace finishers through a dwell/de-duplication/priority queue
+ * @param {Object|null} options - Queue options (see DEFAULT_QUEUE_OPTIONS), null disables the queue
+ * @param {Object} handlers - Optional callbacks
+ * @param {function} handlers.onQueueChange - Called with { length, current, queued }
+ * @param {function} handlers.onCurrentChange - Called with the runner being displayed
+ * @returns {Object} Current runner, queue length, queued runners and queue controls
+ */
+export function useFinisherQueue(options, { onQueueChange, onCurrentChange } = {}) {
+  const [state, setState] = useState({ length: 0, current: null, queued: [] });
+  const queueRef = useRef(null);
+  const handlersRef = useRef({ onQueueChange, onCurrentChange });
+  const enabled = !!options;
+
+  handlersRef.current = { onQueueChange, onCurrentChange };
+
+  // Options are often passed inline, so apply them only when their content changes.
+  // isPriority is called through the ref, so a new function needs no update.
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const optionsKey = JSON.stringify(options);
+
+  const getQueueOptions = useCallback(() => ({
+    ...optionsRef.current,
+    isPriority: (runner) => Boolean(optionsRef.current?.isPriority?.(runner))
+  }), []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const queue = createFinisherQueue(getQueueOptions(), {
+      onQueueChange: (nextState) => {
+        setState(nextState);
+        handlersRef.current.onQueueChange?.(nextState);
+      },
+      onCurrentChange: (runner) => {
+        handlersRef.current.onCurrentChange?.(runner);
+      }
+    });
+    queueRef.current = queue;
+
+    return () => {
+      queue.destroy();
+      queueRef.current = null;
+      setState({ length: 0, current: null, queued: [] });
+    };
+    // Options are applied via setOptions below; only recreate when toggled
+  }, [enabled, getQueueOptions]);
+
+  useEffect(() => {
+    queueRef.current?.setOptions(getQueueOptions());
+  }, [optionsKey, getQueueOptions]);
+
+  const enqueue = useCallback((runner) => {
+    return queueRef.current ? queueRef.current.enqueue(runner) : false;
+  }, []);
+
+  const skip = useCallback(() => {
+    queueRef.current?.skip();
+  }, []);
+
+  const clear = useCallback(() => {
+    queueRef.current?.clear();
+  }, []);
+
+  return {
+    ...state,
+    enabled,
+    enqueue,
+    skip,
+    clear
+  };
+}
+
+export default useFinisherQueue;
@@ -8,7 +8,37 @@
 
 import { useEffect, useRef, useState, useCallback } from 'react';
 import grapesjs from 'grapesjs';
-import { enhanceEditorWithResponsive } from '../utils/responsiveGrapesIntegration';
+import {
+  enhanceEditorWithResponsive,
+  applyEditorTheme,
+  applyDataSchemaBlocks
+} from '../utils/responsiveGrapesIntegration';
+import { parseStyle } from '../utils/htmlParser';
+import { DEFAULT_SAFE_AREA, resolveSafeAreaInsets } from '../utils/responsiveScaling';
+import {
+  ORIENTATIONS,
+  PORTRAIT_STYLE_ATTRIBUTE,
+  LAYOUT_PROPERTIES,
+  getPortraitCanvas,
+  pickLayout,
+  diffLayout,
+  serializeStyle
+} from '../utils/templateOrientation';
+import { TEMPLATE_STATES, migrateTemplate, normalizeTemplate } from '../utils/templateSchema';
+import {
+  DEFAULT_TEMPLATE_ID,
+  isStorageAdapter,
+  isTemplateStore,
+  bindTemplateStore
+} from '../utils/templateStorage';
+import { SHARED_ATTRIBUTE, getOtherState, splitTemplateStates } from '../utils/templateStates';
+import {
+  DEFAULT_DATA_SCHEMA,
+  rebindExpression,
+  rebindText,
+  findUnknownPlaceholders
+} from '../utils/dataSchema';
+import { parsePlaceholderExpression } from '../utils/templateFormatters';
 
 /**
  * Calculate the position where a new block should be placed on the canvas
@@ -99,9 +129,233 @@ const calculateBlockPosition = (editor, targetWidth, targetHeight, event = null)
   return { x, y };
 };
 
+/**
+ * Size the canvas to the template's design dimensions
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+const applyCanvasSize = (editor, width, height) => {
+  const wrapper = editor.getWrapper();
+  if (wrapper) {
+    wrapper.addStyle({
+      width: `${width}px`,
+      height: `${height}px`
+    });
+    // Stands in for the display stage, so cqw/cqh tokens resolve like on screen.
+    // Set on the element, not as a style, so it stays out of the template.
+    const wrapperEl = wrapper.getEl();
+    if (wrapperEl) wrapperEl.style.containerType = 'size';
+  }
+
+  // responsiveDisplay.css lays .layout-root out at --base-width x --base-height
+  const canvasRoot = editor.Canvas.getDocument()?.documentElement;
+  if (canvasRoot) {
+    canvasRoot.style.setProperty('--base-width', `${width}px`);
+    canvasRoot.style.setProperty('--base-height', `${height}px`);
+  }
+};
+
+const SAFE_AREA_GUIDE_ID = 'editor-safe-area-guide';
+
+/**
+ * Show or hide the safe-area guide over the canvas
+ * Lives outside the wrapper, so it is never part of the exported template.
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Object} options - { visible, width, height, safeArea } - insets resolve against the canvas size
+ */
+const renderCanvasSafeAreaGuide = (editor, { visible, width, height, safeArea }) => {
+  const canvasDoc = editor.Canvas.getDocument();
+  if (!canvasDoc?.body) return;
+
+  let guide = canvasDoc.getElementById(SAFE_AREA_GUIDE_ID);
+  if (!visible) {
+    guide?.remove();
+    return;
+  }
+
+  if (!guide) {
+    guide = canvasDoc.createElement('div');
+    guide.id = SAFE_AREA_GUIDE_ID;
+    guide.className = 'safe-area-guide';
+    guide.appendChild(canvasDoc.createElement('div')).className = 'safe-area-guide__box';
+    canvasDoc.body.appendChild(guide);
+  }
+
+  const insets = resolveSafeAreaInsets(safeArea, width, height);
+  Object.assign(guide.style, { width: `${width}px`, height: `${height}px`, zIndex: '10000' });
+  Object.assign(guide.firstChild.style, {
+    top: `${insets.top}px`,
+    right: `${insets.right}px`,
+    bottom: `${insets.bottom}px`,
+    left: `${insets.left}px`
+  });
+};
+
+// Visit every component below `component`
+const forEachComponent = (component, callback) => {
+  component.components().forEach(child => {
+    callback(child);
+    forEachComponent(child, callback);
+  });
+};
+
+/**
+ * Show the portrait variant: stash each component's landscape layout and
+ * apply its data-portrait-style overrides
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Map} landscapeLayouts - Filled with landscape layouts by component cid
+ */
+const enterPortraitLayout = (editor, landscapeLayouts) => {
+  const wrapper = editor.getWrapper();
+  if (!wrapper) return;
+
+  forEachComponent(wrapper, component => {
+    const style = component.getStyle();
+    landscapeLayouts.set(component.cid, pickLayout(style));
+
+    const overrides = parseStyle(component.getAttributes()[PORTRAIT_STYLE_ATTRIBUTE]);
+    if (Object.keys(overrides).length > 0) {
+      component.setStyle({ ...style, ...overrides });
+    }
+  });
+};
+
+/**
+ * Back to landscape: store what changed as data-portrait-style and restore
+ * the landscape layout. Components added in portrait keep their layout in both.
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Map} landscapeLayouts - Layouts stashed by enterPortraitLayout
+ */
+const leavePortraitLayout = (editor, landscapeLayouts) => {
+  const wrapper = editor.getWrapper();
+  if (!wrapper) return;
+
+  forEachComponent(wrapper, component => {
+    const style = component.getStyle();
+    const portraitLayout = pickLayout(style);
+    const landscapeLayout = landscapeLayouts.get(component.cid) || portraitLayout;
+    const overrides = diffLayout(landscapeLayout, portraitLayout);
+
+    if (Object.keys(overrides).length > 0) {
+      component.addAttributes({ [PORTRAIT_STYLE_ATTRIBUTE]: serializeStyle(overrides) });
+    } else {
+      component.removeAttributes(PORTRAIT_STYLE_ATTRIBUTE);
+    }
+
+    const otherStyles = Object.fromEntries(
+      Object.entries(style).filter(([property]) => !LAYOUT_PROPERTIES.includes(property))
+    );
+    component.setStyle({ ...otherStyles, ...landscapeLayout });
+  });
+  landscapeLayouts.clear();
+};
+
+// Quiet period before onChange fires; GrapesJS reports one edit as a burst of updates
+const CHANGE_DEBOUNCE_MS = 250;
+const DEFAULT_AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Read the edited layout off the canvas
+ * The wrapper's size rule is left out - the displays size the stage themselves.
+ * @param {Object} editor - GrapesJS editor instance
+ * @returns {Object} { html, css }
+ */
+const readCanvasContent = (editor) => {
+  const wrapper = editor.getWrapper();
+  const wrapperSelector = `#${wrapper.getId()}`;
+  const rules = editor.Css.getAll().filter(rule => rule.selectorsToString() !== wrapperSelector);
+  const css = editor.getCss({ rules, avoidProtected: true });
+
+  return { html: wrapper.getInnerHTML(), css };
+};
+
+const joinCss = (...sheets) => sheets.filter(Boolean).join('\n');
+
+const isSharedComponent = (component) => component.getAttributes()[SHARED_ATTRIBUTE] !== undefined;
+
+/**
+ * Read the state being edited without its shared elements
+ * @param {Object} editor - GrapesJS editor instance
+ * @returns {Object} { html, css }
+ */
+const readStateContent = (editor) => {
+  const own = editor.getWrapper().components().filter(component => !isSharedComponent(component));
+  return {
+    html: own.map(component => component.toHTML()).join(''),
+    css: readCanvasContent(editor).css
+  };
+};
+
+/**
+ * Read the shared elements and the styles set on them
+ * Class styles stay with each state; only element (#id) styles are shared.
+ * @param {Object} editor - GrapesJS editor instance
+ * @returns {Object} { html, css }
+ */
+const readSharedContent = (editor) => {
+  const shared = editor.getWrapper().components().filter(isSharedComponent);
+  const ids = new Set();
+  shared.forEach(component => {
+    ids.add(`#${component.getId()}`);
+    forEachComponent(component, child => ids.add(`#${child.getId()}`));
+  });
+
+  const rules = editor.Css.getAll().filter(rule => {
+    const selectors = rule.getSelectors();
+    return selectors.length === 1 && ids.has(selectors.at(0).getFullName());
+  });
+
+  return {
+    html: shared.map(component => component.toHTML()).join(''),
+    css: rules.length > 0 ? editor.getCss({ rules, keepUnusedStyles: true, avoidProtected: true }) : ''
+  };
+};
+
+/**
+ * Run `callback` with portrait edits folded into data-portrait-style
+ * The canvas is back in portrait afterwards, including components the callback added.
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Map} landscapeLayouts - Portrait stash (see enterPortraitLayout)
+ * @param {boolean} inPortrait - Whether the portrait variant is on the canvas
+ * @param {function} callback - Reads or swaps the landscape layout
+ * @returns {*} What the callback returns
+ */
+const withLandscapeLayout = (editor, landscapeLayouts, inPortrait, callback) => {
+  if (!inPortrait) return callback();
+
+  let result;
+  editor.UndoManager.skip(() => {
+    leavePortraitLayout(editor, landscapeLayouts);
+    result = callback();
+    enterPortraitLayout(editor, landscapeLayouts);
+  });
+  return result;
+};
+
+/**
+ * Merge the edited states into the template they were loaded from
+ * @param {Object|null} base - Loaded template (schema v2), null for a new one
+ * @param {Object} states - { activeState, restingState } as { html, css }
+ * @param {Object} canvas - { width, height } landscape design size
+ * @returns {Object} Template in the format the displays read
+ */
+const buildTemplate = (base, states, canvas) => {
+  if (!base) {
+    return migrateTemplate({ ...states, canvasWidth: canvas.width, canvasHeight: canvas.height });
+  }
+
+  return {
+    ...base,
+    canvasWidth: canvas.width,
+    canvasHeight: canvas.height,
+    activeState: { ...base.activeState, ...states.activeState },
+    restingState: { ...base.restingState, ...states.restingState }
+  };
+};
+
 const initializeCanvasScaling = (editor, {
-  targetWidth,
-  targetHeight,
+  getTargetSize,
   containerSelector
 }) => {
   const containerEl = typeof containerSelector === 'string'
@@ -110,7 +364,7 @@ const initializeCanvasScaling = (editor, {
 
   if (!containerEl) {
     console.warn('[useGrapesEditor] Unable to find editor container for scaling');
-    return () => {};
+    return { refresh: () => {}, destroy: () => {} };
   }
 
   const canvasWrapper = containerEl.querySelector('.gjs-cv-canvas');
@@ -126,6 +380,7 @@ const initializeCanvasScaling = (editor, {
 
     if (!availableWidth || !availableHeight) return;
 
+    const { width: targetWidth, height: targetHeight } = getTargetSize();
     const scaleWidth = availableWidth / targetWidth;
     const scaleHeight = availableHeight / targetHeight;
     const scale = Math.min(Math.max(Math.min(scaleWidth, scaleHeight), 0.1), 1);
@@ -161,33 +416,112 @@ const initializeCanvasScaling = (editor, {
   window.addEventListener('resize', scheduleZoom);
   editor.on('canvas:resize', scheduleZoom);
 
-  return () => {
-    clearTimeout(resizeTimeout);
-    if (resizeObserver) {
-      resizeObserver.disconnect();
+  return {
+    refresh: applyZoom,
+    destroy: () => {
+      clearTimeout(resizeTimeout);
+      if (resizeObserver) {
+        resizeObserver.disconnect();
+      }
+      window.removeEventListener('resize', scheduleZoom);
+      editor.off('canvas:resize', scheduleZoom);
+      lastZoom = null;
     }
-    window.removeEventListener('resize', scheduleZoom);
-    editor.off('canvas:resize', scheduleZoom);
-    lastZoom = null;
   };
 };
 
 /**
  * Enhanced GrapesJS hook with responsive features and precise positioning
  * @param {Object} options - Configuration options
- * @param {number} options.targetWidth - Canvas width (default: 1920)
- * @param {number} options.targetHeight - Canvas height (default: 1080)  
+ * @param {number} options.targetWidth - Canvas width, usually the template's canvasWidth (default: 1920)
+ * @param {number} options.targetHeight - Canvas height, usually the template's canvasHeight (default: 1080)
+ * @param {number} options.portraitWidth - Portrait variant canvas width (default: the shorter side)
+ * @param {number} options.portraitHeight - Portrait variant canvas height (default: the longer side)
  * @param {string} options.container - Container selector (default: '#grapesjs-editor')
+ * @param {number|string|object} options.safeArea - Insets shown by the safe-area guide (default: '5%')
+ * @param {Object} options.theme - Theme tokens for the canvas, as passed to the displays (see createTheme)
+ * @param {string} options.unitSystem - 'viewport' or 'container' units, as passed to the displays (default: 'viewport')
+ * @param {function} options.onChange - Called with the template (see getTemplate) after edits settle
+ * @param {Object} options.storage - Storage adapter { save, load } or template store that saveTemplate and autosave write to
+ * @param {string} options.templateId - Template to save to when storage is a template store (default: 'default')
+ * @param {string} options.templateName - Display name saved with each version (default: the id)
+ * @param {string} options.author - Recorded with each version saved to a template store
+ * @param {boolean|number} options.autosave - Save to storage after edits: true for a 1000ms debounce, or the delay in ms (default: true)
+ * @param {Array} options.dataSchema - Runner fields for the Runner Data blocks and placeholder checks (see dataSchema)
  * @returns {Object} Editor ref and utilities
  */
 export function useGrapesEditor({
   targetWidth = 1920,
   targetHeight = 1080,
-  container = '#grapesjs-editor'
+  portraitWidth = Math.min(targetWidth, targetHeight),
+  portraitHeight = Math.max(targetWidth, targetHeight),
+  container = '#grapesjs-editor',
+  safeArea = DEFAULT_SAFE_AREA,
+  theme = null,
+  unitSystem = 'viewport',
+  onChange = null,
+  storage = null,
+  templateId = DEFAULT_TEMPLATE_ID,
+  templateName,
+  author,
+  autosave = true,
+  dataSchema = DEFAULT_DATA_SCHEMA
 } = {}) {
   const editorRef = useRef(null);
   const [isReady, setIsReady] = useState(false);
   const cleanupRef = useRef({ isMounted: true });
+  const scalingRef = useRef(null);
+  // Layout being edited; the portrait variant is stored as data-portrait-style
+  const [orientation, setOrientationState] = useState('landscape');
+  const orientationRef = useRef('landscape');
+  const landscapeLayoutsRef = useRef(new Map());
+  // A loaded template brings its own design size
+  const [templateCanvas, setTemplateCanvas] = useState(null);
+  const landscapeWidth = templateCanvas?.width ?? targetWidth;
+  const landscapeHeight = templateCanvas?.height ?? targetHeight;
+  const canvasWidth = orientation === 'portrait' ? (templateCanvas?.portraitWidth ?? portraitWidth) : landscapeWidth;
+  const canvasHeight = orientation === 'portrait' ? (templateCanvas?.portraitHeight ?? portraitHeight) : landscapeHeight;
+  const landscapeSizeRef = useRef({ width: landscapeWidth, height: landscapeHeight });
+  landscapeSizeRef.current = { width: landscapeWidth, height: landscapeHeight };
+  // Read by the zoom logic so a new canvas size does not require a new editor
+  const canvasSizeRef = useRef({ width: canvasWidth, height: canvasHeight });
+  canvasSizeRef.current = { width: canvasWidth, height: canvasHeight };
+  // Overscan guide - off by default, it is a setup aid
+  const [showSafeArea, setShowSafeArea] = useState(false);
+  const safeAreaRef = useRef(safeArea);
+  safeAreaRef.current = safeArea;
+  const safeAreaKey = JSON.stringify(safeArea);
+  // Themes are often passed inline, so re-apply only when their content changes
+  const themeRef = useRef(theme);
+  themeRef.current = theme;
+  const themeKey = JSON.stringify(theme);
+  // State on the canvas; the other one is kept as markup, without the shared elements
+  const [editingState, setEditingStateValue] = useState('activeState');
+  const editingStateRef = useRef('activeState');
+  const storedStatesRef = useRef({});
+  // Single-state templates keep the resting state in step until it is edited
+  const linkedStatesRef = useRef(true);
+  // Template persistence
+  const loadedTemplateRef = useRef(null);
+  const pendingTemplateRef = useRef(null);
+  const lastChangeKeyRef = useRef(null);
+  const lastSavedKeyRef = useRef(null);
+  const flushAutosaveRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+  // Template stores are narrowed to the template being edited
+  const storageRef = useRef(null);
+  storageRef.current = isTemplateStore(storage)
+    ? bindTemplateStore(storage, templateId, { name: templateName, author })
+    : storage;
+  const [saveStatus, setSaveStatus] = useState('idle');
+  const autosaveDelay = autosave === true ? DEFAULT_AUTOSAVE_DELAY_MS : (Number(autosave) || 0);
+  // Schemas are often passed inline too; placeholders outside it are flagged
+  const dataSchemaRef = useRef(dataSchema);
+  dataSchemaRef.current = dataSchema;
+  const dataSchemaKey = JSON.stringify(dataSchema);
+  const [unknownPlaceholders, setUnknownPlaceholders] = useState([]);
+  const unknownKeyRef = useRef('');
 
   useEffect(() => {
     // Prevent re-initialization
@@ -253,7 +587,12 @@ export function useGrapesEditor({
         enableAutoConversion: true,    // Auto-convert existing components
         enableResponsiveBlocks: true,  // Add responsive block options  
         enableResponsiveCommands: true, // Add conversion commands
-        enableResponsiveStyles: true   // Enhance style manager
+        enableResponsiveStyles: true,  // Enhance style manager
+        baseWidth: canvasSizeRef.current.width,
+        baseHeight: canvasSizeRef.current.height,
+        theme: themeRef.current,
+        unitSystem,
+        dataSchema: dataSchemaRef.current
       });
       
       editor._responsiveEnhanced = true;
@@ -323,25 +662,17 @@ export function useGrapesEditor({
 
     // Set up canvas when ready
     let dropZoneCleanup = () => {};
-    let scalingCleanup = () => {};
     let handleComponentAdd = null;
 
     editor.on('load', () => {
       console.log('[useGrapesEditor] Editor loaded');
 
       // Set canvas dimensions
-      const wrapper = editor.getWrapper();
-      if (wrapper) {
-        wrapper.addStyle({
-          width: `${targetWidth}px`,
-          height: `${targetHeight}px`
-        });
-      }
+      applyCanvasSize(editor, canvasSizeRef.current.width, canvasSizeRef.current.height);
 
       dropZoneCleanup = setupCanvasDropZone();
-      scalingCleanup = initializeCanvasScaling(editor, {
-        targetWidth,
-        targetHeight,
+      scalingRef.current = initializeCanvasScaling(editor, {
+        getTargetSize: () => canvasSizeRef.current,
         containerSelector: container
       });
 
@@ -380,6 +711,17 @@ export function useGrapesEditor({
       };
 
       editor.on('component:add', handleComponentAdd);
+
+      // A template passed to loadTemplate before the canvas existed
+      if (pendingTemplateRef.current) {
+        const pending = pendingTemplateRef.current;
+        pendingTemplateRef.current = null;
+        try {
+          loadTemplate(pending);
+        } catch (error) {
+          console.warn('[useGrapesEditor] Failed to load template:', error.message);
+        }
+      }
       setIsReady(true);
     });
 
@@ -393,8 +735,11 @@ export function useGrapesEditor({
 
     // Cleanup function
     cleanup.cleanup = () => {
+      // Save pending edits while the canvas can still be read
+      flushAutosaveRef.current?.();
       dropZoneCleanup();
-      scalingCleanup();
+      scalingRef.current?.destroy();
+      scalingRef.current = null;
       if (handleComponentAdd) {
         editorRef.current?.off('component:add', handleComponentAdd);
       }
@@ -405,6 +750,19 @@ export function useGrapesEditor({
         editorRef.current.destroy();
         editorRef.current = null;
       }
+      landscapeLayoutsRef.current.clear();
+      orientationRef.current = 'landscape';
+      setOrientationState('landscape');
+      loadedTemplateRef.current = null;
+      storedStatesRef.current = {};
+      linkedStatesRef.current = true;
+      editingStateRef.current = 'activeState';
+      setEditingStateValue('activeState');
+      lastChangeKeyRef.current = null;
+      lastSavedKeyRef.current = null;
+      unknownKeyRef.current = '';
+      setUnknownPlaceholders([]);
+      setTemplateCanvas(null);
       setIsReady(false);
     };
 
@@ -413,7 +771,387 @@ export function useGrapesEditor({
         cleanup.cleanup();
       }
     };
-  }, [targetWidth, targetHeight, container]);
+  }, [container]);
+
+  // Resize the canvas in place when the design size or edited orientation changes
+  useEffect(() => {
+    if (!isReady || !editorRef.current) return;
+
+    applyCanvasSize(editorRef.current, canvasWidth, canvasHeight);
+    scalingRef.current?.refresh();
+  }, [canvasWidth, canvasHeight, isReady]);
+
+  // Switching themes restyles the canvas without touching the components
+  useEffect(() => {
+    if (!isReady || !editorRef.current) return;
+
+    applyEditorTheme(editorRef.current, themeRef.current, {
+      baseWidth: canvasWidth,
+      baseHeight: canvasHeight,
+      unitSystem
+    });
+  }, [themeKey, unitSystem, canvasWidth, canvasHeight, isReady]);
+
+  // Keep the safe-area guide in step with the canvas size
+  useEffect(() => {
+    if (!isReady || !editorRef.current) return;
+
+    renderCanvasSafeAreaGuide(editorRef.current, {
+      visible: showSafeArea,
+      width: canvasWidth,
+      height: canvasHeight,
+      safeArea: safeAreaRef.current
+    });
+  }, [showSafeArea, canvasWidth, canvasHeight, safeAreaKey, isReady]);
+
+  // Switch between editing the landscape layout and its portrait variant
+  const setOrientation = useCallback((nextOrientation) => {
+    if (!ORIENTATIONS.includes(nextOrientation) || nextOrientation === orientationRef.current) return;
+
+    const editor = editorRef.current;
+    if (editor) {
+      if (nextOrientation === 'portrait') {
+        enterPortraitLayout(editor, landscapeLayoutsRef.current);
+      } else {
+        leavePortraitLayout(editor, landscapeLayoutsRef.current);
+      }
+    }
+    console.log(`[useGrapesEditor] Editing ${nextOrientation} layout`);
+
+    orientationRef.current = nextOrientation;
+    setOrientationState(nextOrientation);
+  }, []);
+
+  /**
+   * Load a template into the editor
+   * Any schema version is accepted; editing starts on the active state and the
+   * canvas size replaces targetWidth/targetHeight. Calls before the editor is
+   * ready are queued.
+   * @throws {TemplateSchemaError} When the template is malformed
+   */
+  const loadTemplate = useCallback((template) => {
+    const normalized = normalizeTemplate(template);
+    const editor = editorRef.current;
+    if (!editor?.getWrapper()) {
+      pendingTemplateRef.current = normalized;
+      return;
+    }
+
+    // The portrait stash belongs to the outgoing components
+    landscapeLayoutsRef.current.clear();
+    orientationRef.current = 'landscape';
+    setOrientationState('landscape');
+
+    const { activeState, restingState } = normalized;
+    const states = splitTemplateStates(normalized);
+    loadedTemplateRef.current = normalized;
+    linkedStatesRef.current = activeState.html === restingState.html && activeState.css === restingState.css;
+    storedStatesRef.current = { restingState: states.restingState };
+    editingStateRef.current = 'activeState';
+    setEditingStateValue('activeState');
+
+    // Shared elements are drawn above each state's own elements
+    editor.setComponents(`${states.activeState.html}${states.shared}`);
+    editor.setStyle(activeState.css || '');
+    editor.UndoManager.clear();
+
+    const portrait = getPortraitCanvas(normalized);
+    landscapeSizeRef.current = { width: normalized.canvasWidth, height: normalized.canvasHeight };
+    canvasSizeRef.current = landscapeSizeRef.current;
+    setTemplateCanvas({
+      width: normalized.canvasWidth,
+      height: normalized.canvasHeight,
+      portraitWidth: portrait.width,
+      portraitHeight: portrait.height
+    });
+    // setStyle dropped the wrapper size rule
+    applyCanvasSize(editor, normalized.canvasWidth, normalized.canvasHeight);
+    scalingRef.current?.refresh();
+
+    // Freshly loaded is not a change
+    const loadedKey = JSON.stringify(getTemplate());
+    lastChangeKeyRef.current = loadedKey;
+    lastSavedKeyRef.current = loadedKey;
+    checkPlaceholders();
+    console.log('[useGrapesEditor] Loaded template', {
+      canvasWidth: normalized.canvasWidth,
+      canvasHeight: normalized.canvasHeight
+    });
+  }, []);
+
+  /**
+   * The edited template, in the format ResponsiveTemplateViewer reads
+   * Both states are included, with the shared elements in each. Portrait edits
+   * are folded into data-portrait-style without leaving portrait.
+   * @returns {Object|null} Schema v2 template, null before the editor is ready
+   */
+  const getTemplate = useCallback(() => {
+    const editor = editorRef.current;
+    if (!editor?.getWrapper()) return null;
+
+    const { current, shared } = withLandscapeLayout(
+      editor,
+      landscapeLayoutsRef.current,
+      orientationRef.current === 'portrait',
+      () => ({ current: readCanvasContent(editor), shared: readSharedContent(editor) })
+    );
+
+    const editing = editingStateRef.current;
+    const other = getOtherState(editing);
+    const stored = storedStatesRef.current[other];
+    const otherContent = linkedStatesRef.current || !stored ? current : {
+      html: `${stored.html}${shared.html}`,
+      css: joinCss(stored.css, shared.css)
+    };
+
+    return buildTemplate(
+      loadedTemplateRef.current,
+      { [editing]: current, [other]: otherContent },
+      landscapeSizeRef.current
+    );
+  }, []);
+
+  /**
+   * Switch the canvas to the other template state
+   * Shared elements stay on the canvas; the state's own elements are swapped.
+   * @param {string} nextState - 'activeState' or 'restingState'
+   */
+  const setEditingState = useCallback((nextState) => {
+    if (!TEMPLATE_STATES.includes(nextState) || nextState === editingStateRef.current) return;
+
+    const editor = editorRef.current;
+    if (editor?.getWrapper()) {
+      const current = editingStateRef.current;
+
+      withLandscapeLayout(editor, landscapeLayoutsRef.current, orientationRef.current === 'portrait', () => {
+        const own = readStateContent(editor);
+        const shared = readSharedContent(editor);
+        // A linked resting state starts out as a copy of the active one
+        const next = linkedStatesRef.current ? own : (storedStatesRef.current[nextState] || { html: '', css: '' });
+        storedStatesRef.current = { ...storedStatesRef.current, [current]: own };
+        linkedStatesRef.current = false;
+
+        const wrapper = editor.getWrapper();
+        wrapper.components().filter(component => !isSharedComponent(component)).forEach(component => component.remove());
+        // Shared element styles go last so stale copies in the state's CSS lose
+        editor.setStyle(joinCss(next.css, shared.css));
+        wrapper.append(next.html, { at: 0 });
+      });
+
+      editor.UndoManager.clear();
+      applyCanvasSize(editor, canvasSizeRef.current.width, canvasSizeRef.current.height);
+    }
+    console.log(`[useGrapesEditor] Editing ${nextState}`);
+
+    editingStateRef.current = nextState;
+    setEditingStateValue(nextState);
+  }, []);
+
+  /**
+   * Copy an element into the other template state
+   * The copy gets new ids so it cannot collide with that state's elements.
+   * @param {Object} component - GrapesJS component on the canvas
+   * @param {string} targetState - State to copy into (default: the one not being edited)
+   * @returns {boolean} True when copied
+   */
+  const copyToState = useCallback((component, targetState = getOtherState(editingStateRef.current)) => {
+    const editor = editorRef.current;
+    if (!editor?.getWrapper() || !component) return false;
+    if (!TEMPLATE_STATES.includes(targetState) || targetState === editingStateRef.current) return false;
+    if (isSharedComponent(component)) {
+      console.warn('[useGrapesEditor] Shared elements are already in both states');
+      return false;
+    }
+
+    withLandscapeLayout(editor, landscapeLayoutsRef.current, orientationRef.current === 'portrait', () => {
+      editor.UndoManager.skip(() => {
+        // A linked state already mirrors every element; unlinking is the copy
+        if (linkedStatesRef.current) {
+          storedStatesRef.current = { ...storedStatesRef.current, [targetState]: readStateContent(editor) };
+          linkedStatesRef.current = false;
+          return;
+        }
+
+        const copy = component.clone();
+        const copyIds = [copy.getId()];
+        forEachComponent(copy, child => copyIds.push(child.getId()));
+        const rules = editor.Css.getAll().filter(rule => rule.getSelectors().length > 0);
+        const html = copy.toHTML();
+        const css = editor.getCss({ component: copy, rules, avoidProtected: true });
+        // clone() registered id rules for the copy; they belong to the other state only
+        copyIds.forEach(id => editor.Css.remove(editor.Css.getRules(`#${id}`)));
+
+        const stored = storedStatesRef.current[targetState] || { html: '', css: '' };
+        storedStatesRef.current = {
+          ...storedStatesRef.current,
+          [targetState]: { html: `${stored.html}${html}`, css: joinCss(stored.css, css) }
+        };
+      });
+    });
+
+    // The other state is not on the canvas, so GrapesJS does not report this edit
+    editor.trigger('update');
+    return true;
+  }, []);
+
+  /**
+   * Share a top-level element between both states, or make it part of the edited state only
+   * @param {Object} component - GrapesJS component on the canvas
+   * @param {boolean} shared - Share (default) or unshare
+   * @returns {boolean} True when changed
+   */
+  const setShared = useCallback((component, shared = true) => {
+    const editor = editorRef.current;
+    if (!editor?.getWrapper() || !component) return false;
+    if (component.parent() !== editor.getWrapper()) {
+      console.warn('[useGrapesEditor] Only top-level elements can be shared');
+      return false;
+    }
+
+    if (shared) {
+      component.addAttributes({ [SHARED_ATTRIBUTE]: component.getAttributes()[SHARED_ATTRIBUTE] || component.getId() });
+    } else {
+      component.removeAttributes(SHARED_ATTRIBUTE);
+    }
+    return true;
+  }, []);
+
+  // Flag placeholders whose field is not in the data schema, in either state
+  const checkPlaceholders = useCallback(() => {
+    const template = getTemplate();
+    if (!template) return;
+
+    const unknown = findUnknownPlaceholders(template, dataSchemaRef.current);
+    const key = unknown.join('\n');
+    if (key === unknownKeyRef.current) return;
+
+    unknownKeyRef.current = key;
+    if (unknown.length > 0) {
+      console.warn(`[useGrapesEditor] Placeholders not in the data schema: ${unknown.join(', ')}`);
+    }
+    setUnknownPlaceholders(unknown);
+  }, [getTemplate]);
+
+  /**
+   * Bind an element to another data schema field
+   * Formatters on the old binding are kept, e.g. time|hms becomes pace|hms, and
+   * {{field}} markers inside the element follow. Unbound elements show the new field.
+   * @param {Object} component - GrapesJS component on the canvas
+   * @param {string} field - Field name
+   * @returns {boolean} True when bound
+   */
+  const bindField = useCallback((component, field) => {
+    const editor = editorRef.current;
+    if (!editor?.getWrapper() || !component || !field) return false;
+    if (component === editor.getWrapper()) return false;
+
+    const expression = component.getAttributes()['data-placeholder'];
+    const previous = expression ? parsePlaceholderExpression(expression).key : null;
+    component.addAttributes({ 'data-placeholder': rebindExpression(expression, field) });
+
+    if (component.is('image')) return true;
+    if (previous) {
+      const rebind = (model) => {
+        const content = model.get('content');
+        if (content) model.set('content', rebindText(content, previous, field));
+      };
+      rebind(component);
+      forEachComponent(component, rebind);
+    } else {
+      component.components(`{{${field}}}`);
+    }
+    return true;
+  }, []);
+
+  /**
+   * Write the edited template to the storage adapter
+   * @param {Object} details - { message, autosave } describing the version, for template stores
+   * @returns {Promise<Object|null>} The saved template
+   */
+  const saveTemplate = useCallback(async ({ message, autosave: isAutosave = false } = {}) => {
+    const template = getTemplate();
+    const adapter = storageRef.current;
+    if (!template || !isStorageAdapter(adapter)) return template;
+
+    setSaveStatus('saving');
+    try {
+      await adapter.save(template, { message, autosave: isAutosave });
+      lastSavedKeyRef.current = JSON.stringify(template);
+      setSaveStatus('saved');
+      return template;
+    } catch (error) {
+      console.warn('[useGrapesEditor] Failed to save template:', error);
+      setSaveStatus('error');
+      throw error;
+    }
+  }, [getTemplate]);
+
+  // Report edits and autosave once they settle
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!isReady || !editor) return;
+
+    // Edits made before this point (load, canvas sizing) are the baseline
+    const baselineKey = JSON.stringify(getTemplate());
+    lastChangeKeyRef.current ??= baselineKey;
+    lastSavedKeyRef.current ??= baselineKey;
+
+    let changeTimer = null;
+    let saveTimer = null;
+
+    const emitChange = () => {
+      changeTimer = null;
+      const template = getTemplate();
+      const key = JSON.stringify(template);
+      if (!template || key === lastChangeKeyRef.current) return;
+
+      checkPlaceholders();
+
+      lastChangeKeyRef.current = key;
+      onChangeRef.current?.(template);
+    };
+
+    const autosaveNow = () => {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      if (!isStorageAdapter(storageRef.current)) return;
+      if (JSON.stringify(getTemplate()) === lastSavedKeyRef.current) return;
+
+      // saveTemplate reports failures through saveStatus
+      saveTemplate({ message: 'Autosave', autosave: true }).catch(() => {});
+    };
+
+    const handleUpdate = () => {
+      clearTimeout(changeTimer);
+      changeTimer = setTimeout(emitChange, CHANGE_DEBOUNCE_MS);
+
+      if (autosaveDelay > 0 && isStorageAdapter(storageRef.current)) {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(autosaveNow, autosaveDelay);
+      }
+    };
+
+    flushAutosaveRef.current = () => {
+      if (saveTimer) autosaveNow();
+    };
+
+    editor.on('update', handleUpdate);
+
+    return () => {
+      editor.off('update', handleUpdate);
+      clearTimeout(changeTimer);
+      flushAutosaveRef.current?.();
+      flushAutosaveRef.current = null;
+    };
+  }, [isReady, autosaveDelay, getTemplate, saveTemplate, checkPlaceholders]);
+
+  // A new schema brings new Runner Data blocks and may flag other placeholders
+  useEffect(() => {
+    if (!isReady || !editorRef.current) return;
+
+    applyDataSchemaBlocks(editorRef.current, dataSchemaRef.current);
+    checkPlaceholders();
+  }, [dataSchemaKey, isReady, checkPlaceholders]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -429,11 +1167,28 @@ export function useGrapesEditor({
   return {
     editorRef,
     isReady,
+    orientation,
+    setOrientation,
+    showSafeArea,
+    setShowSafeArea,
+    // Template states
+    editingState,
+    setEditingState,
+    copyToState,
+    setShared,
+    // Data binding
+    bindField,
+    unknownPlaceholders,
+    // Template persistence
+    loadTemplate,
+    getTemplate,
+    saveTemplate,
+    saveStatus,
     // Utility functions
     addTextBlock: useCallback((text, position) => {
       if (!editorRef.current) return;
       
-      const pos = position || calculateBlockPosition(editorRef.current, targetWidth, targetHeight);
+      const pos = position || calculateBlockPosition(editorRef.current, canvasWidth, canvasHeight);
       
       editorRef.current.addComponents({
         type: 'text',
@@ -446,12 +1201,12 @@ export function useGrapesEditor({
           padding: '10px'
         }
       });
-    }, [targetWidth, targetHeight]),
+    }, [canvasWidth, canvasHeight]),
     
     addImageBlock: useCallback((src, position) => {
       if (!editorRef.current) return;
       
-      const pos = position || calculateBlockPosition(editorRef.current, targetWidth, targetHeight);
+      const pos = position || calculateBlockPosition(editorRef.current, canvasWidth, canvasHeight);
       
       editorRef.current.addComponents({
         type: 'image',
@@ -464,7 +1219,7 @@ export function useGrapesEditor({
           'height': 'auto'
         }
       });
-    }, [targetWidth, targetHeight])
+    }, [canvasWidth, canvasHeight])
   };
 }
 
@@ -0,0 +1,94 @@
+/* ──────────────────────────────────────────────────────────────
+   useRaceFeed.js - Live Timing Feed Hook
+   ------------------------------------------------------------------
+   React hook wrapping createRaceFeed. Keeps the latest finisher and
+   the connection status in state so displays and operator UIs can
+   render them.
+   ------------------------------------------------------------------ */
+
+import { useEffect, useRef, useState, useCallback } from 'react';
+import { createRaceFeed, FEED_STATUS } from '../utils/raceFeed';
+
+/**
+ * Subscribe to a live timing feed
+ * @param {Object|null} feed - Feed configuration passed to createRaceFeed (null disables the feed
+ *   and clears the runner)
+ * @param {Object} options - Hook options
+ * @param {function} options.onRunner - Called for every parsed runner, including ones
+ *   that arrive in the same tick and would be collapsed by React state batching
+ * @param {function} options.onStatusChange - Called when the connection status changes; not called
+ *   when the hook closes the feed itself (url change, disabling or unmount)
+ * @returns {Object} Latest runner, connection status, last error and a reconnect function
+ */
+export function useRaceFeed(feed, { onRunner, onStatusChange } = {}) {
+  const [runner, setRunner] = useState(null);
+  const [status, setStatus] = useState(FEED_STATUS.IDLE);
+  const [error, setError] = useState(null);
+  const [lastMessageAt, setLastMessageAt] = useState(null);
+  const feedRef = useRef(null);
+  const configRef = useRef(feed);
+  const handlersRef = useRef({ onRunner, onStatusChange });
+
+  // Keep the latest config and handlers without reconnecting on every render
+  configRef.current = feed;
+  handlersRef.current = { onRunner, onStatusChange };
+
+  const url = feed?.url || null;
+  const transport = feed?.transport || 'auto';
+
+  useEffect(() => {
+    // A runner from a disabled or previous feed is no longer current
+    setRunner(null);
+    setError(null);
+    setLastMessageAt(null);
+
+    if (!url) {
+      setStatus(FEED_STATUS.IDLE);
+      return;
+    }
+
+    // Closing on cleanup is not a status change the caller should hear about
+    let active = true;
+    const controller = createRaceFeed(configRef.current, {
+      onRunner: (nextRunner) => {
+        if (!active) return;
+        setRunner(nextRunner);
+        setLastMessageAt(Date.now());
+        handlersRef.current.onRunner?.(nextRunner);
+      },
+      onStatusChange: (nextStatus) => {
+        if (!active) return;
+        setStatus(nextStatus);
+        if (nextStatus === FEED_STATUS.OPEN) setError(null);
+        handlersRef.current.onStatusChange?.(nextStatus);
+      },
+      onError: (nextError) => {
+        if (active) setError(nextError);
+      }
+    });
+
+    feedRef.current = controller;
+    controller.connect();
+
+    return () => {
+      active = false;
+      controller.close();
+      feedRef.current = null;
+    };
+  }, [url, transport]);
+
+  const reconnect = useCallback(() => {
+    feedRef.current?.connect();
+  }, []);
+
+  return {
+    runner,
+    status,
+    error,
+    lastMessageAt,
+    isConnected: status === FEED_STATUS.OPEN,
+    reconnect
+  };
+}
+
+export default useRaceFeed;
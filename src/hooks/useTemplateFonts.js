@@ -0,0 +1,55 @@
+/* ──────────────────────────────────────────────────────────────
+   useTemplateFonts.js - Template Font Readiness Hook
+   ------------------------------------------------------------------
+   React hook wrapping waitForFonts / onFontsLoaded. `ready` turns
+   true once the template's fonts are loaded or timed out; `version`
+   increments whenever text should be re-fitted.
+   ------------------------------------------------------------------ */
+
+import { useEffect, useState } from 'react';
+import {
+  DEFAULT_FONT_TIMEOUT_MS,
+  toFontQuery,
+  getTemplateFonts,
+  waitForFonts,
+  onFontsLoaded
+} from '../utils/fontLoading';
+
+/**
+ * Track whether a template's fonts are ready for text measurement
+ * @param {Object|null} template - Template declaring `fonts` and/or @font-face rules
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Maximum wait in ms (default: 3000)
+ * @param {Array} options.fonts - Further fonts to wait for, e.g. getThemeFonts(theme)
+ * @returns {Object} { ready, version, fonts }
+ */
+export function useTemplateFonts(template, { timeout = DEFAULT_FONT_TIMEOUT_MS, fonts: extraFonts = [] } = {}) {
+  const fonts = Array.from(new Set([
+    ...getTemplateFonts(template),
+    ...extraFonts.map(toFontQuery).filter(Boolean)
+  ]));
+  // Templates are often rebuilt with the same fonts, so compare by content
+  const fontsKey = fonts.join('|');
+  // The fonts that finished loading, so a new template is not ready on its first render
+  const [state, setState] = useState({ readyKey: fontsKey === '' ? '' : null, version: 0 });
+
+  useEffect(() => {
+    let cancelled = false;
+    const bump = (readyKey) => {
+      if (cancelled) return;
+      setState(previous => ({ readyKey: readyKey ?? previous.readyKey, version: previous.version + 1 }));
+    };
+
+    waitForFonts(fontsKey ? fontsKey.split('|') : [], { timeout }).then(() => bump(fontsKey));
+    const unsubscribe = onFontsLoaded(() => bump());
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [fontsKey, timeout]);
+
+  return { ready: fontsKey === '' || state.readyKey === fontsKey, version: state.version, fonts };
+}
+
+export default useTemplateFonts;
@@ -0,0 +1,108 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useTemplateFonts } from './useTemplateFonts';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe('useTemplateFonts', () => {
+  let container;
+  let root;
+  let renders;
+  let pendingLoads;
+  let fontListeners;
+
+  // Record what every render saw
+  function Probe({ template, timeout }) {
+    renders.push(useTemplateFonts(template, { timeout }));
+    return null;
+  }
+
+  const render = (template, timeout = 3000) => act(async () => {
+    root.render(React.createElement(Probe, { template, timeout }));
+  });
+
+  const finishLoading = (font) => act(async () => {
+    pendingLoads.get(font)([{}]);
+  });
+
+  const lastRender = () => renders[renders.length - 1];
+
+  beforeEach(() => {
+    renders = [];
+    pendingLoads = new Map();
+    fontListeners = [];
+    Object.defineProperty(document, 'fonts', {
+      configurable: true,
+      value: {
+        load: font => new Promise(resolve => pendingLoads.set(font, resolve)),
+        addEventListener: (type, listener) => fontListeners.push(listener),
+        removeEventListener: (type, listener) => {
+          fontListeners = fontListeners.filter(item => item !== listener);
+        }
+      }
+    });
+    container = document.createElement('div');
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    delete document.fonts;
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('is ready at once for templates without fonts', async () => {
+    await render({ html: '<b></b>' });
+    expect(renders[0]).toMatchObject({ ready: true, fonts: [] });
+  });
+
+  it('waits for the template fonts', async () => {
+    await render({ fonts: ['Inter'] });
+    expect(lastRender()).toMatchObject({ ready: false, fonts: ['16px "Inter"'] });
+
+    await finishLoading('16px "Inter"');
+    expect(lastRender()).toMatchObject({ ready: true, version: 1 });
+  });
+
+  it('is not ready on the first render of a template with other fonts', async () => {
+    await render({ fonts: ['Inter'] });
+    await finishLoading('16px "Inter"');
+
+    const before = renders.length;
+    await render({ fonts: ['Oswald'] });
+    expect(renders.slice(before).every(({ ready }) => !ready)).toBe(true);
+
+    await finishLoading('16px "Oswald"');
+    expect(lastRender().ready).toBe(true);
+  });
+
+  it('stays ready for a rebuilt template with the same fonts', async () => {
+    await render({ fonts: ['Inter'] });
+    await finishLoading('16px "Inter"');
+
+    const before = renders.length;
+    await render({ fonts: ['Inter'], html: '<i></i>' });
+    expect(renders.slice(before).every(({ ready }) => ready)).toBe(true);
+  });
+
+  it('bumps the version when more fonts finish loading', async () => {
+    await render({ fonts: ['Inter'] });
+    await finishLoading('16px "Inter"');
+    expect(fontListeners).toHaveLength(1);
+
+    act(() => fontListeners[0]());
+    expect(lastRender()).toMatchObject({ ready: true, version: 2 });
+  });
+
+  it('is ready after the timeout when a font never loads', async () => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await render({ fonts: ['Slow'] }, 500);
+
+    await act(() => vi.advanceTimersByTimeAsync(500));
+    expect(lastRender().ready).toBe(true);
+  });
+});
@@ -1,13 +1,34 @@
 // Main entry point for the responsive race display system
 export { default as RunnerDisplayEnhanced } from './components/RunnerDisplayEnhanced';
 export { default as ResponsiveTemplateViewer } from './components/ResponsiveTemplateViewer';
+export { default as TemplateHistoryPanel } from './components/TemplateHistoryPanel';
+export { default as TemplateVersionDiff } from './components/TemplateVersionDiff';
+export { default as DataBindingPanel } from './components/DataBindingPanel';
 export { default as useGrapesEditor } from './hooks/useGrapesEditor';
+export { default as useRaceFeed } from './hooks/useRaceFeed';
+export { default as useFinisherQueue } from './hooks/useFinisherQueue';
+export { default as useTemplateFonts } from './hooks/useTemplateFonts';
 
 // Utility exports
 export {
   pixelsToViewport,
   responsiveFontSize,
   getOptimalDimensions,
+  getBaseDimensions,
+  FIT_MODES,
+  ROTATIONS,
+  normalizeRotation,
+  DEFAULT_SAFE_AREA,
+  resolveSafeAreaInsets,
+  getEnvSafeAreaInsets,
+  getViewportOrientation,
+  UNIT_SYSTEMS,
+  getResponsiveUnit,
+  DEFAULT_THEME,
+  createTheme,
+  generateThemeProperties,
+  themeToCss,
+  getThemeFonts,
   intelligentTextFit,
   applyResponsiveScaling,
   createResponsiveObserver,
@@ -16,15 +37,125 @@ export {
 
 export {
   enhanceEditorWithResponsive,
+  applyEditorTheme,
+  applyDataSchemaBlocks,
   getResponsiveStatus
 } from './utils/responsiveGrapesIntegration';
 
 export {
   RESPONSIVE_EDITOR_CONFIG,
   RESPONSIVE_COMMANDS,
+  CONDITION_TRAITS,
   createResponsiveComponent,
   createResponsiveBlocks
 } from './utils/responsiveGrapesConfig';
 
+export {
+  DEFAULT_FIELD_ALIASES,
+  compileTemplate,
+  compileHtml,
+  selectTemplateState,
+  resolveField,
+  resolveExpression,
+  substituteVariables
+} from './utils/templateCompiler';
+
+export {
+  TEMPLATE_SCHEMA_VERSION,
+  TemplateSchemaError,
+  validateTemplate,
+  migrateTemplate,
+  normalizeTemplate
+} from './utils/templateSchema';
+
+export {
+  createScopeId,
+  scopeCss
+} from './utils/scopedCss';
+
+export {
+  DEFAULT_SANITIZE_OPTIONS,
+  sanitizeHtml,
+  isSafeUrl,
+  isAllowedImageSource
+} from './utils/templateSanitizer';
+
+export {
+  evaluateCondition,
+  validateCondition,
+  parseCondition
+} from './utils/templateConditions';
+
+export {
+  registerFormatter,
+  unregisterFormatter,
+  listFormatters,
+  applyFormatters,
+  parseDuration,
+  formatDuration
+} from './utils/templateFormatters';
+
+export {
+  FEED_STATUS,
+  createRaceFeed,
+  parseFinisherMessage,
+  getReconnectDelay
+} from './utils/raceFeed';
+
+export {
+  DEFAULT_QUEUE_OPTIONS,
+  createFinisherQueue
+} from './utils/finisherQueue';
+
+export {
+  hasRepeatRows,
+  morphContent
+} from './utils/rowAnimations';
+
+export {
+  hasPortraitLayout,
+  resolveOrientationTemplate
+} from './utils/templateOrientation';
+
+export {
+  DISPLAY_TEMPLATE_STORAGE_KEY,
+  DEFAULT_TEMPLATE_ID,
+  TemplateStorageError,
+  isStorageAdapter,
+  isTemplateStore,
+  createLocalStorageAdapter,
+  bindTemplateStore,
+  createLocalStorageStore,
+  createIndexedDBStore,
+  createRestStore
+} from './utils/templateStorage';
+
+export {
+  splitForDiff,
+  diffLines,
+  diffTemplates
+} from './utils/templateDiff';
+
+export {
+  SHARED_ATTRIBUTE,
+  splitTemplateStates
+} from './utils/templateStates';
+
+export {
+  DEFAULT_DATA_SCHEMA,
+  FIELD_TYPES,
+  normalizeDataSchema,
+  getSampleData,
+  createFieldBlocks,
+  findTemplateFields,
+  findUnknownPlaceholders
+} from './utils/dataSchema';
+
+export {
+  getTemplateFonts,
+  waitForFonts,
+  onFontsLoaded
+} from './utils/fontLoading';
+
 // CSS import for convenience
 import './styles/responsiveDisplay.css';
\ No newline at end of file
@@ -0,0 +1,288 @@
+/* ──────────────────────────────────────────────────────────────
+   dataSchema.js
+   ------------------------------------------------------------------
+   The runner fields a template can bind to. The editor builds its
+   Runner Data blocks and binding panel from the schema, and flags
+   placeholders that name a field the schema does not have:
+
+     [{ name: 'bib', label: 'Bib', type: 'number', sample: '12345' }]
+
+   Fields inside a data-repeat row come from the row items, so they
+   are not checked.
+   ------------------------------------------------------------------ */
+
+import { VARIABLE_PATTERN } from './templateCompiler';
+import { DEFAULT_FIELD_ALIASES } from './templateData';
+import { parsePlaceholderExpression } from './templateFormatters';
+import { parseCondition } from './templateConditions';
+import { parseHtml, getAttribute, escapeAttribute, RAW_TEXT_ELEMENTS } from './htmlParser';
+import { TEMPLATE_STATES } from './templateSchema';
+
+export const FIELD_TYPES = ['text', 'number', 'time', 'image'];
+
+// Matches the runner the demo and the race feed send
+export const DEFAULT_DATA_SCHEMA = [
+  { name: 'first_name', label: 'First Name', type: 'text', sample: 'John' },
+  { name: 'last_name', label: 'Last Name', type: 'text', sample: 'Doe' },
+  { name: 'bib', label: 'Bib Number', type: 'number', sample: '12345' },
+  { name: 'time', label: 'Finish Time', type: 'time', sample: '1:23:45' },
+  { name: 'pace', label: 'Pace', type: 'time', sample: '7:30' },
+  { name: 'custom_message', label: 'Message', type: 'text', sample: 'Great job!' }
+];
+
+// Block id prefix, so schema blocks can be swapped when the schema changes
+export const FIELD_BLOCK_PREFIX = 'data-field-';
+
+// Field names are identifiers, optionally dotted for nested data
+const FIELD_NAME_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+// first_name -> First name
+const humanize = (name) => {
+  const words = name.split('.').pop().replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Normalize a data schema
+ * Fields may be given as names only; invalid and repeated names are dropped.
+ * @param {Array} schema - Fields as { name, label, type, sample } or name strings
+ * @returns {Array} Fields with every property filled in
+ */
+export function normalizeDataSchema(schema = DEFAULT_DATA_SCHEMA) {
+  const seen = new Set();
+
+  return (Array.isArray(schema) ? schema : []).reduce((fields, entry) => {
+    const field = typeof entry === 'string' ? { name: entry } : (entry || {});
+    const name = String(field.name ?? '').trim();
+
+    if (!FIELD_NAME_PATTERN.test(name)) {
+      console.warn(`[DataSchema] Ignoring field with invalid name "${name}"`);
+      return fields;
+    }
+    if (seen.has(name)) {
+      console.warn(`[DataSchema] Ignoring repeated field "${name}"`);
+      return fields;
+    }
+
+    let type = field.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      console.warn(`[DataSchema] Unknown type "${type}" for field "${name}", using text`);
+      type = 'text';
+    }
+
+    seen.add(name);
+    fields.push({
+      name,
+      label: field.label || humanize(name),
+      type,
+      sample: field.sample === undefined || field.sample === null ? '' : String(field.sample)
+    });
+    return fields;
+  }, []);
+}
+
+/**
+ * Runner data made of each field's sample value, for previews
+ * @param {Array} schema - Data schema
+ * @returns {Object} Sample runner data
+ */
+export function getSampleData(schema = DEFAULT_DATA_SCHEMA) {
+  return normalizeDataSchema(schema).reduce((data, { name, sample }) => {
+    const parts = name.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((current, part) => {
+      if (!current[part] || typeof current[part] !== 'object') current[part] = {};
+      return current[part];
+    }, data);
+    target[last] = sample;
+    return data;
+  }, {});
+}
+
+/**
+ * Editor block for one schema field
+ * Names and numbers shrink to fit rather than wrap; text may lose more size first.
+ * @param {Object} field - Normalized field
+ * @returns {Object} GrapesJS block config
+ */
+export function createFieldBlock(field) {
+  const { name, label, type, sample } = field;
+  const title = sample ? `${label} (e.g. ${sample})` : label;
+  const block = {
+    id: `${FIELD_BLOCK_PREFIX}${name.replace(/\./g, '-')}`,
+    label,
+    category: 'Runner Data',
+    attributes: { title, 'data-placeholder': name }
+  };
+
+  if (type === 'image') {
+    return {
+      ...block,
+      content: `<img data-placeholder="${name}" alt="${escapeAttribute(label)}" class="responsive-image" />`
+    };
+  }
+
+  const fit = type === 'text'
+    ? 'data-text-fit="auto" data-max-reduction="40"'
+    : 'data-text-fit="shrink"';
+  const size = type === 'number' ? 'text-xl' : 'text-lg';
+
+  return {
+    ...block,
+    content: `<div data-placeholder="${name}" ${fit} class="${size}">{{${name}}}</div>`
+  };
+}
+
+/**
+ * Editor blocks for every schema field
+ * @param {Array} schema - Data schema
+ * @returns {Array} GrapesJS block configs
+ */
+export function createFieldBlocks(schema = DEFAULT_DATA_SCHEMA) {
+  return normalizeDataSchema(schema).map(createFieldBlock);
+}
+
+/**
+ * Point a placeholder expression at another field, keeping its formatters
+ * @param {string} expression - e.g. "time|hms", or empty for an unbound element
+ * @param {string} field - New field name
+ * @returns {string} e.g. "pace|hms"
+ */
+export function rebindExpression(expression, field) {
+  const source = String(expression ?? '').trim();
+  const pipe = source.indexOf('|');
+  return pipe === -1 ? field : `${field}${source.slice(pipe)}`;
+}
+
+/**
+ * Point {{field}} markers for one field at another field
+ * @param {string} text - Text containing markers
+ * @param {string} fromField - Field currently bound
+ * @param {string} toField - New field
+ * @returns {string} Text with those markers rebound
+ */
+export function rebindText(text, fromField, toField) {
+  if (!text || !text.includes('{{')) return text;
+
+  return text.replace(VARIABLE_PATTERN, (match, expression) => (
+    parsePlaceholderExpression(expression).key === fromField
+      ? `{{${rebindExpression(expression, toField)}}}`
+      : match
+  ));
+}
+
+// Field names used by a data-if / data-unless expression
+const collectConditionFields = (expression, add) => {
+  let ast;
+  try {
+    ast = parseCondition(expression);
+  } catch (error) {
+    return; // Reported by validateCondition while editing
+  }
+
+  const visit = (node) => {
+    if (!node) return;
+    if (node.type === 'field') add(node.name);
+    [node.left, node.right, node.operand].forEach(visit);
+  };
+  visit(ast);
+};
+
+const collectTextFields = (text, add) => {
+  if (!text || !text.includes('{{')) return;
+  for (const [, expression] of text.matchAll(VARIABLE_PATTERN)) {
+    add(parsePlaceholderExpression(expression).key);
+  }
+};
+
+/**
+ * Fields a template's markup reads, outside data-repeat rows
+ * @param {string} html - Template HTML
+ * @returns {string[]} Field names in order of first use
+ */
+export function findTemplateFields(html = '') {
+  const fields = new Set();
+  const add = (key) => {
+    if (key) fields.add(key);
+  };
+
+  const visit = (node) => {
+    (node.children || []).forEach(child => {
+      if (child.type === 'text') {
+        collectTextFields(child.value, add);
+        return;
+      }
+      if (child.type !== 'element') return;
+
+      // The repeat source is read from the outer data, everything else from each row
+      const repeat = getAttribute(child, 'data-repeat');
+      if (repeat) {
+        add(parsePlaceholderExpression(repeat).key);
+        return;
+      }
+
+      child.attrs.forEach(({ name, value }) => {
+        if (!value) return;
+        if (name === 'data-placeholder') add(parsePlaceholderExpression(value).key);
+        else if (name === 'data-if' || name === 'data-unless') collectConditionFields(value, add);
+        else collectTextFields(value, add);
+      });
+
+      if (!RAW_TEXT_ELEMENTS.includes(child.tagName)) visit(child);
+    });
+  };
+  visit(parseHtml(html));
+
+  return [...fields];
+}
+
+/**
+ * Check whether a field name is covered by the schema
+ * Nested paths under a schema field, aliases and row fields like $index count as known.
+ * @param {string} key - Field name or dotted path
+ * @param {Array} schema - Data schema
+ * @param {Object} aliases - Field alias map
+ * @returns {boolean} True when the schema covers the field
+ */
+export function isKnownField(key, schema = DEFAULT_DATA_SCHEMA, aliases = DEFAULT_FIELD_ALIASES) {
+  if (key.startsWith('$') || (aliases && aliases[key])) return true;
+  return normalizeDataSchema(schema).some(({ name }) => key === name || key.startsWith(`${name}.`));
+}
+
+/**
+ * Placeholders that name a field the schema does not have
+ * @param {string|Object} template - Template HTML, or a template with activeState/restingState
+ * @param {Array} schema - Data schema
+ * @param {Object} options - { aliases } as passed to the compiler
+ * @returns {string[]} Unknown field names in order of first use
+ */
+export function findUnknownPlaceholders(template, schema = DEFAULT_DATA_SCHEMA, { aliases = DEFAULT_FIELD_ALIASES } = {}) {
+  const sources = typeof template === 'string'
+    ? [template]
+    : TEMPLATE_STATES.map(state => template?.[state]?.html || '').concat(template?.html || '');
+  const fields = normalizeDataSchema(schema);
+  const unknown = new Set();
+
+  sources.forEach(html => {
+    findTemplateFields(html).forEach(key => {
+      if (!isKnownField(key, fields, aliases)) unknown.add(key);
+    });
+  });
+
+  return [...unknown];
+}
+
+export default {
+  FIELD_TYPES,
+  DEFAULT_DATA_SCHEMA,
+  FIELD_BLOCK_PREFIX,
+  normalizeDataSchema,
+  getSampleData,
+  createFieldBlock,
+  createFieldBlocks,
+  rebindExpression,
+  rebindText,
+  findTemplateFields,
+  isKnownField,
+  findUnknownPlaceholders
+};
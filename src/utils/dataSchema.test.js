@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  DEFAULT_DATA_SCHEMA,
+  normalizeDataSchema,
+  getSampleData,
+  createFieldBlock,
+  createFieldBlocks,
+  rebindExpression,
+  rebindText,
+  findTemplateFields,
+  isKnownField,
+  findUnknownPlaceholders
+} from './dataSchema';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('normalizeDataSchema', () => {
+  it('fills in labels, types and samples', () => {
+    expect(normalizeDataSchema(['age_group', { name: 'team.name', type: 'text', sample: 7 }])).toEqual([
+      { name: 'age_group', label: 'Age group', type: 'text', sample: '' },
+      { name: 'team.name', label: 'Name', type: 'text', sample: '7' }
+    ]);
+  });
+
+  it('drops invalid and repeated fields, warning about each', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fields = normalizeDataSchema(['bib', 'bib', '2fast', 'a b', '', null, { label: 'No name' }]);
+
+    expect(fields.map(field => field.name)).toEqual(['bib']);
+    expect(warn).toHaveBeenCalledTimes(6);
+  });
+
+  it('falls back to text for unknown types', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(normalizeDataSchema([{ name: 'photo', type: 'picture' }])[0].type).toBe('text');
+  });
+
+  it('treats a missing schema as empty', () => {
+    expect(normalizeDataSchema(null)).toEqual([]);
+  });
+});
+
+describe('getSampleData', () => {
+  it('builds runner data from the samples, nesting dotted fields', () => {
+    expect(getSampleData(['bib', { name: 'team.name', sample: 'Blue' }, { name: 'team.city', sample: 'Oslo' }]))
+      .toEqual({ bib: '', team: { name: 'Blue', city: 'Oslo' } });
+    expect(getSampleData()).toMatchObject({ first_name: 'John', bib: '12345', time: '1:23:45' });
+  });
+});
+
+describe('field blocks', () => {
+  it('creates a Runner Data block for each demo runner field', () => {
+    const blocks = createFieldBlocks();
+    expect(blocks.map(block => block.id)).toEqual(DEFAULT_DATA_SCHEMA.map(({ name }) => `data-field-${name}`));
+
+    const byName = Object.fromEntries(blocks.map(block => [block.attributes['data-placeholder'], block]));
+    expect(byName.first_name).toMatchObject({ label: 'First Name', category: 'Runner Data' });
+    expect(byName.first_name.content)
+      .toBe('<div data-placeholder="first_name" data-text-fit="auto" data-max-reduction="40" class="text-lg">{{first_name}}</div>');
+    expect(byName.bib.content).toBe('<div data-placeholder="bib" data-text-fit="shrink" class="text-xl">{{bib}}</div>');
+    expect(byName.time.content).toBe('<div data-placeholder="time" data-text-fit="shrink" class="text-lg">{{time}}</div>');
+    expect(byName.time.attributes.title).toBe('Finish Time (e.g. 1:23:45)');
+  });
+
+  it('creates image blocks and ids for nested fields', () => {
+    expect(createFieldBlock({ name: 'team.logo', label: 'Team "logo"', type: 'image', sample: '' })).toEqual({
+      id: 'data-field-team-logo',
+      label: 'Team "logo"',
+      category: 'Runner Data',
+      attributes: { title: 'Team "logo"', 'data-placeholder': 'team.logo' },
+      content: '<img data-placeholder="team.logo" alt="Team &quot;logo&quot;" class="responsive-image" />'
+    });
+  });
+});
+
+describe('rebinding', () => {
+  it('keeps formatters when pointing a placeholder at another field', () => {
+    expect(rebindExpression('time|hms', 'pace')).toBe('pace|hms');
+    expect(rebindExpression('', 'bib')).toBe('bib');
+    expect(rebindText('{{ time|hms }} / {{times}} / {{time}}', 'time', 'pace'))
+      .toBe('{{pace|hms}} / {{times}} / {{pace}}');
+  });
+});
+
+describe('findTemplateFields', () => {
+  it('collects fields from text, attributes, placeholders and conditions', () => {
+    const html = '<div title="{{bib}}" data-if="age_group_place <= 3 && !dnf">' +
+      '<span data-placeholder="first_name|upper"></span>{{ time|hms }}</div>';
+    expect(findTemplateFields(html)).toEqual(['bib', 'age_group_place', 'dnf', 'first_name', 'time']);
+  });
+
+  it('reads only the source of data-repeat rows', () => {
+    expect(findTemplateFields('<li data-repeat="splits|truncate:3">{{km}} {{$index}}</li>')).toEqual(['splits']);
+  });
+
+  it('skips malformed conditions and raw text', () => {
+    expect(findTemplateFields('<i data-if="bib >"></i><style>{{color}}</style>')).toEqual([]);
+  });
+});
+
+describe('isKnownField', () => {
+  it('accepts schema fields, nested paths, aliases and row fields', () => {
+    const schema = ['bib', 'team'];
+    expect(isKnownField('bib', schema)).toBe(true);
+    expect(isKnownField('team.name', schema)).toBe(true);
+    expect(isKnownField('message', schema)).toBe(true);
+    expect(isKnownField('$position', schema)).toBe(true);
+    expect(isKnownField('bibs', schema)).toBe(false);
+    expect(isKnownField('message', schema, {})).toBe(false);
+  });
+});
+
+describe('findUnknownPlaceholders', () => {
+  it('flags {{foo}} and data-placeholder="foo"', () => {
+    expect(findUnknownPlaceholders('<b>{{first_name}} {{foo}}</b>')).toEqual(['foo']);
+    expect(findUnknownPlaceholders('<b data-placeholder="foo|upper"></b><i data-placeholder="bib"></i>')).toEqual(['foo']);
+  });
+
+  it('checks both states of a template, once per field', () => {
+    const template = {
+      activeState: { html: '<b>{{foo}} {{time}}</b>' },
+      restingState: { html: '<i data-if="next_wave">{{foo}}</i>' }
+    };
+    expect(findUnknownPlaceholders(template)).toEqual(['foo', 'next_wave']);
+  });
+
+  it('uses the given schema', () => {
+    expect(findUnknownPlaceholders('{{foo}} {{bib}}', ['foo'])).toEqual(['bib']);
+    expect(findUnknownPlaceholders(null)).toEqual([]);
+  });
+});
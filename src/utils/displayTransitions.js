@@ -0,0 +1,89 @@
+/* ──────────────────────────────────────────────────────────────
+   displayTransitions.js
+   ------------------------------------------------------------------
+   Exit animation helpers for race display layers. Entrance classes
+   are expanded by the template compiler; this module plays
+   data-anim-exit on the outgoing layer, sequences elements via their
+   delays and honors the user's reduced-motion preference.
+   ------------------------------------------------------------------ */
+
+const ANIMATE_BASE_CLASS = 'animate__animated';
+const DEFAULT_DURATION_MS = 1000;
+
+/**
+ * Check whether the user asked the OS/browser to reduce motion
+ * @returns {boolean} True when prefers-reduced-motion: reduce matches
+ */
+export function prefersReducedMotion() {
+  if (typeof window === 'undefined' || !window.matchMedia) return false;
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Check whether template HTML declares any exit animations
+ * @param {string} html - Template HTML
+ * @returns {boolean} True if at least one element has data-anim-exit
+ */
+export function hasExitAnimations(html) {
+  return typeof html === 'string' && /\sdata-anim-exit\s*=\s*["']?\s*[\w-]/.test(html);
+}
+
+// Remove any animate.css classes left from a previous phase
+const clearAnimationClasses = (node) => {
+  Array.from(node.classList)
+    .filter(className => className.startsWith('animate__'))
+    .forEach(className => node.classList.remove(className));
+};
+
+// Apply a single animation to a node and return when it will finish (ms)
+const animateNode = (node, animation, duration, delay) => {
+  const sanitizedAnim = animation.trim().replace(/\s+/g, '');
+
+  clearAnimationClasses(node);
+  node.classList.add(ANIMATE_BASE_CLASS, `animate__${sanitizedAnim}`);
+  node.style.setProperty('--animate-duration', `${duration}ms`);
+  node.style.setProperty('--animate-delay', `${delay}ms`);
+  node.style.animationDelay = `${delay}ms`;
+
+  return delay + duration;
+};
+
+/**
+ * Apply exit animations from data-anim-exit attributes
+ * Exit timing comes from data-anim-exit-dur / data-anim-exit-delay and falls
+ * back to data-anim-dur / data-anim-delay so elements leave in the same order
+ * they arrived.
+ * @param {HTMLElement} root - Outgoing layer root element
+ * @param {Object} options - Animation options
+ * @param {boolean} options.reducedMotion - Skip animations entirely (default: prefersReducedMotion())
+ * @returns {number} Time in ms until the outgoing layer can be removed
+ */
+export function applyExitAnimations(root, options = {}) {
+  if (!root) return 0;
+  const { reducedMotion = prefersReducedMotion() } = options;
+  if (reducedMotion) return 0;
+
+  let totalDuration = 0;
+
+  root.querySelectorAll('[data-anim-exit]').forEach(node => {
+    const anim = node.getAttribute('data-anim-exit');
+    if (!anim || anim.trim() === '') return;
+
+    const duration = parseInt(node.getAttribute('data-anim-exit-dur'))
+      || parseInt(node.getAttribute('data-anim-dur'))
+      || DEFAULT_DURATION_MS;
+    const delay = parseInt(node.getAttribute('data-anim-exit-delay'))
+      || parseInt(node.getAttribute('data-anim-delay'))
+      || 0;
+
+    totalDuration = Math.max(totalDuration, animateNode(node, anim, duration, delay));
+  });
+
+  return totalDuration;
+}
+
+export default {
+  prefersReducedMotion,
+  hasExitAnimations,
+  applyExitAnimations
+};
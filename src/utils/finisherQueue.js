@@ -0,0 +1,217 @@
+/* ──────────────────────────────────────────────────────────────
+   finisherQueue.js
+   ------------------------------------------------------------------
+   Paces finishers onto the display. Holds each runner for a minimum
+   dwell time, collapses duplicate chip reads for the same bib,
+   lets priority (elite/VIP) bibs jump the queue and falls back to
+   the resting state once the queue runs dry.
+   ------------------------------------------------------------------ */
+
+export const DEFAULT_QUEUE_OPTIONS = {
+  minDwellMs: 4000,       // Minimum time each runner stays on screen
+  maxDwellMs: 15000,      // Return to resting state after this long with nothing queued (null = hold)
+  dedupeWindowMs: 10000,  // Ignore repeat reads of the same bib within this window
+  maxLength: 100,         // Drop the oldest non-priority runners beyond this length
+  priorityBibs: [],       // Bibs that jump the queue
+  isPriority: null        // Custom priority predicate (runner) => boolean
+};
+
+/**
+ * Get the de-duplication key for a runner
+ * @param {Object} runner - Runner data
+ * @returns {string|null} Bib as string, or null if the runner has no bib
+ */
+export function getRunnerKey(runner) {
+  const bib = runner?.bib ?? runner?.bib_number;
+  return bib === undefined || bib === null ? null : String(bib);
+}
+
+// Runner with the fields of a later read applied; the same object when nothing changed
+const mergeRunner = (runner, update) => {
+  const changed = Object.keys(update).some(field => (
+    JSON.stringify(runner[field]) !== JSON.stringify(update[field])
+  ));
+  return changed ? { ...runner, ...update } : runner;
+};
+
+/**
+ * Create a finisher queue
+ * @param {Object} options - Queue options (see DEFAULT_QUEUE_OPTIONS)
+ * @param {Object} handlers - Event handlers
+ * @param {function} handlers.onCurrentChange - Called with the runner to display (null = resting state)
+ * @param {function} handlers.onQueueChange - Called with { length, current, queued } on every change
+ * @returns {Object} Queue controller
+ */
+export function createFinisherQueue(options = {}, handlers = {}) {
+  let config = { ...DEFAULT_QUEUE_OPTIONS, ...options };
+  let queued = [];
+  let current = null;
+  let shownAt = 0;
+  let dwellTimeout = null;
+  let restTimeout = null;
+  const lastSeen = new Map();
+
+  const isPriorityRunner = (runner) => {
+    if (runner.priority) return true;
+    if (config.isPriority && config.isPriority(runner)) return true;
+    const key = getRunnerKey(runner);
+    return key !== null && config.priorityBibs.map(String).includes(key);
+  };
+
+  const notify = () => {
+    if (handlers.onQueueChange) {
+      handlers.onQueueChange({
+        length: queued.length,
+        current,
+        queued: queued.map(entry => entry.runner)
+      });
+    }
+  };
+
+  const clearTimers = () => {
+    clearTimeout(dwellTimeout);
+    clearTimeout(restTimeout);
+    dwellTimeout = null;
+    restTimeout = null;
+  };
+
+  const show = (runner) => {
+    clearTimers();
+    current = runner;
+    shownAt = Date.now();
+
+    if (handlers.onCurrentChange) handlers.onCurrentChange(runner);
+    notify();
+
+    if (runner) {
+      dwellTimeout = setTimeout(handleDwellComplete, config.minDwellMs);
+    }
+  };
+
+  const advance = () => {
+    const next = queued.shift();
+    show(next ? next.runner : null);
+  };
+
+  function handleDwellComplete() {
+    dwellTimeout = null;
+
+    if (queued.length > 0) {
+      advance();
+      return;
+    }
+
+    // Nothing waiting - hold the current runner until maxDwellMs, then rest
+    if (config.maxDwellMs !== null && config.maxDwellMs !== undefined) {
+      const remaining = Math.max(0, config.maxDwellMs - (Date.now() - shownAt));
+      restTimeout = setTimeout(() => show(null), remaining);
+    }
+  }
+
+  const pruneSeen = (now) => {
+    lastSeen.forEach((seenAt, key) => {
+      if (now - seenAt > config.dedupeWindowMs) lastSeen.delete(key);
+    });
+  };
+
+  return {
+    /**
+     * Add a runner to the queue
+     * @param {Object} runner - Runner data
+     * @returns {boolean} False when the read was collapsed as a duplicate; its changed
+     *   fields still update the queued or displayed runner
+     */
+    enqueue(runner) {
+      if (!runner) return false;
+
+      const now = Date.now();
+      const key = getRunnerKey(runner);
+      pruneSeen(now);
+
+      if (key !== null && lastSeen.has(key)) {
+        // Duplicate read - refresh the runner's data (e.g. a corrected time), never re-show
+        const existing = queued.find(entry => entry.key === key);
+        if (existing) {
+          const merged = mergeRunner(existing.runner, runner);
+          if (merged !== existing.runner) {
+            existing.runner = merged;
+            notify();
+          }
+        } else if (current && getRunnerKey(current) === key) {
+          // The runner on screen keeps its dwell time
+          const merged = mergeRunner(current, runner);
+          if (merged !== current) {
+            current = merged;
+            if (handlers.onCurrentChange) handlers.onCurrentChange(current);
+            notify();
+          }
+        }
+        return false;
+      }
+
+      if (key !== null) lastSeen.set(key, now);
+
+      const entry = { key, runner, priority: isPriorityRunner(runner) };
+
+      if (entry.priority) {
+        // Priority runners go after other priority runners, ahead of everyone else
+        const insertAt = queued.findIndex(item => !item.priority);
+        if (insertAt === -1) queued.push(entry);
+        else queued.splice(insertAt, 0, entry);
+      } else {
+        queued.push(entry);
+      }
+
+      if (queued.length > config.maxLength) {
+        const dropIndex = queued.findIndex(item => !item.priority);
+        queued.splice(dropIndex === -1 ? 0 : dropIndex, 1);
+      }
+
+      // Show immediately if idle or the current runner has served its dwell time
+      if (!current || dwellTimeout === null) {
+        advance();
+      } else {
+        notify();
+      }
+
+      return true;
+    },
+
+    // Skip the current runner and show the next one (or the resting state)
+    skip() {
+      advance();
+    },
+
+    // Drop everything and return to the resting state
+    clear() {
+      queued = [];
+      lastSeen.clear();
+      show(null);
+    },
+
+    setOptions(nextOptions = {}) {
+      config = { ...DEFAULT_QUEUE_OPTIONS, ...nextOptions };
+    },
+
+    getState() {
+      return {
+        length: queued.length,
+        current,
+        queued: queued.map(entry => entry.runner)
+      };
+    },
+
+    destroy() {
+      clearTimers();
+      queued = [];
+      lastSeen.clear();
+      current = null;
+    }
+  };
+}
+
+export default {
+  DEFAULT_QUEUE_OPTIONS,
+  getRunnerKey,
+  createFinisherQueue
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createFinisherQueue, getRunnerKey } from './finisherQueue';
+
+describe('createFinisherQueue', () => {
+  let shown;
+  let queue;
+
+  const create = (options = {}) => createFinisherQueue(
+    { minDwellMs: 1000, maxDwellMs: 5000, dedupeWindowMs: 10000, ...options },
+    { onCurrentChange: runner => shown.push(runner) }
+  );
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    shown = [];
+  });
+
+  afterEach(() => {
+    queue?.destroy();
+    vi.useRealTimers();
+  });
+
+  it('holds each runner for the dwell time, then rests', () => {
+    queue = create();
+    queue.enqueue({ bib: 1 });
+    queue.enqueue({ bib: 2 });
+    expect(queue.getState()).toMatchObject({ current: { bib: 1 }, length: 1 });
+
+    vi.advanceTimersByTime(1000);
+    expect(queue.getState().current).toEqual({ bib: 2 });
+
+    vi.advanceTimersByTime(5000);
+    expect(queue.getState().current).toBeNull();
+    expect(shown).toEqual([{ bib: 1 }, { bib: 2 }, null]);
+  });
+
+  it('lets priority bibs jump the queue', () => {
+    queue = create({ priorityBibs: [9] });
+    queue.enqueue({ bib: 1 });
+    queue.enqueue({ bib: 2 });
+    queue.enqueue({ bib: 9 });
+    expect(queue.getState().queued.map(getRunnerKey)).toEqual(['9', '2']);
+  });
+
+  it('updates a queued runner from a duplicate read', () => {
+    queue = create();
+    queue.enqueue({ bib: 1 });
+    queue.enqueue({ bib: 2, time: '1:00:05' });
+    expect(queue.enqueue({ bib: 2, time: '1:00:03' })).toBe(false);
+
+    expect(queue.getState().queued).toEqual([{ bib: 2, time: '1:00:03' }]);
+  });
+
+  it('updates the runner on screen from a duplicate read, keeping its dwell time', () => {
+    queue = create();
+    queue.enqueue({ bib: 1, time: '1:00:05' });
+    queue.enqueue({ bib: 2 });
+    vi.advanceTimersByTime(600);
+
+    expect(queue.enqueue({ bib: 1, time: '1:00:03' })).toBe(false);
+    expect(queue.getState().current).toEqual({ bib: 1, time: '1:00:03' });
+    expect(shown).toEqual([{ bib: 1, time: '1:00:05' }, { bib: 1, time: '1:00:03' }]);
+
+    vi.advanceTimersByTime(400);
+    expect(queue.getState().current).toEqual({ bib: 2 });
+  });
+
+  it('ignores repeat reads that change nothing', () => {
+    const onQueueChange = vi.fn();
+    queue = createFinisherQueue({}, { onQueueChange, onCurrentChange: runner => shown.push(runner) });
+    const runner = { bib: 1, splits: [{ km: 5 }] };
+    queue.enqueue(runner);
+    onQueueChange.mockClear();
+
+    queue.enqueue({ bib: 1, splits: [{ km: 5 }] });
+    expect(onQueueChange).not.toHaveBeenCalled();
+    expect(shown).toEqual([runner]);
+    expect(queue.getState().current).toBe(runner);
+  });
+
+  it('shows a bib again after the dedupe window', () => {
+    queue = create({ dedupeWindowMs: 2000 });
+    queue.enqueue({ bib: 1 });
+    vi.advanceTimersByTime(6000);
+    expect(queue.enqueue({ bib: 1 })).toBe(true);
+    expect(queue.getState().current).toEqual({ bib: 1 });
+  });
+
+  it('applies new options to later runners', () => {
+    queue = create();
+    queue.setOptions({ minDwellMs: 200, priorityBibs: [], dedupeWindowMs: 0 });
+    queue.enqueue({ bib: 1 });
+    queue.enqueue({ bib: 2 });
+    vi.advanceTimersByTime(200);
+    expect(queue.getState().current).toEqual({ bib: 2 });
+  });
+});
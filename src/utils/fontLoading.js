@@ -0,0 +1,137 @@
+/* ──────────────────────────────────────────────────────────────
+   fontLoading.js
+   ------------------------------------------------------------------
+   Webfont readiness for text fitting. Names measured with a fallback
+   font overflow once the real font swaps in, so displays wait on
+   document.fonts for the fonts a template uses (bounded by a
+   timeout) and re-fit when further fonts finish loading.
+
+   Templates declare their fonts in `fonts`:
+     fonts: ['Barlow Condensed', '700 Barlow Condensed',
+             { family: 'Inter', weight: 600, style: 'italic' }]
+   Families from @font-face rules in the template CSS are added.
+   ------------------------------------------------------------------ */
+
+import { TEMPLATE_STATES } from './templateSchema';
+
+export const DEFAULT_FONT_TIMEOUT_MS = 3000;
+
+// Any size works - document.fonts.load only uses it to build the font shorthand
+const PROBE_SIZE = '16px';
+const FONT_FACE_PATTERN = /@font-face\s*\{[^}]*?font-family\s*:\s*(['"]?)([^;'"}]+)\1/gi;
+const FONT_PREFIX_PATTERN = /^((?:(?:normal|italic|oblique|bold|bolder|lighter|[1-9]00)\s+)*)(.+)$/i;
+
+const quoteFamily = (family) => {
+  const trimmed = family.trim();
+  return /^['"]/.test(trimmed) ? trimmed : `"${trimmed}"`;
+};
+
+/**
+ * Turn a declared font into a query for document.fonts.load
+ * @param {string|Object} font - 'Family', '700 italic Family', a full shorthand
+ *   with a size, or { family, weight, style }
+ * @returns {string|null} CSS font shorthand, null for unusable entries
+ */
+export function toFontQuery(font) {
+  if (font && typeof font === 'object') {
+    if (typeof font.family !== 'string' || !font.family.trim()) return null;
+    const { style = 'normal', weight = 400 } = font;
+    return `${style} ${weight} ${PROBE_SIZE} ${quoteFamily(font.family)}`;
+  }
+
+  if (typeof font !== 'string' || !font.trim()) return null;
+
+  // Already a shorthand with a size ('700 48px Barlow')
+  if (/\d(?:px|pt|em|rem|%)\b/.test(font)) return font.trim();
+
+  const [, prefix, family] = FONT_PREFIX_PATTERN.exec(font.trim());
+  return `${prefix}${PROBE_SIZE} ${quoteFamily(family)}`;
+}
+
+/**
+ * Collect the fonts a template depends on
+ * @param {Object} template - Template (any schema version)
+ * @returns {string[]} Unique font queries for document.fonts.load
+ */
+export function getTemplateFonts(template) {
+  if (!template || typeof template !== 'object') return [];
+
+  const declared = Array.isArray(template.fonts) ? template.fonts : [];
+  const layouts = [template, template.portrait].filter(Boolean);
+  const stylesheets = layouts
+    .flatMap(layout => [layout, ...TEMPLATE_STATES.map(state => layout[state])])
+    .map(source => source?.css)
+    .filter(css => typeof css === 'string');
+  const fontFaces = stylesheets.flatMap(css => (
+    Array.from(css.matchAll(FONT_FACE_PATTERN), match => match[2].trim())
+  ));
+
+  const queries = [...declared, ...fontFaces].map(toFontQuery).filter(Boolean);
+  return Array.from(new Set(queries));
+}
+
+const getFontSet = () => (
+  typeof document !== 'undefined' && document.fonts ? document.fonts : null
+);
+
+/**
+ * Wait until the given fonts are loaded, or the timeout passes
+ * Never rejects - a missing font must not keep the display blank.
+ * @param {string[]} fonts - Font queries (see getTemplateFonts)
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Maximum wait in ms (default: 3000)
+ * @returns {Promise<Object>} { loaded, timedOut, failed } - failed lists fonts that matched no face
+ */
+export function waitForFonts(fonts, { timeout = DEFAULT_FONT_TIMEOUT_MS } = {}) {
+  const fontSet = getFontSet();
+  if (!fontSet || !fonts || fonts.length === 0) {
+    return Promise.resolve({ loaded: true, timedOut: false, failed: [] });
+  }
+
+  const failed = [];
+  const loads = fonts.map(font => (
+    fontSet.load(font)
+      .then(faces => {
+        if (faces.length === 0) failed.push(font);
+      })
+      .catch(() => {
+        failed.push(font);
+      })
+  ));
+
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve(true), timeout);
+  });
+
+  return Promise.race([Promise.all(loads).then(() => false), timedOut]).then(didTimeOut => {
+    clearTimeout(timer);
+    if (didTimeOut) {
+      console.warn(`[FontLoading] Fonts not ready after ${timeout}ms, fitting with fallbacks:`, fonts);
+    } else if (failed.length > 0) {
+      console.warn('[FontLoading] No font faces found for:', failed);
+    }
+    return { loaded: !didTimeOut && failed.length === 0, timedOut: didTimeOut, failed };
+  });
+}
+
+/**
+ * Subscribe to fonts finishing loading after the initial wait
+ * @param {function} callback - Called after each batch of fonts finishes loading
+ * @returns {function} Unsubscribe function
+ */
+export function onFontsLoaded(callback) {
+  const fontSet = getFontSet();
+  if (!fontSet || typeof fontSet.addEventListener !== 'function') return () => {};
+
+  fontSet.addEventListener('loadingdone', callback);
+  return () => fontSet.removeEventListener('loadingdone', callback);
+}
+
+export default {
+  DEFAULT_FONT_TIMEOUT_MS,
+  toFontQuery,
+  getTemplateFonts,
+  waitForFonts,
+  onFontsLoaded
+};
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { toFontQuery, getTemplateFonts, waitForFonts, onFontsLoaded } from './fontLoading';
+
+// document.fonts stand-in: loads resolve with `faces`, or never when `pending`
+const createFontSet = ({ faces = {}, pending = [] } = {}) => ({
+  load: vi.fn(font => (pending.includes(font)
+    ? new Promise(() => {})
+    : Promise.resolve(faces[font] ?? [{}]))),
+  addEventListener: vi.fn(),
+  removeEventListener: vi.fn()
+});
+
+describe('toFontQuery', () => {
+  it('turns declared fonts into document.fonts queries', () => {
+    expect(toFontQuery('Barlow Condensed')).toBe('16px "Barlow Condensed"');
+    expect(toFontQuery('700 italic Barlow')).toBe('700 italic 16px "Barlow"');
+    expect(toFontQuery("'Inter'")).toBe("16px 'Inter'");
+    expect(toFontQuery('700 48px Barlow')).toBe('700 48px Barlow');
+    expect(toFontQuery({ family: 'Inter', weight: 600, style: 'italic' })).toBe('italic 600 16px "Inter"');
+  });
+
+  it('rejects unusable entries', () => {
+    expect(toFontQuery('')).toBeNull();
+    expect(toFontQuery({ weight: 700 })).toBeNull();
+    expect(toFontQuery(42)).toBeNull();
+  });
+});
+
+describe('getTemplateFonts', () => {
+  it('collects declared fonts and @font-face families from every layout', () => {
+    const template = {
+      fonts: ['Inter', { family: 'Inter', weight: 400 }],
+      activeState: { css: '@font-face { font-family: "Race Sans"; src: url(a.woff2) } .a{}' },
+      restingState: { css: "@font-face{font-family:'Race Sans';src:url(a.woff2)}" },
+      portrait: { css: '@font-face { font-family: Tall; src: url(t.woff2) }' }
+    };
+
+    expect(getTemplateFonts(template)).toEqual([
+      '16px "Inter"',
+      'normal 400 16px "Inter"',
+      '16px "Race Sans"',
+      '16px "Tall"'
+    ]);
+  });
+
+  it('returns nothing for templates without fonts', () => {
+    expect(getTemplateFonts({ html: '<b></b>', css: '.a{font-family: Arial}' })).toEqual([]);
+    expect(getTemplateFonts(null)).toEqual([]);
+  });
+});
+
+describe('waitForFonts', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('is ready at once without fonts or a font set', async () => {
+    vi.stubGlobal('document', { fonts: createFontSet() });
+    await expect(waitForFonts([])).resolves.toEqual({ loaded: true, timedOut: false, failed: [] });
+
+    vi.stubGlobal('document', {});
+    await expect(waitForFonts(['16px "Inter"'])).resolves.toMatchObject({ loaded: true });
+  });
+
+  it('resolves once every font has loaded', async () => {
+    const fonts = createFontSet();
+    vi.stubGlobal('document', { fonts });
+
+    await expect(waitForFonts(['16px "A"', '16px "B"'])).resolves.toEqual({ loaded: true, timedOut: false, failed: [] });
+    expect(fonts.load).toHaveBeenCalledTimes(2);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('reports fonts that match no face or fail to load', async () => {
+    const fonts = createFontSet({ faces: { '16px "Missing"': [] } });
+    fonts.load.mockImplementationOnce(() => Promise.reject(new Error('bad')));
+    vi.stubGlobal('document', { fonts });
+
+    await expect(waitForFonts(['16px "Broken"', '16px "Missing"'])).resolves.toEqual({
+      loaded: false,
+      timedOut: false,
+      failed: expect.arrayContaining(['16px "Broken"', '16px "Missing"'])
+    });
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the timeout instead of waiting forever', async () => {
+    vi.useFakeTimers();
+    vi.stubGlobal('document', { fonts: createFontSet({ pending: ['16px "Slow"'] }) });
+
+    const result = waitForFonts(['16px "Slow"'], { timeout: 500 });
+    await vi.advanceTimersByTimeAsync(500);
+
+    await expect(result).resolves.toEqual({ loaded: false, timedOut: true, failed: [] });
+    expect(warn.mock.calls[0][0]).toMatch(/not ready after 500ms/);
+  });
+});
+
+describe('onFontsLoaded', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('subscribes to loadingdone', () => {
+    const fonts = createFontSet();
+    vi.stubGlobal('document', { fonts });
+    const callback = () => {};
+
+    const unsubscribe = onFontsLoaded(callback);
+    expect(fonts.addEventListener).toHaveBeenCalledWith('loadingdone', callback);
+    unsubscribe();
+    expect(fonts.removeEventListener).toHaveBeenCalledWith('loadingdone', callback);
+  });
+
+  it('does nothing without a font set', () => {
+    vi.stubGlobal('document', undefined);
+    expect(onFontsLoaded(() => {})).toBeTypeOf('function');
+  });
+});
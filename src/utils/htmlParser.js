@@ -0,0 +1,413 @@
+/* ──────────────────────────────────────────────────────────────
+   htmlParser.js
+   ------------------------------------------------------------------
+   Minimal, dependency-free HTML parser and serializer for template
+   markup. Works without a browser so templates can be compiled and
+   unit tested in Node. Tuned for editor output (well-formed markup),
+   not for arbitrary documents from the web.
+   ------------------------------------------------------------------ */
+
+// Elements that never have children or a closing tag
+export const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// Elements whose content is raw text, not markup
+export const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// Inside these, browsers parse every element's content as markup, raw text elements included
+export const FOREIGN_ELEMENTS = ['svg', 'math'];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0'
+};
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Escape a value for use as HTML text content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeAttribute(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Decode HTML character references
+ * @param {string} value - Encoded string
+ * @returns {string} Decoded string
+ */
+export function decodeEntities(value) {
+  if (!value || !value.includes('&')) return value;
+
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint > 0 && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Create an element node
+ * @param {string} tagName - Tag name
+ * @param {Array} attrs - Attributes as [{ name, value }]
+ * @param {Array} children - Child nodes
+ * @returns {Object} Element node
+ */
+export function createElement(tagName, attrs = [], children = []) {
+  return { type: 'element', tagName: tagName.toLowerCase(), attrs, children };
+}
+
+/**
+ * Create a text node from an unescaped value
+ * @param {*} value - Text to display
+ * @returns {Object} Text node holding escaped markup
+ */
+export function createTextNode(value) {
+  return { type: 'text', value: escapeHtml(value) };
+}
+
+const parseAttributes = (source) => {
+  const attrs = [];
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const rawValue = match[2] ?? match[3] ?? match[4];
+    attrs.push({
+      name: match[1].toLowerCase(),
+      value: rawValue === undefined ? null : decodeEntities(rawValue)
+    });
+  }
+
+  return attrs;
+};
+
+/**
+ * Parse an HTML fragment into a node tree
+ * Text nodes keep their original (escaped) markup in `value`; attribute
+ * values are decoded and re-escaped on serialization.
+ * @param {string} html - HTML fragment
+ * @returns {Object} Root node ({ type: 'root', children })
+ */
+export function parseHtml(html = '') {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const source = String(html);
+  let index = 0;
+
+  const current = () => stack[stack.length - 1];
+  const appendText = (text) => {
+    if (!text) return;
+    const siblings = current().children;
+    const last = siblings[siblings.length - 1];
+    if (last && last.type === 'text') last.value += text;
+    else siblings.push({ type: 'text', value: text });
+  };
+
+  while (index < source.length) {
+    const tagStart = source.indexOf('<', index);
+
+    if (tagStart === -1) {
+      appendText(source.slice(index));
+      break;
+    }
+
+    appendText(source.slice(index, tagStart));
+
+    // Comments, ended the way browsers end them: "<!-->", "<!--->", "-->" or "--!>"
+    if (source.startsWith('<!--', tagStart)) {
+      const abrupt = /^<!---?>/.exec(source.slice(tagStart, tagStart + 6));
+      if (abrupt) {
+        current().children.push({ type: 'comment', value: '' });
+        index = tagStart + abrupt[0].length;
+        continue;
+      }
+      const endMatch = /--!?>/.exec(source.slice(tagStart + 4));
+      const end = endMatch ? tagStart + 4 + endMatch.index : source.length;
+      current().children.push({ type: 'comment', value: source.slice(tagStart + 4, end) });
+      index = endMatch ? end + endMatch[0].length : source.length;
+      continue;
+    }
+
+    // Doctype and other declarations are dropped from fragments
+    if (source.startsWith('<!', tagStart) || source.startsWith('<?', tagStart)) {
+      const declarationEnd = source.indexOf('>', tagStart);
+      index = declarationEnd === -1 ? source.length : declarationEnd + 1;
+      continue;
+    }
+
+    // Closing tags
+    // Like browsers, accept anything after the name of an end tag, e.g. </div x> or </p/>
+    const closeMatch = /^<\/([a-zA-Z][\w:-]*)(?:[\s/][^>]*)?>/.exec(source.slice(tagStart));
+    if (closeMatch) {
+      const tagName = closeMatch[1].toLowerCase();
+      const openIndex = stack.map(node => node.tagName).lastIndexOf(tagName);
+      if (openIndex > 0) stack.length = openIndex;
+      index = tagStart + closeMatch[0].length;
+      continue;
+    }
+
+    // Opening tags
+    const openMatch = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/.exec(source.slice(tagStart));
+    if (!openMatch) {
+      // Not a tag - keep the angle bracket as text
+      appendText('&lt;');
+      index = tagStart + 1;
+      continue;
+    }
+
+    const element = createElement(openMatch[1], parseAttributes(openMatch[2]));
+    current().children.push(element);
+    index = tagStart + openMatch[0].length;
+
+    if (VOID_ELEMENTS.includes(element.tagName) || openMatch[3] === '/') {
+      continue;
+    }
+
+    const inForeignContent = stack.some(node => FOREIGN_ELEMENTS.includes(node.tagName));
+    if (RAW_TEXT_ELEMENTS.includes(element.tagName) && !inForeignContent) {
+      // Raw text ends where the browser ends it: the tag name followed by whitespace, / or >
+      const closePattern = new RegExp(`</${element.tagName}[\\s/>]`, 'i');
+      const rest = source.slice(index);
+      const closeIndex = rest.search(closePattern);
+      const content = closeIndex === -1 ? rest : rest.slice(0, closeIndex);
+      if (content) element.children.push({ type: 'text', value: content });
+      const closeEnd = closeIndex === -1 ? -1 : rest.indexOf('>', closeIndex);
+      index = closeEnd === -1 ? source.length : index + closeEnd + 1;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  return root;
+}
+
+const serializeAttributes = (attrs) => attrs
+  .map(({ name, value }) => (value === null || value === undefined
+    ? ` ${name}`
+    : ` ${name}="${escapeAttribute(value)}"`))
+  .join('');
+
+/**
+ * Serialize a node tree back to HTML
+ * @param {Object|Array} node - Root node, element node or array of nodes
+ * @returns {string} HTML string
+ */
+export function serializeHtml(node) {
+  if (!node) return '';
+  if (Array.isArray(node)) return node.map(serializeHtml).join('');
+
+  switch (node.type) {
+    case 'root':
+      return serializeHtml(node.children);
+    case 'text':
+      return node.value;
+    case 'comment':
+      return `<!--${node.value}-->`;
+    case 'element': {
+      const open = `<${node.tagName}${serializeAttributes(node.attrs)}>`;
+      if (VOID_ELEMENTS.includes(node.tagName)) return open;
+      return `${open}${serializeHtml(node.children)}</${node.tagName}>`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Read an attribute value from an element node
+ * @param {Object} node - Element node
+ * @param {string} name - Attribute name
+ * @returns {string|null|undefined} Value, null for boolean attributes, undefined if absent
+ */
+export function getAttribute(node, name) {
+  const attr = node.attrs?.find(item => item.name === name);
+  return attr ? attr.value : undefined;
+}
+
+/**
+ * Check whether an element node has an attribute
+ * @param {Object} node - Element node
+ * @param {string} name - Attribute name
+ * @returns {boolean} True if present
+ */
+export function hasAttribute(node, name) {
+  return !!node.attrs?.some(item => item.name === name);
+}
+
+/**
+ * Set (or add) an attribute on an element node
+ * @param {Object} node - Element node
+ * @param {string} name - Attribute name
+ * @param {string|null} value - Attribute value (null for boolean attributes)
+ */
+export function setAttribute(node, name, value) {
+  const attr = node.attrs.find(item => item.name === name);
+  if (attr) attr.value = value;
+  else node.attrs.push({ name, value });
+}
+
+/**
+ * Remove an attribute from an element node
+ * @param {Object} node - Element node
+ * @param {string} name - Attribute name
+ */
+export function removeAttribute(node, name) {
+  node.attrs = node.attrs.filter(item => item.name !== name);
+}
+
+/**
+ * Add CSS classes to an element node
+ * @param {Object} node - Element node
+ * @param {...string} classNames - Classes to add
+ */
+export function addClass(node, ...classNames) {
+  const existing = (getAttribute(node, 'class') || '').split(/\s+/).filter(Boolean);
+  classNames.forEach(className => {
+    if (!existing.includes(className)) existing.push(className);
+  });
+  setAttribute(node, 'class', existing.join(' '));
+}
+
+// Split a style attribute on semicolons outside of parentheses and quotes
+const splitDeclarations = (style) => {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < style.length; i++) {
+    const char = style[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ';' && depth === 0) {
+      declarations.push(style.slice(start, i));
+      start = i + 1;
+    }
+  }
+  declarations.push(style.slice(start));
+
+  return declarations.map(rule => rule.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a style attribute into a property/value map
+ * @param {string} style - Inline style text
+ * @returns {Object} Lower-cased properties mapped to their values
+ */
+export function parseStyle(style) {
+  return splitDeclarations(style || '').reduce((declarations, rule) => {
+    const colon = rule.indexOf(':');
+    if (colon > 0) {
+      declarations[rule.slice(0, colon).trim().toLowerCase()] = rule.slice(colon + 1).trim();
+    }
+    return declarations;
+  }, {});
+}
+
+/**
+ * Set inline style declarations on an element node, keeping existing ones
+ * @param {Object} node - Element node
+ * @param {Object} declarations - CSS property/value map
+ */
+export function setStyle(node, declarations) {
+  const properties = Object.keys(declarations).map(property => property.toLowerCase());
+  const existing = splitDeclarations(getAttribute(node, 'style') || '')
+    .filter(rule => !properties.includes(rule.split(':')[0].trim().toLowerCase()));
+
+  Object.entries(declarations).forEach(([property, value]) => {
+    existing.push(`${property}: ${value}`);
+  });
+
+  setAttribute(node, 'style', existing.join('; '));
+}
+
+/**
+ * Deep-clone a node
+ * @param {Object} node - Node to clone
+ * @returns {Object} Independent copy
+ */
+export function cloneNode(node) {
+  if (node.type !== 'element' && node.type !== 'root') return { ...node };
+
+  return {
+    ...node,
+    attrs: node.attrs ? node.attrs.map(attr => ({ ...attr })) : node.attrs,
+    children: node.children.map(cloneNode)
+  };
+}
+
+/**
+ * Walk element nodes depth-first. The visitor may return false to skip a node's children.
+ * @param {Object} node - Root node
+ * @param {function} visitor - Called with (element, parent)
+ */
+export function walkElements(node, visitor) {
+  (node.children || []).slice().forEach(child => {
+    if (child.type !== 'element') return;
+    if (visitor(child, node) === false) return;
+    walkElements(child, visitor);
+  });
+}
+
+export default {
+  VOID_ELEMENTS,
+  RAW_TEXT_ELEMENTS,
+  FOREIGN_ELEMENTS,
+  escapeHtml,
+  escapeAttribute,
+  decodeEntities,
+  createElement,
+  createTextNode,
+  parseHtml,
+  serializeHtml,
+  getAttribute,
+  hasAttribute,
+  setAttribute,
+  removeAttribute,
+  addClass,
+  parseStyle,
+  setStyle,
+  cloneNode,
+  walkElements
+};
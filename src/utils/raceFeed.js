@@ -0,0 +1,270 @@
+/* ──────────────────────────────────────────────────────────────
+   raceFeed.js
+   ------------------------------------------------------------------
+   Live timing feed client for race displays. Connects to a WebSocket
+   or Server-Sent Events endpoint, parses finisher messages and
+   reconnects with exponential backoff when the connection drops.
+   ------------------------------------------------------------------ */
+
+// Debug flag - set to true to log reconnect attempts
+const DEBUG_LOGGING = false;
+const debugLog = (...args) => {
+  if (DEBUG_LOGGING) {
+    console.log(...args);
+  }
+};
+
+// Connection states reported through onStatusChange
+export const FEED_STATUS = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// Default reconnect backoff configuration
+export const DEFAULT_RECONNECT = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  factor: 2,
+  jitter: 0.2,
+  maxAttempts: Infinity
+};
+
+// Message types that keep the connection alive but carry no runner
+const HEARTBEAT_TYPES = ['ping', 'pong', 'heartbeat', 'keepalive'];
+
+/**
+ * Parse a raw feed message into a runner object
+ * Accepts `{ type: 'finisher', runner: {...} }`, `{ type: 'finisher', data: {...} }`
+ * or a bare runner object with a `bib` field.
+ * @param {string|Object} raw - Raw message payload
+ * @returns {Object|null} Runner data, or null for heartbeats and unknown messages
+ */
+export function parseFinisherMessage(raw) {
+  let message = raw;
+
+  if (typeof raw === 'string') {
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      console.warn('[RaceFeed] Ignoring non-JSON message:', raw);
+      return null;
+    }
+  }
+
+  if (!message || typeof message !== 'object') return null;
+  if (message.type && HEARTBEAT_TYPES.includes(message.type)) return null;
+
+  if (message.type && message.type !== 'finisher') return null;
+
+  const runner = message.runner || message.data || message;
+  if (!runner || typeof runner !== 'object') return null;
+  if (runner.bib === undefined && runner.bib_number === undefined) return null;
+
+  // The message type is not runner data
+  const runnerData = { ...runner };
+  delete runnerData.type;
+  return runnerData;
+}
+
+/**
+ * Calculate the delay before the next reconnect attempt
+ * @param {number} attempt - Zero-based reconnect attempt number
+ * @param {Object} options - Backoff options (see DEFAULT_RECONNECT)
+ * @returns {number} Delay in milliseconds
+ */
+export function getReconnectDelay(attempt, options = {}) {
+  const { initialDelayMs, maxDelayMs, factor, jitter } = { ...DEFAULT_RECONNECT, ...options };
+  const baseDelay = Math.min(initialDelayMs * Math.pow(factor, attempt), maxDelayMs);
+  const spread = baseDelay * jitter;
+
+  return Math.max(0, Math.round(baseDelay - spread + Math.random() * spread * 2));
+}
+
+/**
+ * Resolve which transport to use for a feed URL
+ * @param {string} url - Feed endpoint
+ * @param {string} transport - 'websocket', 'sse' or 'auto'
+ * @returns {string} 'websocket' or 'sse'
+ */
+export function resolveTransport(url, transport = 'auto') {
+  if (transport === 'websocket' || transport === 'sse') return transport;
+  return /^wss?:\/\//i.test(url) ? 'websocket' : 'sse';
+}
+
+/**
+ * Create a live timing feed connection
+ * @param {Object} config - Feed configuration
+ * @param {string} config.url - WebSocket (ws://, wss://) or SSE (http://, https://) endpoint
+ * @param {string} config.transport - 'websocket', 'sse' or 'auto' (default: 'auto')
+ * @param {function} config.parseMessage - Custom message parser (default: parseFinisherMessage)
+ * @param {Object|boolean} config.reconnect - Backoff options, or false to disable reconnecting
+ * @param {string} config.eventName - SSE event name carrying finishers (default: 'message')
+ * @param {string|string[]} config.protocols - WebSocket sub-protocols
+ * @param {function} config.WebSocketImpl - WebSocket constructor override (e.g. for Node tests)
+ * @param {function} config.EventSourceImpl - EventSource constructor override
+ * @param {Object} handlers - Event handlers
+ * @param {function} handlers.onRunner - Called with each parsed runner
+ * @param {function} handlers.onStatusChange - Called with the new FEED_STATUS value
+ * @param {function} handlers.onError - Called with connection or parse errors
+ * @returns {Object} Feed controller with connect, close and getStatus
+ */
+export function createRaceFeed(config = {}, handlers = {}) {
+  const {
+    url,
+    transport = 'auto',
+    parseMessage = parseFinisherMessage,
+    reconnect = DEFAULT_RECONNECT,
+    eventName = 'message',
+    protocols,
+    WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+    EventSourceImpl = typeof EventSource !== 'undefined' ? EventSource : null
+  } = config;
+  const { onRunner, onStatusChange, onError } = handlers;
+
+  const reconnectOptions = reconnect === false ? null : { ...DEFAULT_RECONNECT, ...reconnect };
+  let socket = null;
+  let status = FEED_STATUS.IDLE;
+  let attempt = 0;
+  let reconnectTimeout = null;
+  let closedByUser = false;
+
+  const setStatus = (nextStatus) => {
+    if (status === nextStatus) return;
+    status = nextStatus;
+    if (onStatusChange) onStatusChange(nextStatus);
+  };
+
+  const reportError = (error) => {
+    if (onError) onError(error);
+  };
+
+  const handleMessage = (payload) => {
+    try {
+      const runner = parseMessage(payload);
+      if (runner && onRunner) onRunner(runner);
+    } catch (error) {
+      console.error('[RaceFeed] Failed to handle message:', error);
+      reportError(error);
+    }
+  };
+
+  const teardownSocket = () => {
+    if (!socket) return;
+    const current = socket;
+    socket = null;
+    current.onopen = null;
+    current.onmessage = null;
+    current.onerror = null;
+    current.onclose = null;
+    if (current.removeEventListener && eventName !== 'message') {
+      current.removeEventListener(eventName, current.__raceFeedListener);
+    }
+    try {
+      current.close();
+    } catch (error) {
+      // Socket may already be closed
+    }
+  };
+
+  const scheduleReconnect = () => {
+    teardownSocket();
+
+    if (closedByUser) return;
+    if (!reconnectOptions || attempt >= reconnectOptions.maxAttempts) {
+      setStatus(FEED_STATUS.CLOSED);
+      return;
+    }
+
+    const delay = getReconnectDelay(attempt, reconnectOptions);
+    attempt++;
+    setStatus(FEED_STATUS.RECONNECTING);
+    debugLog(`[RaceFeed] Reconnecting in ${delay}ms (attempt ${attempt})`);
+
+    clearTimeout(reconnectTimeout);
+    reconnectTimeout = setTimeout(open, delay);
+  };
+
+  const handleOpen = () => {
+    attempt = 0;
+    setStatus(FEED_STATUS.OPEN);
+  };
+
+  function open() {
+    teardownSocket();
+    setStatus(attempt === 0 ? FEED_STATUS.CONNECTING : FEED_STATUS.RECONNECTING);
+
+    const resolvedTransport = resolveTransport(url, transport);
+    const Impl = resolvedTransport === 'websocket' ? WebSocketImpl : EventSourceImpl;
+
+    if (!Impl) {
+      reportError(new Error(`[RaceFeed] ${resolvedTransport} is not supported in this environment`));
+      setStatus(FEED_STATUS.CLOSED);
+      return;
+    }
+
+    try {
+      if (resolvedTransport === 'websocket') {
+        socket = new Impl(url, protocols);
+        socket.onopen = handleOpen;
+        socket.onmessage = (event) => handleMessage(event.data);
+        socket.onerror = (event) => reportError(event);
+        socket.onclose = scheduleReconnect;
+      } else {
+        socket = new Impl(url);
+        socket.onopen = handleOpen;
+        socket.onerror = (event) => {
+          reportError(event);
+          // EventSource retries on its own while CONNECTING; take over once it gives up
+          if (!socket || socket.readyState === 2) scheduleReconnect();
+        };
+
+        if (eventName === 'message') {
+          socket.onmessage = (event) => handleMessage(event.data);
+        } else {
+          socket.__raceFeedListener = (event) => handleMessage(event.data);
+          socket.addEventListener(eventName, socket.__raceFeedListener);
+        }
+      }
+    } catch (error) {
+      console.error('[RaceFeed] Failed to open connection:', error);
+      reportError(error);
+      scheduleReconnect();
+    }
+  }
+
+  return {
+    connect() {
+      if (!url) {
+        reportError(new Error('[RaceFeed] A feed url is required'));
+        return;
+      }
+      closedByUser = false;
+      attempt = 0;
+      clearTimeout(reconnectTimeout);
+      open();
+    },
+
+    close() {
+      closedByUser = true;
+      clearTimeout(reconnectTimeout);
+      teardownSocket();
+      setStatus(FEED_STATUS.CLOSED);
+    },
+
+    getStatus() {
+      return status;
+    }
+  };
+}
+
+export default {
+  FEED_STATUS,
+  DEFAULT_RECONNECT,
+  parseFinisherMessage,
+  getReconnectDelay,
+  resolveTransport,
+  createRaceFeed
+};
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  FEED_STATUS,
+  parseFinisherMessage,
+  getReconnectDelay,
+  resolveTransport,
+  createRaceFeed
+} from './raceFeed';
+
+// WebSocket stand-in the tests drive by hand
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    FakeSocket.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('parseFinisherMessage', () => {
+  it('reads wrapped and bare runners', () => {
+    expect(parseFinisherMessage('{"type":"finisher","runner":{"bib":7}}')).toEqual({ bib: 7 });
+    expect(parseFinisherMessage({ type: 'finisher', data: { bib_number: 8 } })).toEqual({ bib_number: 8 });
+    expect(parseFinisherMessage({ bib: 9, name: 'Ana' })).toEqual({ bib: 9, name: 'Ana' });
+  });
+
+  it('drops the message type from bare runners', () => {
+    expect(parseFinisherMessage({ type: 'finisher', bib: 9 })).toEqual({ bib: 9 });
+  });
+
+  it('ignores heartbeats, other messages and invalid JSON', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseFinisherMessage({ type: 'ping' })).toBeNull();
+    expect(parseFinisherMessage({ type: 'split', runner: { bib: 1 } })).toBeNull();
+    expect(parseFinisherMessage('not json')).toBeNull();
+    vi.restoreAllMocks();
+  });
+});
+
+describe('getReconnectDelay', () => {
+  it('backs off up to the limit', () => {
+    const options = { initialDelayMs: 100, factor: 2, maxDelayMs: 1000, jitter: 0 };
+    expect([0, 1, 2, 5].map(attempt => getReconnectDelay(attempt, options))).toEqual([100, 200, 400, 1000]);
+  });
+});
+
+describe('resolveTransport', () => {
+  it('picks the transport from the URL', () => {
+    expect(resolveTransport('wss://feed.test')).toBe('websocket');
+    expect(resolveTransport('https://feed.test/events')).toBe('sse');
+    expect(resolveTransport('https://feed.test', 'websocket')).toBe('websocket');
+  });
+});
+
+describe('createRaceFeed', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeSocket.instances = [];
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  const connect = (handlers) => {
+    const feed = createRaceFeed(
+      { url: 'ws://feed.test', WebSocketImpl: FakeSocket, reconnect: { initialDelayMs: 100, jitter: 0 } },
+      handlers
+    );
+    feed.connect();
+    return feed;
+  };
+
+  it('passes runners on and reconnects quietly', () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const statuses = [];
+    const runners = [];
+    const feed = connect({ onStatusChange: status => statuses.push(status), onRunner: runner => runners.push(runner) });
+
+    FakeSocket.instances[0].onopen();
+    FakeSocket.instances[0].onmessage({ data: '{"bib":1}' });
+    FakeSocket.instances[0].onclose();
+    vi.advanceTimersByTime(100);
+    FakeSocket.instances[1].onopen();
+
+    expect(runners).toEqual([{ bib: 1 }]);
+    expect(statuses).toEqual([FEED_STATUS.CONNECTING, FEED_STATUS.OPEN, FEED_STATUS.RECONNECTING, FEED_STATUS.OPEN]);
+    expect(FakeSocket.instances[0].closed).toBe(true);
+    expect(log).not.toHaveBeenCalled();
+
+    feed.close();
+    expect(feed.getStatus()).toBe(FEED_STATUS.CLOSED);
+  });
+
+  it('stops reconnecting once closed', () => {
+    const feed = connect({});
+    FakeSocket.instances[0].onclose();
+    feed.close();
+    vi.advanceTimersByTime(1000);
+    expect(FakeSocket.instances).toHaveLength(1);
+  });
+});
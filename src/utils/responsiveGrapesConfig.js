@@ -12,6 +12,7 @@ import {
   BASE_DIMENSIONS,
   TYPOGRAPHY_SCALE 
 } from '../utils/responsiveScaling';
+import { DEFAULT_DATA_SCHEMA, createFieldBlocks } from './dataSchema';
 
 // Enhanced editor configuration with responsive features
 export const RESPONSIVE_EDITOR_CONFIG = {
@@ -368,7 +369,10 @@ export const RESPONSIVE_COMMANDS = {
       }
 
       const styles = selected.getStyle();
-      const responsiveStyles = convertToResponsiveStyles(styles);
+      // Set by enhanceEditorWithResponsive
+      const responsiveStyles = convertToResponsiveStyles(styles, 'auto', {
+        unitSystem: editor._responsiveUnitSystem
+      });
       
       // Apply responsive styles
       selected.setStyle(responsiveStyles);
@@ -482,10 +486,32 @@ export const RESPONSIVE_COMMANDS = {
   }
 };
 
+/**
+ * Traits for conditional blocks (data-if / data-unless)
+ */
+export const CONDITION_TRAITS = [
+  {
+    type: 'text',
+    name: 'data-if',
+    label: 'Show if',
+    placeholder: 'age_group_place <= 3',
+    changeProp: false
+  },
+  {
+    type: 'text',
+    name: 'data-unless',
+    label: 'Hide if',
+    placeholder: 'custom_message',
+    changeProp: false
+  }
+];
+
 /**
  * Enhanced block configuration for responsive components
+ * @param {Array} userImages - Uploaded images as { id, filename, url }
+ * @param {Array} dataSchema - Runner fields to make placeholder blocks for (see dataSchema)
  */
-export function createResponsiveBlocks(userImages = []) {
+export function createResponsiveBlocks(userImages = [], dataSchema = DEFAULT_DATA_SCHEMA) {
   const blocks = [
     // Responsive text blocks
     ...Object.keys(TYPOGRAPHY_SCALE).map(scale => ({
@@ -501,38 +527,8 @@ export function createResponsiveBlocks(userImages = []) {
       }
     })),
 
-    // Standard placeholder blocks with responsive enhancements
-    {
-      id: 'runner-name',
-      label: 'Runner Name',
-      category: 'Runner Data',
-      content: '<div data-placeholder="runner_name" class="text-lg">{{runner_name}}</div>',
-      attributes: { 
-        'data-placeholder': 'runner_name',
-        'data-text-fit': 'auto',
-        'data-max-reduction': '40' // Names can be reduced more
-      }
-    },
-    {
-      id: 'bib-number',
-      label: 'Bib Number',
-      category: 'Runner Data', 
-      content: '<div data-placeholder="bib_number" class="text-xl">{{bib_number}}</div>',
-      attributes: { 
-        'data-placeholder': 'bib_number',
-        'data-text-fit': 'shrink' // Bib numbers should shrink, not wrap
-      }
-    },
-    {
-      id: 'finish-time',
-      label: 'Finish Time',
-      category: 'Runner Data',
-      content: '<div data-placeholder="finish_time" class="text-lg">{{finish_time}}</div>',
-      attributes: { 
-        'data-placeholder': 'finish_time',
-        'data-text-fit': 'shrink'
-      }
-    },
+    // One placeholder block per data schema field
+    ...createFieldBlocks(dataSchema),
 
     // Responsive image blocks
     ...userImages.map(image => ({
@@ -556,5 +552,6 @@ export default {
   RESPONSIVE_EDITOR_CONFIG,
   createResponsiveComponent,
   RESPONSIVE_COMMANDS,
+  CONDITION_TRAITS,
   createResponsiveBlocks
 };
\ No newline at end of file
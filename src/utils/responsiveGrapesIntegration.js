@@ -8,10 +8,103 @@
 import { 
   RESPONSIVE_EDITOR_CONFIG, 
   RESPONSIVE_COMMANDS, 
+  CONDITION_TRAITS,
   createResponsiveComponent, 
   createResponsiveBlocks 
 } from './responsiveGrapesConfig';
-import { convertToResponsiveStyles } from './responsiveScaling';
+import {
+  convertToResponsiveStyles,
+  themeToCss,
+  getResponsiveUnit,
+  BASE_DIMENSIONS
+} from './responsiveScaling';
+import { parseCondition } from './templateConditions';
+import { escapeHtml } from './htmlParser';
+import { DEFAULT_DATA_SCHEMA, FIELD_BLOCK_PREFIX, createFieldBlocks } from './dataSchema';
+
+/**
+ * Add data-if / data-unless traits to a component
+ * @param {Object} component - GrapesJS component
+ */
+const addConditionTraits = (component) => {
+  if (!component || component.get('type') === 'wrapper') return;
+
+  CONDITION_TRAITS.forEach(trait => {
+    if (!component.getTrait(trait.name)) {
+      component.addTrait(trait);
+    }
+  });
+};
+
+/**
+ * Show malformed data-if / data-unless conditions on their traits
+ * The trait label carries the error, so the designer sees it next to the input.
+ * @param {Object} component - GrapesJS component
+ */
+const flagConditionErrors = (component) => {
+  if (!component || component.get('type') === 'wrapper') return;
+  const attrs = component.getAttributes();
+
+  CONDITION_TRAITS.forEach(({ name, label }) => {
+    const trait = component.getTrait(name);
+    if (!trait) return;
+
+    let reason = null;
+    if (attrs[name] && attrs[name].trim()) {
+      try {
+        parseCondition(attrs[name]);
+      } catch (error) {
+        reason = error.reason || error.message;
+      }
+    }
+
+    // GrapesJS renders labels as HTML
+    const nextLabel = reason ? `${label} ⚠ ${escapeHtml(reason)}` : label;
+    if (trait.get('label') !== nextLabel) trait.set('label', nextLabel);
+  });
+};
+
+const THEME_STYLE_ID = 'responsive-theme-variables';
+
+/**
+ * Set the theme tokens (--font-*, --spacing-*, --color-*, --font-family-*) in the canvas
+ * Call again with another theme to restyle the template without editing it.
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Object} theme - Theme (see createTheme), null for the defaults
+ * @param {Object} options - { baseWidth, baseHeight } of the template canvas and the { unitSystem }
+ * @returns {boolean} False while the canvas document is not available yet
+ */
+export function applyEditorTheme(editor, theme, options = {}) {
+  const canvasDoc = editor?.Canvas?.getDocument();
+  if (!canvasDoc?.head) return false;
+
+  let themeStyle = canvasDoc.getElementById(THEME_STYLE_ID);
+  if (!themeStyle) {
+    themeStyle = canvasDoc.createElement('style');
+    themeStyle.id = THEME_STYLE_ID;
+    canvasDoc.head.appendChild(themeStyle);
+  }
+  themeStyle.textContent = themeToCss(theme, ':root', options);
+  return true;
+}
+
+/**
+ * Replace the Runner Data blocks with ones for another data schema
+ * @param {Object} editor - GrapesJS editor instance
+ * @param {Array} dataSchema - Runner fields (see dataSchema)
+ */
+export function applyDataSchemaBlocks(editor, dataSchema = DEFAULT_DATA_SCHEMA) {
+  const blockManager = editor?.BlockManager;
+  if (!blockManager) return;
+
+  blockManager.getAll()
+    .filter(block => String(block.get('id')).startsWith(FIELD_BLOCK_PREFIX))
+    .forEach(block => blockManager.remove(block.get('id')));
+
+  createFieldBlocks(dataSchema).forEach(blockConfig => {
+    blockManager.add(blockConfig.id, blockConfig);
+  });
+}
 
 /**
  * Enhance existing GrapesJS editor with responsive functionality
@@ -23,9 +116,18 @@ export function enhanceEditorWithResponsive(editor, options = {}) {
     enableAutoConversion = true,
     enableResponsiveBlocks = true,
     enableResponsiveCommands = true,
-    enableResponsiveStyles = true
+    enableResponsiveStyles = true,
+    enableConditionTraits = true,
+    baseWidth = BASE_DIMENSIONS.width,   // Template canvas size used for px -> vw/vh conversion
+    baseHeight = BASE_DIMENSIONS.height,
+    theme = null,                        // Theme tokens, see applyEditorTheme
+    unitSystem = 'viewport',             // 'container' writes cqw/cqh instead of vw/vh
+    dataSchema = DEFAULT_DATA_SCHEMA     // Runner fields for the Runner Data blocks
   } = options;
 
+  // Read by the convert-to-responsive command
+  editor._responsiveUnitSystem = unitSystem;
+
   console.log('[ResponsiveIntegration] Enhancing editor with responsive features');
 
   // Add responsive commands
@@ -125,7 +227,7 @@ export function enhanceEditorWithResponsive(editor, options = {}) {
     });
 
     // Create responsive blocks
-    const responsiveBlocks = createResponsiveBlocks(userImages);
+    const responsiveBlocks = createResponsiveBlocks(userImages, dataSchema);
     
     // Add responsive blocks to editor
     responsiveBlocks.forEach(blockConfig => {
@@ -182,8 +284,9 @@ export function enhanceEditorWithResponsive(editor, options = {}) {
           const pixels = parseFloat(styles[prop]);
           // Only convert large pixel values to prevent tiny elements from becoming invisible
           if (pixels > 50) {
-            const unit = prop.includes('width') || prop.includes('left') ? 'vw' : 'vh';
-            const base = unit === 'vw' ? 1920 : 1080;
+            const horizontal = prop.includes('width') || prop.includes('left');
+            const unit = getResponsiveUnit(horizontal ? 'vw' : 'vh', unitSystem);
+            const base = horizontal ? baseWidth : baseHeight;
             const percentage = (pixels / base) * 100;
             const minPx = Math.max(pixels * 0.5, 20);
             const maxPx = pixels * 1.5;
@@ -220,24 +323,28 @@ export function enhanceEditorWithResponsive(editor, options = {}) {
       responsiveStyleElement.href = '/src/styles/responsiveDisplay.css';
       canvasHead.appendChild(responsiveStyleElement);
       
-      // Also inject base CSS variables
-      const variablesStyle = canvasDoc.createElement('style');
-      variablesStyle.textContent = `
-        :root {
-          --font-xs: clamp(12px, 1.5vw, 18px);
-          --font-sm: clamp(14px, 2vw, 24px);
-          --font-md: clamp(18px, 3vw, 36px);
-          --font-lg: clamp(24px, 4vw, 48px);
-          --font-xl: clamp(32px, 5vw, 64px);
-          --font-xxl: clamp(40px, 6vw, 80px);
-        }
-      `;
-      canvasHead.appendChild(variablesStyle);
+      // Theme tokens come from the same generator the displays use
+      applyEditorTheme(editor, theme, { baseWidth, baseHeight, unitSystem });
       
       console.log('[ResponsiveIntegration] Added responsive CSS to canvas');
     }
   }
 
+  // Expose data-if / data-unless as editable traits
+  if (enableConditionTraits) {
+    const addTraits = (component) => {
+      addConditionTraits(component);
+      flagConditionErrors(component);
+    };
+    editor.getWrapper().find('*').forEach(addTraits);
+    editor.on('component:add', addTraits);
+
+    // Flag malformed conditions while the designer edits them
+    editor.on('component:update:attributes', flagConditionErrors);
+
+    console.log('[ResponsiveIntegration] Added condition traits');
+  }
+
   // Listen for component additions and auto-enhance them
   editor.on('component:add', (component) => {
     const type = component.get('type');
@@ -279,7 +386,7 @@ export function enhanceEditorWithResponsive(editor, options = {}) {
       if (!component) return false;
       
       const styles = component.getStyle();
-      const responsiveStyles = convertToResponsiveStyles(styles);
+      const responsiveStyles = convertToResponsiveStyles(styles, 'auto', { unitSystem });
       component.setStyle(responsiveStyles);
       
       // Add responsive text attributes for text components
@@ -357,7 +464,7 @@ export function getResponsiveStatus(editor) {
     
     // Check if component uses responsive units
     const hasResponsiveStyles = Object.values(styles).some(value => 
-      value && (value.includes('var(--') || value.includes('vw') || value.includes('vh') || value.includes('clamp'))
+      value && (value.includes('var(--') || value.includes('vw') || value.includes('vh') || value.includes('cq') || value.includes('clamp'))
     );
     
     if (hasResponsiveStyles) {
@@ -386,5 +493,7 @@ export function getResponsiveStatus(editor) {
 
 export default {
   enhanceEditorWithResponsive,
+  applyEditorTheme,
+  applyDataSchemaBlocks,
   getResponsiveStatus
 };
\ No newline at end of file
@@ -5,13 +5,130 @@
    Handles viewport units, dynamic text sizing, and orientation changes.
    ------------------------------------------------------------------ */
 
-// Base design dimensions - templates are designed for 16:9 landscape
+// Default design dimensions - used when a template does not declare its canvas size
 export const BASE_DIMENSIONS = {
   width: 1920,
   height: 1080,
   aspectRatio: 16/9
 };
 
+/**
+ * Resolve the design dimensions for a template canvas
+ * @param {number} width - Canvas width in px (e.g. 1536 for an LED ribbon)
+ * @param {number} height - Canvas height in px (e.g. 128)
+ * @returns {object} { width, height, aspectRatio }, BASE_DIMENSIONS when either value is missing or invalid
+ */
+export function getBaseDimensions(width, height) {
+  const isValid = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+  if (!isValid(width) || !isValid(height)) return BASE_DIMENSIONS;
+
+  return { width, height, aspectRatio: width / height };
+}
+
+// How the design canvas is fitted to the viewport:
+//   contain - whole canvas visible, letterboxed (default)
+//   cover   - fills the viewport, the overflowing axis is cropped
+//   stretch - fills the viewport with independent x/y scales (non-square LED pixels)
+//   integer - like contain, snapped to whole-number scales for pixel-exact LED controllers
+export const FIT_MODES = ['contain', 'cover', 'stretch', 'integer'];
+
+// Clockwise stage rotations for panels mounted sideways or upside down
+// while the OS still reports a landscape screen
+export const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Normalize a rotation setting
+ * @param {number|string} rotation - Degrees clockwise, e.g. 90, '270' or -90 (from a prop or URL parameter)
+ * @returns {number} One of ROTATIONS, 0 for missing or unsupported values
+ */
+export function normalizeRotation(rotation) {
+  if (rotation === null || rotation === undefined || rotation === '') return 0;
+
+  const degrees = Number(rotation);
+  const normalized = ((degrees % 360) + 360) % 360;
+  if (!ROTATIONS.includes(normalized)) {
+    console.warn(`[ResponsiveScaling] Unsupported rotation "${rotation}", using 0`);
+    return 0;
+  }
+  return normalized;
+}
+
+const isQuarterTurn = (rotation) => rotation === 90 || rotation === 270;
+
+// Inset used by the editor guide - the usual action-safe margin for overscanning TVs
+export const DEFAULT_SAFE_AREA = '5%';
+
+const SAFE_AREA_EDGES = ['top', 'right', 'bottom', 'left'];
+
+// '5%' of the edge's axis, '24px' or 24 in px
+const resolveInset = (value, axisSize) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : 0;
+  if (typeof value !== 'string') return 0;
+
+  const amount = parseFloat(value);
+  if (!Number.isFinite(amount) || amount <= 0) return 0;
+  return value.trim().endsWith('%') ? (amount / 100) * axisSize : amount;
+};
+
+/**
+ * Resolve safe-area insets to px
+ * @param {number|string|object} safeArea - One value for every edge, or { top, right, bottom, left };
+ *   values are px numbers, '24px' or percentages ('5%') of the viewport width (left/right) or height (top/bottom)
+ * @param {number} width - Viewport width the percentages refer to
+ * @param {number} height - Viewport height the percentages refer to
+ * @param {object} minimum - Insets in px to keep at least, e.g. from getEnvSafeAreaInsets
+ * @returns {object} { top, right, bottom, left } in px
+ */
+export function resolveSafeAreaInsets(safeArea, width, height, minimum = null) {
+  const edges = safeArea && typeof safeArea === 'object'
+    ? safeArea
+    : { top: safeArea, right: safeArea, bottom: safeArea, left: safeArea };
+
+  return SAFE_AREA_EDGES.reduce((insets, edge) => {
+    const axisSize = edge === 'top' || edge === 'bottom' ? height : width;
+    insets[edge] = Math.max(resolveInset(edges[edge], axisSize), minimum?.[edge] || 0);
+    return insets;
+  }, {});
+}
+
+let envInsetProbe = null;
+
+/**
+ * Read the browser's env(safe-area-inset-*) values (notches, rounded corners)
+ * Non-zero only on devices that have them and pages with viewport-fit=cover.
+ * @returns {object} { top, right, bottom, left } in px
+ */
+export function getEnvSafeAreaInsets() {
+  if (typeof document === 'undefined' || !document.body) {
+    return { top: 0, right: 0, bottom: 0, left: 0 };
+  }
+
+  if (!envInsetProbe || !envInsetProbe.isConnected) {
+    envInsetProbe = document.createElement('div');
+    envInsetProbe.setAttribute('aria-hidden', 'true');
+    envInsetProbe.style.cssText = `
+      position: fixed; top: 0; left: 0; width: 0; height: 0;
+      visibility: hidden; pointer-events: none;
+      padding: env(safe-area-inset-top, 0px) env(safe-area-inset-right, 0px)
+               env(safe-area-inset-bottom, 0px) env(safe-area-inset-left, 0px);
+    `;
+    document.body.appendChild(envInsetProbe);
+  }
+
+  const computed = window.getComputedStyle(envInsetProbe);
+  return {
+    top: parseFloat(computed.paddingTop) || 0,
+    right: parseFloat(computed.paddingRight) || 0,
+    bottom: parseFloat(computed.paddingBottom) || 0,
+    left: parseFloat(computed.paddingLeft) || 0
+  };
+}
+
+// Largest whole-number scale (or 1/n when the canvas must shrink) not above `scale`
+const snapToIntegerScale = (scale) => (
+  scale >= 1 ? Math.floor(scale) : 1 / Math.ceil(1 / scale)
+);
+
 // Responsive breakpoints
 export const BREAKPOINTS = {
   mobile: 768,
@@ -30,89 +147,258 @@ export const TYPOGRAPHY_SCALE = {
   xxl: { vw: 6.0, min: 40, max: 80 }    // Display text
 };
 
+// Units the generated clamps are written in:
+//   viewport  - vw/vh/vmin/vmax, relative to the browser window (default)
+//   container - cqw/cqh/cqmin/cqmax, relative to the display stage, a size container
+//               at the design size, so preview tiles and full screens render alike
+export const UNIT_SYSTEMS = ['viewport', 'container'];
+
+const CONTAINER_UNITS = { vw: 'cqw', vh: 'cqh', vmin: 'cqmin', vmax: 'cqmax' };
+
+/**
+ * Map a viewport unit to the unit system in use
+ * @param {string} unit - 'vw', 'vh', 'vmin' or 'vmax'
+ * @param {string} unitSystem - One of UNIT_SYSTEMS (default: 'viewport')
+ * @returns {string} The unit itself, or its container-query equivalent (vw -> cqw)
+ */
+export function getResponsiveUnit(unit, unitSystem = 'viewport') {
+  return unitSystem === 'container' ? CONTAINER_UNITS[unit] || unit : unit;
+}
+
 /**
  * Convert pixel values to viewport-relative units with fallbacks
  * @param {number} pixels - Original pixel value
  * @param {string} unit - Target unit ('vw', 'vh', 'vmin', 'vmax')
- * @param {number} baseViewport - Base viewport size (default: 1920 for vw, 1080 for vh)
+ * @param {number} baseViewport - Base viewport size (default: design width for vw, design height for vh)
+ * @param {object} baseDimensions - Design dimensions from getBaseDimensions (default: BASE_DIMENSIONS)
+ * @param {string} unitSystem - 'viewport' or 'container' (default: 'viewport')
  * @returns {string} CSS value with clamp() for min/max constraints
  */
-export function pixelsToViewport(pixels, unit = 'vw', baseViewport = null) {
-  const base = baseViewport || (unit.includes('h') ? BASE_DIMENSIONS.height : BASE_DIMENSIONS.width);
+export function pixelsToViewport(pixels, unit = 'vw', baseViewport = null, baseDimensions = BASE_DIMENSIONS, unitSystem = 'viewport') {
+  const base = baseViewport || (unit.includes('h') ? baseDimensions.height : baseDimensions.width);
   const vwValue = (pixels / base) * 100;
   
   // Create responsive value with min/max constraints
   const minPx = Math.max(pixels * 0.5, 8); // Never smaller than 8px or 50% of original
   const maxPx = pixels * 2; // Never larger than 200% of original
   
-  return `clamp(${minPx}px, ${vwValue.toFixed(2)}${unit}, ${maxPx}px)`;
+  return `clamp(${minPx}px, ${vwValue.toFixed(2)}${getResponsiveUnit(unit, unitSystem)}, ${maxPx}px)`;
 }
 
 /**
  * Create responsive font size using typography scale
  * @param {string} scale - Typography scale key (xs, sm, md, lg, xl, xxl)
  * @param {number} multiplier - Optional multiplier (default: 1)
+ * @param {object} typography - Typography scale to read from (default: TYPOGRAPHY_SCALE)
+ * @param {string} unitSystem - 'viewport' or 'container' (default: 'viewport')
  * @returns {string} CSS clamp value
  */
-export function responsiveFontSize(scale = 'md', multiplier = 1) {
-  const config = TYPOGRAPHY_SCALE[scale] || TYPOGRAPHY_SCALE.md;
+export function responsiveFontSize(scale = 'md', multiplier = 1, typography = TYPOGRAPHY_SCALE, unitSystem = 'viewport') {
+  const config = typography[scale] || typography.md || TYPOGRAPHY_SCALE.md;
   const vwValue = config.vw * multiplier;
   const minValue = config.min * multiplier;
   const maxValue = config.max * multiplier;
   
-  return `clamp(${minValue}px, ${vwValue}vw, ${maxValue}px)`;
+  return `clamp(${minValue}px, ${vwValue}${getResponsiveUnit('vw', unitSystem)}, ${maxValue}px)`;
+}
+
+// Theme tokens - the one source for every --font-*, --spacing-*, --color-* and
+// --font-family-* property, on displays and in the editor canvas. Templates use
+// the tokens (var(--color-primary)), so switching themes restyles them unedited.
+export const DEFAULT_THEME = {
+  typography: TYPOGRAPHY_SCALE,
+  spacingBase: 8,    // --spacing-n is n × spacingBase px at the design size
+  spacingSteps: 10,
+  colors: {},        // { primary: '#e30613' } -> --color-primary
+  fonts: {}          // { heading: '"Barlow Condensed", sans-serif' } -> --font-family-heading
+};
+
+// textMuted -> text-muted
+const toTokenName = (key) => String(key)
+  .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+  .replace(/[^a-zA-Z0-9-]+/g, '-')
+  .toLowerCase();
+
+const isTokenValue = (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Complete a partial theme with the defaults
+ * @param {object} theme - Overrides; typography steps are merged one by one, so { md: { max: 40 } } works
+ * @returns {object} Full theme
+ */
+export function createTheme(theme = {}) {
+  const overrides = theme && typeof theme === 'object' ? theme : {};
+  const typography = { ...DEFAULT_THEME.typography };
+  Object.entries(overrides.typography || {}).forEach(([step, config]) => {
+    typography[step] = { ...typography[step], ...config };
+  });
+
+  return {
+    ...DEFAULT_THEME,
+    ...overrides,
+    typography,
+    colors: { ...DEFAULT_THEME.colors, ...overrides.colors },
+    fonts: { ...DEFAULT_THEME.fonts, ...overrides.fonts }
+  };
+}
+
+/**
+ * Generate the CSS custom properties for a theme
+ * @param {object} theme - Theme (partial themes are completed with createTheme)
+ * @param {object} options - Options
+ * @param {number} options.baseWidth - Design width the spacing scales against (default: 1920)
+ * @param {number} options.baseHeight - Design height (default: 1080)
+ * @param {number} options.textScaleMultiplier - Multiplier for every font size (default: 1)
+ * @param {boolean} options.enableTextScaling - Include --font-* sizes (default: true)
+ * @param {boolean} options.enableSpacingScale - Include --spacing-* (default: true)
+ * @param {string} options.unitSystem - 'viewport' or 'container' units (default: 'viewport')
+ * @returns {object} CSS custom properties
+ */
+export function generateThemeProperties(theme, options = {}) {
+  const {
+    baseWidth = BASE_DIMENSIONS.width,
+    baseHeight = BASE_DIMENSIONS.height,
+    textScaleMultiplier = 1,
+    enableTextScaling = true,
+    enableSpacingScale = true,
+    unitSystem = 'viewport'
+  } = options;
+  const { typography, spacingBase, spacingSteps, colors, fonts } = createTheme(theme);
+  const properties = {};
+
+  if (enableTextScaling) {
+    Object.keys(typography).forEach(scale => {
+      properties[`--font-${scale}`] = responsiveFontSize(scale, textScaleMultiplier, typography, unitSystem);
+    });
+  }
+
+  if (enableSpacingScale) {
+    for (let i = 1; i <= spacingSteps; i++) {
+      properties[`--spacing-${i}`] = pixelsToViewport(spacingBase * i, 'vmin', null, {
+        width: baseWidth,
+        height: baseHeight
+      }, unitSystem);
+    }
+  }
+
+  Object.entries(colors).forEach(([name, value]) => {
+    if (isTokenValue(value)) properties[`--color-${toTokenName(name)}`] = String(value);
+  });
+  Object.entries(fonts).forEach(([name, value]) => {
+    if (isTokenValue(value)) properties[`--font-family-${toTokenName(name)}`] = String(value);
+  });
+
+  return properties;
+}
+
+/**
+ * Render a theme as a CSS rule, e.g. for the editor canvas
+ * @param {object} theme - Theme
+ * @param {string} selector - Rule selector (default: ':root')
+ * @param {object} options - Passed to generateThemeProperties
+ * @returns {string} CSS text
+ */
+export function themeToCss(theme, selector = ':root', options = {}) {
+  const declarations = Object.entries(generateThemeProperties(theme, options))
+    .map(([property, value]) => `  ${property}: ${value};`)
+    .join('\n');
+  return `${selector} {\n${declarations}\n}`;
+}
+
+/**
+ * Font families a theme uses, for waitForFonts
+ * @param {object} theme - Theme
+ * @returns {string[]} Family lists from theme.fonts
+ */
+export function getThemeFonts(theme) {
+  return Object.values(theme?.fonts || {}).filter(value => typeof value === 'string' && value.trim());
+}
+
+/**
+ * Orientation of a viewport
+ * @param {number} viewportWidth - Viewport (or container) width
+ * @param {number} viewportHeight - Viewport (or container) height
+ * @param {string} forceOrientation - 'landscape' or 'portrait' overrides detection
+ * @returns {string} 'landscape' or 'portrait' (square counts as portrait)
+ */
+export function getViewportOrientation(viewportWidth, viewportHeight, forceOrientation = null) {
+  if (forceOrientation === 'landscape' || forceOrientation === 'portrait') return forceOrientation;
+  return viewportWidth / viewportHeight > 1 ? 'landscape' : 'portrait';
 }
 
 /**
  * Get optimal container dimensions based on viewport and orientation
- * @param {number} viewportWidth - Current viewport width
- * @param {number} viewportHeight - Current viewport height
+ * @param {number} screenWidth - Current viewport (or container) width, as the browser reports it
+ * @param {number} screenHeight - Current viewport (or container) height, as the browser reports it
  * @param {boolean} forceOrientation - Force specific orientation ('landscape'|'portrait'|null)
- * @returns {object} Optimal dimensions and scale
+ * @param {object} baseDimensions - Design dimensions from getBaseDimensions (default: BASE_DIMENSIONS)
+ * @param {string} fitMode - One of FIT_MODES (default: 'contain')
+ * @param {number} rotation - Clockwise stage rotation, one of ROTATIONS (default: 0)
+ * @param {number|string|object} safeArea - Insets the canvas is kept inside (see resolveSafeAreaInsets)
+ * @returns {object} Optimal dimensions, scale (scaleX/scaleY differ only when stretching).
+ *   Size, offsets, insets and orientation are in the rotated panel's frame (viewportWidth x
+ *   viewportHeight); rotationOffsetX/Y move the rotated panel back into the viewport.
  */
-export function getOptimalDimensions(viewportWidth, viewportHeight, forceOrientation = null) {
-  const currentAspectRatio = viewportWidth / viewportHeight;
-  const isLandscape = currentAspectRatio > 1;
-  
-  let targetWidth, targetHeight, orientation;
-  
-  if (forceOrientation === 'landscape' || (!forceOrientation && isLandscape)) {
-    // Landscape mode
-    orientation = 'landscape';
-    if (currentAspectRatio >= BASE_DIMENSIONS.aspectRatio) {
-      // Viewport is wider than 16:9 - fit to height
-      targetHeight = viewportHeight;
-      targetWidth = targetHeight * BASE_DIMENSIONS.aspectRatio;
-    } else {
-      // Viewport is narrower than 16:9 - fit to width  
-      targetWidth = viewportWidth;
-      targetHeight = targetWidth / BASE_DIMENSIONS.aspectRatio;
-    }
-  } else {
-    // Portrait mode - rotate base dimensions
-    orientation = 'portrait';
-    const portraitAspectRatio = BASE_DIMENSIONS.height / BASE_DIMENSIONS.width; // 9:16
-    
-    if (currentAspectRatio >= portraitAspectRatio) {
-      // Viewport is wider than 9:16 - fit to height
-      targetHeight = viewportHeight;
-      targetWidth = targetHeight * portraitAspectRatio;
-    } else {
-      // Viewport is narrower than 9:16 - fit to width
-      targetWidth = viewportWidth;
-      targetHeight = targetWidth / portraitAspectRatio;
-    }
+export function getOptimalDimensions(screenWidth, screenHeight, forceOrientation = null, baseDimensions = BASE_DIMENSIONS, fitMode = 'contain', rotation = 0, safeArea = null) {
+  if (!FIT_MODES.includes(fitMode)) {
+    console.warn(`[ResponsiveScaling] Unknown fit mode "${fitMode}", using contain`);
+    fitMode = 'contain';
   }
-  
-  const scale = Math.min(targetWidth / BASE_DIMENSIONS.width, targetHeight / BASE_DIMENSIONS.height);
+  rotation = normalizeRotation(rotation);
+
+  // A panel turned a quarter swaps the axes the template is fitted to
+  const quarterTurn = isQuarterTurn(rotation);
+  const viewportWidth = quarterTurn ? screenHeight : screenWidth;
+  const viewportHeight = quarterTurn ? screenWidth : screenHeight;
+
+  // The canvas is fitted inside the safe area, clear of overscan and notches
+  const insets = resolveSafeAreaInsets(safeArea, viewportWidth, viewportHeight);
+  const availableWidth = Math.max(viewportWidth - insets.left - insets.right, 1);
+  const availableHeight = Math.max(viewportHeight - insets.top - insets.bottom, 1);
+
+  const orientation = getViewportOrientation(viewportWidth, viewportHeight, forceOrientation);
+
+  // Contain fits the limiting axis, cover fills both and crops the overflow
+  const widthScale = availableWidth / baseDimensions.width;
+  const heightScale = availableHeight / baseDimensions.height;
+  let scale = fitMode === 'cover' ? Math.max(widthScale, heightScale) : Math.min(widthScale, heightScale);
+  let scaleX = scale;
+  let scaleY = scale;
+
+  if (fitMode === 'stretch') {
+    scaleX = widthScale;
+    scaleY = heightScale;
+  } else if (fitMode === 'integer') {
+    scale = scaleX = scaleY = snapToIntegerScale(scale);
+  }
+
+  // The scaled canvas, centred in the safe area (negative offsets crop in cover mode)
+  const targetWidth = baseDimensions.width * scaleX;
+  const targetHeight = baseDimensions.height * scaleY;
+
+  // Whole-pixel offsets keep integer-scaled pixels aligned to the panel grid
+  const offsetX = insets.left + (availableWidth - targetWidth) / 2;
+  const offsetY = insets.top + (availableHeight - targetHeight) / 2;
   
   return {
     width: targetWidth,
     height: targetHeight,
     scale,
+    scaleX,
+    scaleY,
+    fitMode,
     orientation,
-    offsetX: (viewportWidth - targetWidth) / 2,
-    offsetY: (viewportHeight - targetHeight) / 2
+    offsetX: fitMode === 'integer' ? Math.round(offsetX) : offsetX,
+    offsetY: fitMode === 'integer' ? Math.round(offsetY) : offsetY,
+    rotation,
+    // Rotating about the top-left corner swings the panel out of the viewport
+    rotationOffsetX: rotation === 90 || rotation === 180 ? screenWidth : 0,
+    rotationOffsetY: rotation === 180 || rotation === 270 ? screenHeight : 0,
+    viewportWidth,
+    viewportHeight,
+    safeArea: insets,
+    baseWidth: baseDimensions.width,
+    baseHeight: baseDimensions.height
   };
 }
 
@@ -120,127 +406,234 @@ export function getOptimalDimensions(viewportWidth, viewportHeight, forceOrienta
  * Generate CSS custom properties for responsive scaling
  * @param {object} dimensions - Dimensions from getOptimalDimensions
  * @param {object} options - Additional options
+ * @param {object} options.theme - Theme tokens for the --font-*, --spacing-*, --color-* properties (see createTheme)
+ * @param {string} options.unitSystem - 'viewport' or 'container' units (default: 'viewport')
  * @returns {object} CSS custom properties
  */
 export function generateScaleProperties(dimensions, options = {}) {
   const { 
     enableTextScaling = true,
     textScaleMultiplier = 1,
-    enableSpacingScale = true 
+    enableSpacingScale = true,
+    theme = null,
+    unitSystem = 'viewport'
   } = options;
   
   const properties = {
+    // Design size - .responsive-display-content and .layout-root are laid out at this size
+    '--base-width': `${dimensions.baseWidth ?? BASE_DIMENSIONS.width}px`,
+    '--base-height': `${dimensions.baseHeight ?? BASE_DIMENSIONS.height}px`,
     '--display-width': `${dimensions.width}px`,
     '--display-height': `${dimensions.height}px`,
     '--display-scale': dimensions.scale,
+    '--display-scale-x': dimensions.scaleX ?? dimensions.scale,
+    '--display-scale-y': dimensions.scaleY ?? dimensions.scale,
     '--display-offset-x': `${dimensions.offsetX}px`,
     '--display-offset-y': `${dimensions.offsetY}px`,
-    '--display-orientation': dimensions.orientation
+    '--display-orientation': dimensions.orientation,
+    '--display-rotation': `${dimensions.rotation ?? 0}deg`,
+    '--display-rotation-offset-x': `${dimensions.rotationOffsetX ?? 0}px`,
+    '--display-rotation-offset-y': `${dimensions.rotationOffsetY ?? 0}px`,
+    '--safe-area-top': `${dimensions.safeArea?.top ?? 0}px`,
+    '--safe-area-right': `${dimensions.safeArea?.right ?? 0}px`,
+    '--safe-area-bottom': `${dimensions.safeArea?.bottom ?? 0}px`,
+    '--safe-area-left': `${dimensions.safeArea?.left ?? 0}px`
   };
   
-  // Add typography custom properties
-  if (enableTextScaling) {
-    Object.keys(TYPOGRAPHY_SCALE).forEach(scale => {
-      const cssVar = `--font-${scale}`;
-      properties[cssVar] = responsiveFontSize(scale, textScaleMultiplier);
-    });
-  }
-  
-  // Add spacing scale
-  if (enableSpacingScale) {
-    const spacingBase = 8; // 8px base spacing
-    for (let i = 1; i <= 10; i++) {
-      properties[`--spacing-${i}`] = pixelsToViewport(spacingBase * i, 'vmin');
-    }
-  }
+  // Typography, spacing, colors and font families
+  Object.assign(properties, generateThemeProperties(theme, {
+    baseWidth: dimensions.baseWidth ?? BASE_DIMENSIONS.width,
+    baseHeight: dimensions.baseHeight ?? BASE_DIMENSIONS.height,
+    textScaleMultiplier,
+    enableTextScaling,
+    enableSpacingScale,
+    unitSystem
+  }));
   
   return properties;
 }
 
+// Properties copied onto the measurer so text wraps exactly like the element
+const MEASURED_STYLES = [
+  'fontFamily', 'fontWeight', 'fontStyle', 'fontStretch', 'fontVariant',
+  'letterSpacing', 'wordSpacing', 'textTransform', 'textIndent', 'tabSize'
+];
+
+// Binary search stops once the window is narrower than this (px)
+const FIT_PRECISION = 0.5;
+const MAX_FIT_ITERATIONS = 16;
+
+let textMeasurer = null;
+
+// Shared hidden element outside the display tree, so measuring never reflows the live layout
+const getTextMeasurer = () => {
+  if (typeof document === 'undefined' || !document.body) return null;
+
+  if (!textMeasurer || !textMeasurer.isConnected) {
+    textMeasurer = document.createElement('div');
+    textMeasurer.setAttribute('aria-hidden', 'true');
+    Object.assign(textMeasurer.style, {
+      position: 'absolute',
+      top: '0',
+      left: '-99999px',
+      visibility: 'hidden',
+      pointerEvents: 'none',
+      boxSizing: 'content-box',
+      padding: '0',
+      border: '0',
+      height: 'auto',
+      contain: 'layout style'
+    });
+    document.body.appendChild(textMeasurer);
+  }
+
+  return textMeasurer;
+};
+
+const applyWrapStyles = (target, wrap, balance) => {
+  target.style.whiteSpace = wrap ? 'normal' : 'nowrap';
+  if (!wrap) return;
+
+  target.style.wordBreak = 'break-word';
+  target.style.overflowWrap = 'break-word';
+  if (balance) target.style.textWrap = 'balance';
+};
+
+// Put back the inline font size and line height the template had before the last fit.
+// Inline values the fit did not write (a re-render, a portrait layout) become the template's own.
+const restoreAuthoredSize = (element) => {
+  const { dataset, style } = element;
+
+  if (dataset.fitFontSize !== undefined && style.fontSize === dataset.fitFontSize) {
+    style.fontSize = dataset.authoredFontSize || '';
+  }
+  if (dataset.fitLineHeight !== undefined && style.lineHeight === dataset.fitLineHeight) {
+    style.lineHeight = dataset.authoredLineHeight || '';
+  }
+  dataset.authoredFontSize = style.fontSize;
+  dataset.authoredLineHeight = style.lineHeight;
+  delete dataset.fitFontSize;
+  delete dataset.fitLineHeight;
+};
+
 /**
  * Smart text fitting that preserves readability
+ * Binary-searches the largest font size that fits the element's box in both
+ * directions, optionally within a maximum number of lines.
  * @param {HTMLElement} element - Text element to fit
  * @param {object} options - Fitting options
+ * @param {number} options.maxLines - Maximum wrapped lines (default: unlimited, 1 without wrapping)
+ * @param {boolean} options.balance - Balance wrapped lines with text-wrap: balance (default: false)
+ * @param {boolean} options.grow - Also grow text above its original size to fill the box (default: false)
+ * @param {number} options.maxFontSize - Upper bound when growing (default: twice the original size)
  * @returns {object} Applied sizing information
  */
 export function intelligentTextFit(element, options = {}) {
   const {
     maxReduction = 0.7, // Don't go below 70% of original size
     minFontSize = 12,   // Absolute minimum font size
-    preferWordWrap = true, // Try word wrapping before shrinking
+    preferWordWrap = true, // Allow wrapping onto several lines
     respectLineHeight = true,
-    step = 0.02 // Smaller steps for smoother scaling (2% instead of 5%)
+    maxLines = null,
+    balance = false,
+    grow = false,
+    maxFontSize = null
   } = options;
   
   if (!element) return null;
   
-  // Get original computed styles
-  const originalStyles = window.getComputedStyle(element);
-  const originalFontSize = parseFloat(originalStyles.fontSize);
-  const originalLineHeight = parseFloat(originalStyles.lineHeight) || originalFontSize * 1.2;
+  // Re-fits start from the current design size, which themes, clamp() tokens and
+  // portrait layouts may have changed since the last fit
+  restoreAuthoredSize(element);
+  const computed = window.getComputedStyle(element);
+  const originalFontSize = parseFloat(computed.fontSize);
+  const lineHeightRatio = (parseFloat(computed.lineHeight) || originalFontSize * 1.2) / originalFontSize;
   
-  // Store original values if not already stored
-  if (!element.dataset.originalFontSize) {
-    element.dataset.originalFontSize = originalFontSize;
-    element.dataset.originalLineHeight = originalLineHeight;
-  }
+  // Content box of the element
+  const boxWidth = element.clientWidth - parseFloat(computed.paddingLeft) - parseFloat(computed.paddingRight);
+  const boxHeight = element.clientHeight - parseFloat(computed.paddingTop) - parseFloat(computed.paddingBottom);
+  const text = element.textContent;
   
-  const containerWidth = element.clientWidth;
-  const containerHeight = element.clientHeight;
-  const originalText = element.textContent;
+  const wrap = preferWordWrap && /\s/.test(text.trim()) && maxLines !== 1;
+  const lineLimit = wrap ? (maxLines || Infinity) : 1;
   
-  // Try word wrapping first if enabled
-  if (preferWordWrap && originalText.includes(' ')) {
-    element.style.whiteSpace = 'normal';
-    element.style.wordBreak = 'break-word';
-    element.style.overflowWrap = 'break-word';
-    
-    // Check if word wrapping solved the problem
-    if (element.scrollWidth <= containerWidth && element.scrollHeight <= containerHeight) {
-      return {
-        method: 'word-wrap',
-        fontSize: originalFontSize,
-        reduction: 0,
-        fits: true
-      };
-    }
+  const measurer = getTextMeasurer();
+  if (measurer) {
+    MEASURED_STYLES.forEach(property => {
+      measurer.style[property] = computed[property];
+    });
+    measurer.style.width = wrap ? `${boxWidth}px` : 'auto';
+    measurer.style.textWrap = '';
+    measurer.textContent = text;
+    applyWrapStyles(measurer, wrap, balance);
+  } else {
+    applyWrapStyles(element, wrap, balance);
   }
   
-  // If word wrapping didn't work or wasn't preferred, try font reduction
-  element.style.whiteSpace = 'nowrap';
-  let currentFontSize = originalFontSize;
-  const minAllowedSize = Math.max(minFontSize, originalFontSize * maxReduction);
-  
+  // Measures off-DOM when possible, otherwise on the element itself
+  const target = measurer || element;
+  let lines = 1;
   let attempts = 0;
-  const maxAttempts = 50;
-  
-  while (element.scrollWidth > containerWidth && currentFontSize > minAllowedSize && attempts < maxAttempts) {
-    currentFontSize = currentFontSize * (1 - step);
-    element.style.fontSize = `${currentFontSize}px`;
+  const fitsAt = (fontSize) => {
+    attempts++;
+    const lineHeight = fontSize * lineHeightRatio;
+    target.style.fontSize = `${fontSize}px`;
+    target.style.lineHeight = `${lineHeight}px`;
     
-    if (respectLineHeight) {
-      const lineHeightRatio = originalLineHeight / originalFontSize;
-      element.style.lineHeight = `${currentFontSize * lineHeightRatio}px`;
-    }
+    const width = measurer ? measurer.scrollWidth : element.scrollWidth;
+    const height = measurer ? measurer.offsetHeight : element.scrollHeight;
+    lines = Math.max(1, Math.round(height / lineHeight));
     
-    attempts++;
+    return width <= boxWidth + 0.5 && height <= boxHeight + 0.5 && lines <= lineLimit;
+  };
+  
+  const minAllowedSize = Math.min(originalFontSize, Math.max(minFontSize, originalFontSize * maxReduction));
+  const maxAllowedSize = grow ? Math.max(originalFontSize, maxFontSize || originalFontSize * 2) : originalFontSize;
+  
+  let fontSize;
+  let fits;
+  if (fitsAt(maxAllowedSize)) {
+    fontSize = maxAllowedSize;
+    fits = true;
+  } else if (!fitsAt(minAllowedSize)) {
+    fontSize = minAllowedSize;
+    fits = false;
+  } else {
+    // Invariant: low fits, high does not
+    let low = minAllowedSize;
+    let high = maxAllowedSize;
+    while (high - low > FIT_PRECISION && attempts < MAX_FIT_ITERATIONS) {
+      const middle = (low + high) / 2;
+      if (fitsAt(middle)) low = middle;
+      else high = middle;
+    }
+    fontSize = Math.floor(low * 10) / 10;
+    fits = true;
+    fitsAt(fontSize); // Leave the line count of the chosen size
   }
   
-  const reduction = (originalFontSize - currentFontSize) / originalFontSize;
-  const fits = element.scrollWidth <= containerWidth;
+  if (measurer) measurer.textContent = '';
   
-  // If text still doesn't fit even at minimum size, enable word wrapping as fallback
-  if (!fits && preferWordWrap) {
-    element.style.whiteSpace = 'normal';
-    element.style.wordBreak = 'break-word';
-    element.style.overflowWrap = 'break-word';
+  // Apply the result to the element; text that cannot fit on one line wraps as a fallback
+  element.style.fontSize = `${fontSize}px`;
+  element.dataset.fitFontSize = element.style.fontSize;
+  if (respectLineHeight) {
+    element.style.lineHeight = `${fontSize * lineHeightRatio}px`;
+    element.dataset.fitLineHeight = element.style.lineHeight;
   }
+  applyWrapStyles(element, wrap || (!fits && preferWordWrap), balance);
+  
+  const reduction = Math.max(0, (originalFontSize - fontSize) / originalFontSize);
+  let method = fits ? 'font-reduction' : 'hybrid';
+  if (fits && fontSize > originalFontSize) method = 'grow';
+  else if (fits && reduction === 0 && wrap) method = 'word-wrap';
   
   return {
-    method: fits ? 'font-reduction' : 'hybrid',
-    fontSize: currentFontSize,
+    method,
+    fontSize,
     reduction,
-    fits: element.scrollWidth <= containerWidth && element.scrollHeight <= containerHeight,
+    fits,
+    lines,
     attempts
   };
 }
@@ -249,6 +642,14 @@ export function intelligentTextFit(element, options = {}) {
  * Apply responsive scaling to a template container
  * @param {HTMLElement} container - Template container element
  * @param {object} options - Scaling options
+ * @param {number} options.baseWidth - Template canvas width (default: 1920)
+ * @param {number} options.baseHeight - Template canvas height (default: 1080)
+ * @param {string} options.fitMode - 'contain', 'cover', 'stretch' or 'integer' (default: 'contain')
+ * @param {number} options.rotation - Clockwise stage rotation, 0/90/180/270 (default: 0)
+ * @param {number|string|object} options.safeArea - Overscan insets to keep the canvas inside (see resolveSafeAreaInsets)
+ * @param {boolean} options.envSafeArea - Also keep clear of env(safe-area-inset-*) (default: true, ignored when rotated)
+ * @param {object} options.theme - Theme tokens (see createTheme)
+ * @param {string} options.unitSystem - 'viewport' or 'container' units for the tokens (default: 'viewport')
  */
 export function applyResponsiveScaling(container, options = {}) {
   if (!container) return;
@@ -257,12 +658,24 @@ export function applyResponsiveScaling(container, options = {}) {
     viewportWidth = window.innerWidth,
     viewportHeight = window.innerHeight,
     forceOrientation = null,
+    baseWidth,
+    baseHeight,
+    fitMode = 'contain',
+    rotation = 0,
+    safeArea = null,
+    envSafeArea = true,
     enableSmartTextFit = true,
     textFitOptions = {}
   } = options;
   
-  // Calculate optimal dimensions
-  const dimensions = getOptimalDimensions(viewportWidth, viewportHeight, forceOrientation);
+  // Calculate optimal dimensions for the template's design size
+  const baseDimensions = getBaseDimensions(baseWidth, baseHeight);
+  // env() insets are in the screen's frame, which only matches an unrotated stage
+  const stageRotation = normalizeRotation(rotation);
+  const insets = envSafeArea && stageRotation === 0
+    ? resolveSafeAreaInsets(safeArea, viewportWidth, viewportHeight, getEnvSafeAreaInsets())
+    : safeArea;
+  const dimensions = getOptimalDimensions(viewportWidth, viewportHeight, forceOrientation, baseDimensions, fitMode, stageRotation, insets);
   
   // Generate CSS custom properties
   const properties = generateScaleProperties(dimensions, options);
@@ -273,9 +686,17 @@ export function applyResponsiveScaling(container, options = {}) {
   });
   
   // Apply transform for centering and scaling
-  const transform = `translate(${dimensions.offsetX}px, ${dimensions.offsetY}px) scale(${dimensions.scale})`;
+  const scale = dimensions.scaleX === dimensions.scaleY
+    ? dimensions.scale
+    : `${dimensions.scaleX}, ${dimensions.scaleY}`;
+  const fit = `translate(${dimensions.offsetX}px, ${dimensions.offsetY}px) scale(${scale})`;
+  const transform = dimensions.rotation
+    ? `translate(${dimensions.rotationOffsetX}px, ${dimensions.rotationOffsetY}px) rotate(${dimensions.rotation}deg) ${fit}`
+    : fit;
   container.style.transform = transform;
   container.style.transformOrigin = 'top left';
+  // responsiveDisplay.css switches integer scaling to pixelated rendering
+  container.dataset.fitMode = dimensions.fitMode;
   
   // Apply smart text fitting to all text elements
   if (enableSmartTextFit) {
@@ -298,17 +719,34 @@ export function applyResponsiveScaling(container, options = {}) {
  * Create a responsive observer for dynamic scaling updates
  * @param {HTMLElement} container - Container to observe
  * @param {function} callback - Callback for updates
- * @param {object} options - Observer options
+ * @param {object} options - Observer options, also passed to applyResponsiveScaling
+ * @param {HTMLElement} options.target - Box the display fills (default: the container's parent)
  * @returns {function} Cleanup function
  */
 export function createResponsiveObserver(container, callback, options = {}) {
   let resizeTimeout;
-  const { debounceMs = 150 } = options;
+  let resizeObserver = null;
+  const { debounceMs = 150, target = container?.parentElement } = options;
+
+  // Re-measured on every change, so displays in resizable panels follow their box
+  const measure = () => (
+    target
+      ? { width: target.clientWidth, height: target.clientHeight }
+      : { width: window.innerWidth, height: window.innerHeight }
+  );
 
   const scheduleResize = (extraDelay = 0) => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
-      const result = applyResponsiveScaling(container, options);
+      const { width, height } = measure();
+      // Hidden or detached - the next resize brings it back
+      if (!width || !height) return;
+
+      const result = applyResponsiveScaling(container, {
+        ...options,
+        viewportWidth: width,
+        viewportHeight: height
+      });
       if (callback) callback(result);
     }, debounceMs + extraDelay);
   };
@@ -322,8 +760,13 @@ export function createResponsiveObserver(container, callback, options = {}) {
     scheduleResize(100);
   };
 
-  // Listen for resize events
-  window.addEventListener('resize', handleResize);
+  // Observe the box itself; without ResizeObserver fall back to window resizes
+  if (target && typeof ResizeObserver !== 'undefined') {
+    resizeObserver = new ResizeObserver(handleResize);
+    resizeObserver.observe(target);
+  } else {
+    window.addEventListener('resize', handleResize);
+  }
 
   // Listen for orientation changes
   window.addEventListener('orientationchange', handleOrientationChange);
@@ -334,7 +777,11 @@ export function createResponsiveObserver(container, callback, options = {}) {
   // Return cleanup function
   return () => {
     clearTimeout(resizeTimeout);
-    window.removeEventListener('resize', handleResize);
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+    } else {
+      window.removeEventListener('resize', handleResize);
+    }
     window.removeEventListener('orientationchange', handleOrientationChange);
   };
 }
@@ -343,9 +790,11 @@ export function createResponsiveObserver(container, callback, options = {}) {
  * Generate responsive CSS for template elements
  * @param {object} styles - Original styles object
  * @param {string} orientation - Target orientation ('landscape'|'portrait'|'auto')
+ * @param {object} options - Options
+ * @param {string} options.unitSystem - 'viewport' or 'container' units for the fallbacks (default: 'viewport')
  * @returns {object} Converted responsive styles
  */
-export function convertToResponsiveStyles(styles, orientation = 'auto') {
+export function convertToResponsiveStyles(styles, orientation = 'auto', { unitSystem = 'viewport' } = {}) {
   const responsiveStyles = { ...styles };
   
   // Convert font-size
@@ -361,7 +810,7 @@ export function convertToResponsiveStyles(styles, orientation = 'auto') {
       else if (pixels <= 64) scale = 'xl';
       else scale = 'xxl';
       
-      responsiveStyles['font-size'] = `var(--font-${scale}, ${responsiveFontSize(scale)})`;
+      responsiveStyles['font-size'] = `var(--font-${scale}, ${responsiveFontSize(scale, 1, TYPOGRAPHY_SCALE, unitSystem)})`;
     }
   }
   
@@ -371,7 +820,22 @@ export function convertToResponsiveStyles(styles, orientation = 'auto') {
 export default {
   BASE_DIMENSIONS,
   BREAKPOINTS,
+  getBaseDimensions,
+  FIT_MODES,
+  ROTATIONS,
+  normalizeRotation,
+  DEFAULT_SAFE_AREA,
+  resolveSafeAreaInsets,
+  getEnvSafeAreaInsets,
+  getViewportOrientation,
   TYPOGRAPHY_SCALE,
+  UNIT_SYSTEMS,
+  getResponsiveUnit,
+  DEFAULT_THEME,
+  createTheme,
+  generateThemeProperties,
+  themeToCss,
+  getThemeFonts,
   pixelsToViewport,
   responsiveFontSize,
   getOptimalDimensions,
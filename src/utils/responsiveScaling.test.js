@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getBaseDimensions,
+  getOptimalDimensions,
+  getViewportOrientation,
+  normalizeRotation,
+  resolveSafeAreaInsets,
+  pixelsToViewport,
+  getResponsiveUnit,
+  intelligentTextFit
+} from './responsiveScaling';
+
+const LANDSCAPE_DESIGN = getBaseDimensions(1920, 1080);
+
+const fit = (width, height, fitMode, options = {}) => getOptimalDimensions(
+  width,
+  height,
+  null,
+  options.base || LANDSCAPE_DESIGN,
+  fitMode,
+  options.rotation || 0,
+  options.safeArea || null
+);
+
+describe('getOptimalDimensions', () => {
+  describe('contain', () => {
+    it('fills a matching landscape viewport', () => {
+      const dims = fit(3840, 2160, 'contain');
+      expect(dims).toMatchObject({ width: 3840, height: 2160, scale: 2, offsetX: 0, offsetY: 0 });
+    });
+
+    it('letterboxes a landscape design on a portrait viewport', () => {
+      const dims = fit(1080, 1920, 'contain');
+      expect(dims.scale).toBeCloseTo(0.5625);
+      expect(dims.width).toBeCloseTo(1080);
+      expect(dims.height).toBeCloseTo(607.5);
+      expect(dims.offsetX).toBeCloseTo(0);
+      expect(dims.offsetY).toBeCloseTo((1920 - 607.5) / 2);
+      expect(dims.orientation).toBe('portrait');
+    });
+
+    it('pillarboxes a portrait design on a landscape viewport', () => {
+      const dims = fit(1920, 1080, 'contain', { base: getBaseDimensions(1080, 1920) });
+      expect(dims.scale).toBeCloseTo(0.5625);
+      expect(dims.width).toBeCloseTo(607.5);
+      expect(dims.height).toBeCloseTo(1080);
+      expect(dims.offsetX).toBeCloseTo((1920 - 607.5) / 2);
+      expect(dims.offsetY).toBeCloseTo(0);
+    });
+  });
+
+  describe('cover', () => {
+    it('fills a portrait viewport with a landscape design and crops the sides', () => {
+      const dims = fit(1080, 1920, 'cover');
+      expect(dims.scale).toBeCloseTo(1920 / 1080);
+      expect(dims.width).toBeCloseTo(1920 * 1920 / 1080);
+      expect(dims.height).toBeCloseTo(1920);
+      expect(dims.offsetX).toBeCloseTo((1080 - dims.width) / 2);
+      expect(dims.offsetY).toBeCloseTo(0);
+    });
+
+    it('fills a square viewport, centred on the content', () => {
+      const dims = fit(1000, 1000, 'cover');
+      expect(dims.scale).toBeCloseTo(1000 / 1080);
+      expect(dims.height).toBeCloseTo(1000);
+      expect(dims.width).toBeCloseTo(1920 * 1000 / 1080);
+      expect(dims.offsetX).toBeCloseTo((1000 - dims.width) / 2);
+      expect(dims.offsetY).toBeCloseTo(0);
+    });
+
+    it('crops top and bottom on a wider landscape viewport', () => {
+      const dims = fit(2560, 1080, 'cover');
+      expect(dims.scale).toBeCloseTo(2560 / 1920);
+      expect(dims.width).toBeCloseTo(2560);
+      expect(dims.offsetX).toBeCloseTo(0);
+      expect(dims.offsetY).toBeCloseTo((1080 - 1440) / 2);
+    });
+  });
+
+  describe('integer', () => {
+    it('snaps to whole scales in landscape', () => {
+      const dims = fit(4000, 2300, 'integer');
+      expect(dims).toMatchObject({ scale: 2, width: 3840, height: 2160, offsetX: 80, offsetY: 70 });
+    });
+
+    it('centres the snapped content in portrait', () => {
+      const dims = fit(1080, 1920, 'integer');
+      expect(dims).toMatchObject({ scale: 0.5, width: 960, height: 540, offsetX: 60, offsetY: 690 });
+    });
+  });
+
+  it('stretches each axis independently', () => {
+    const dims = fit(1920, 1200, 'stretch');
+    expect(dims).toMatchObject({ width: 1920, height: 1200, scaleX: 1, offsetX: 0, offsetY: 0 });
+    expect(dims.scaleY).toBeCloseTo(1200 / 1080);
+  });
+
+  it('fits inside the safe area', () => {
+    const dims = fit(1920, 1080, 'contain', { safeArea: '5%' });
+    expect(dims.scale).toBeCloseTo(0.9);
+    expect(dims.offsetX).toBeCloseTo(96);
+    expect(dims.offsetY).toBeCloseTo(54);
+  });
+
+  it('swaps the axes for a quarter-turned panel', () => {
+    const dims = fit(1080, 1920, 'contain', { rotation: 90 });
+    expect(dims).toMatchObject({ viewportWidth: 1920, viewportHeight: 1080, scale: 1, rotationOffsetX: 1080 });
+  });
+
+  it('falls back to contain for unknown fit modes', () => {
+    expect(fit(1920, 1080, 'zoom').fitMode).toBe('contain');
+  });
+});
+
+describe('helpers', () => {
+  it('normalizes rotations', () => {
+    expect(normalizeRotation('-90')).toBe(270);
+    expect(normalizeRotation(null)).toBe(0);
+    expect(normalizeRotation(45)).toBe(0);
+  });
+
+  it('detects the viewport orientation', () => {
+    expect(getViewportOrientation(1920, 1080)).toBe('landscape');
+    expect(getViewportOrientation(1000, 1000)).toBe('portrait');
+    expect(getViewportOrientation(1920, 1080, 'portrait')).toBe('portrait');
+  });
+
+  it('resolves safe-area insets', () => {
+    expect(resolveSafeAreaInsets({ top: '10%', left: 24, right: '8px' }, 1000, 500))
+      .toEqual({ top: 50, right: 8, bottom: 0, left: 24 });
+    expect(resolveSafeAreaInsets(0, 1000, 500, { top: 30 }).top).toBe(30);
+  });
+
+  it('rejects invalid base dimensions', () => {
+    expect(getBaseDimensions(0, 1080)).toEqual(getBaseDimensions());
+  });
+
+  it('converts pixels to viewport or container units', () => {
+    expect(pixelsToViewport(192, 'vw')).toBe('clamp(96px, 10.00vw, 384px)');
+    expect(getResponsiveUnit('vh', 'container')).toBe('cqh');
+  });
+});
+
+describe('intelligentTextFit', () => {
+  // Stylesheet size, standing in for theme tokens and clamp() values
+  let cssFontSize = 100;
+
+  // Text box whose content is 0.6em per character on one line
+  const createTextElement = ({ text = 'ABCDEFGHIJ', width = 300, height = 200, inlineFontSize = '' } = {}) => {
+    const style = { fontSize: inlineFontSize, lineHeight: '' };
+    const fontSize = () => parseFloat(style.fontSize || `${cssFontSize}px`);
+    return {
+      dataset: {},
+      style,
+      textContent: text,
+      clientWidth: width,
+      clientHeight: height,
+      get scrollWidth() { return text.length * fontSize() * 0.6; },
+      get scrollHeight() { return fontSize() * 1.2; }
+    };
+  };
+
+  beforeEach(() => {
+    vi.stubGlobal('window', {
+      getComputedStyle: (element) => ({
+        fontSize: element.style.fontSize || `${cssFontSize}px`,
+        lineHeight: element.style.lineHeight || 'normal',
+        paddingLeft: '0px',
+        paddingRight: '0px',
+        paddingTop: '0px',
+        paddingBottom: '0px'
+      })
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    cssFontSize = 100;
+  });
+
+  it('shrinks text to its box', () => {
+    const element = createTextElement();
+    const result = intelligentTextFit(element, { maxReduction: 0.1, minFontSize: 1 });
+    expect(result.fits).toBe(true);
+    expect(result.fontSize).toBeLessThanOrEqual(50);
+    expect(result.fontSize).toBeGreaterThan(49);
+    expect(element.style.fontSize).toBe(`${result.fontSize}px`);
+  });
+
+  it('re-reads the design size on every fit', () => {
+    const element = createTextElement({ width: 1000 });
+    expect(intelligentTextFit(element).fontSize).toBe(100);
+
+    // A theme switch halves the stylesheet size; the earlier inline size must not win
+    cssFontSize = 50;
+    expect(intelligentTextFit(element).fontSize).toBe(50);
+
+    cssFontSize = 80;
+    expect(intelligentTextFit(element).fontSize).toBe(80);
+  });
+
+  it('keeps the template\'s own inline size as the design size', () => {
+    const element = createTextElement({ width: 1000, inlineFontSize: '60px' });
+    expect(intelligentTextFit(element).fontSize).toBe(60);
+    expect(intelligentTextFit(element).fontSize).toBe(60);
+  });
+
+  it('takes inline sizes set after a fit as the new design size', () => {
+    const element = createTextElement({ width: 1000 });
+    intelligentTextFit(element);
+
+    // e.g. a portrait layout applied over the fitted element
+    element.style.fontSize = '40px';
+    expect(intelligentTextFit(element).fontSize).toBe(40);
+  });
+});
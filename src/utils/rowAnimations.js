@@ -0,0 +1,202 @@
+/* ──────────────────────────────────────────────────────────────
+   rowAnimations.js
+   ------------------------------------------------------------------
+   In-place updates for data-repeat rows. Instead of replacing the
+   whole layout, new markup is morphed into the live DOM - rows are
+   matched by their data-row-key - and moved rows slide from their
+   old position to the new one (FLIP: First, Last, Invert, Play).
+   ------------------------------------------------------------------ */
+
+import { prefersReducedMotion } from './displayTransitions';
+
+const ROW_SELECTOR = '[data-row-key]';
+const DEFAULT_MOVE_DURATION_MS = 600;
+const DEFAULT_EASING = 'cubic-bezier(0.2, 0, 0.2, 1)';
+
+// Identity of a rendered row: repeat source plus row key
+const getRowId = (node) => (
+  node.nodeType === 1 && node.hasAttribute('data-row-key')
+    ? `${node.getAttribute('data-repeat-row') || ''}::${node.getAttribute('data-row-key')}`
+    : null
+);
+
+/**
+ * Check whether compiled HTML contains data-repeat rows
+ * @param {string} html - Compiled template HTML
+ * @returns {boolean} True if at least one row is present
+ */
+export function hasRepeatRows(html) {
+  return typeof html === 'string' && /\sdata-row-key\s*=/.test(html);
+}
+
+/**
+ * Record the on-screen position of every repeated row
+ * @param {HTMLElement} root - Element containing the rows
+ * @returns {Map} Row id -> DOMRect
+ */
+export function captureRowPositions(root) {
+  const positions = new Map();
+  if (!root) return positions;
+
+  root.querySelectorAll(ROW_SELECTOR).forEach(row => {
+    positions.set(getRowId(row), row.getBoundingClientRect());
+  });
+
+  return positions;
+}
+
+const syncAttributes = (target, source) => {
+  Array.from(target.attributes).forEach(({ name }) => {
+    if (!source.hasAttribute(name)) target.removeAttribute(name);
+  });
+  Array.from(source.attributes).forEach(({ name, value }) => {
+    if (target.getAttribute(name) !== value) target.setAttribute(name, value);
+  });
+};
+
+const isSameKind = (a, b) => (
+  a.nodeType === b.nodeType && (a.nodeType !== 1 || a.tagName === b.tagName)
+);
+
+const morphNode = (target, source) => {
+  if (target.nodeType === 1) {
+    morphElement(target, source);
+  } else if (target.nodeValue !== source.nodeValue) {
+    target.nodeValue = source.nodeValue;
+  }
+};
+
+// Reconcile child lists: rows by key, everything else by position
+const morphChildren = (target, source) => {
+  const keyedRows = new Map();
+  Array.from(target.childNodes).forEach(child => {
+    const id = getRowId(child);
+    if (id) keyedRows.set(id, child);
+  });
+
+  let cursor = target.firstChild;
+
+  Array.from(source.childNodes).forEach(sourceChild => {
+    const id = getRowId(sourceChild);
+    let match = null;
+
+    if (id) {
+      match = keyedRows.get(id) || null;
+      keyedRows.delete(id);
+    } else if (cursor && !getRowId(cursor) && isSameKind(cursor, sourceChild)) {
+      match = cursor;
+    }
+
+    if (!match) {
+      target.insertBefore(sourceChild, cursor);
+      return;
+    }
+
+    if (match === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      target.insertBefore(match, cursor);
+    }
+    morphNode(match, sourceChild);
+  });
+
+  // Whatever was not matched is no longer in the markup
+  while (cursor) {
+    const next = cursor.nextSibling;
+    target.removeChild(cursor);
+    cursor = next;
+  }
+};
+
+/**
+ * Morph a live element to match another element, reusing existing nodes
+ * @param {HTMLElement} target - Live element to update
+ * @param {HTMLElement} source - Element with the desired attributes and children
+ */
+export function morphElement(target, source) {
+  syncAttributes(target, source);
+  morphChildren(target, source);
+}
+
+/**
+ * Morph the children of a live element to match an HTML string
+ * @param {HTMLElement} container - Live element to update
+ * @param {string} html - Desired inner HTML
+ */
+export function morphHtml(container, html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  morphChildren(container, template.content);
+}
+
+/**
+ * Slide moved rows from their previous position and fade in new rows
+ * @param {HTMLElement} root - Element containing the rows
+ * @param {Map} previousPositions - Result of captureRowPositions before the update
+ * @param {Object} options - Animation options
+ * @param {number} options.duration - Move duration in ms (default: 600)
+ * @param {string} options.easing - CSS easing (default: ease-out curve)
+ * @param {boolean} options.reducedMotion - Skip animations entirely (default: prefersReducedMotion())
+ * @returns {number} Number of rows animated
+ */
+export function animateRowMoves(root, previousPositions, options = {}) {
+  const {
+    duration = DEFAULT_MOVE_DURATION_MS,
+    easing = DEFAULT_EASING,
+    reducedMotion = prefersReducedMotion()
+  } = options;
+  if (!root || !previousPositions || reducedMotion) return 0;
+
+  let animated = 0;
+
+  root.querySelectorAll(ROW_SELECTOR).forEach(row => {
+    if (typeof row.animate !== 'function') return;
+
+    const before = previousPositions.get(getRowId(row));
+    const after = row.getBoundingClientRect();
+
+    if (!before) {
+      row.animate([{ opacity: 0 }, { opacity: 1 }], { duration, easing });
+      animated++;
+      return;
+    }
+
+    // Rects are in screen pixels; the layout may be scaled, the transform is not
+    const scale = row.offsetWidth ? after.width / row.offsetWidth : 1;
+    const deltaX = (before.left - after.left) / (scale || 1);
+    const deltaY = (before.top - after.top) / (scale || 1);
+    if (Math.abs(deltaX) < 0.5 && Math.abs(deltaY) < 0.5) return;
+
+    row.animate([
+      { transform: `translate(${deltaX}px, ${deltaY}px)` },
+      { transform: 'translate(0, 0)' }
+    ], { duration, easing });
+    animated++;
+  });
+
+  return animated;
+}
+
+/**
+ * Update rendered content in place and animate rows into their new positions
+ * @param {HTMLElement} container - Live element to update
+ * @param {string} html - Desired inner HTML
+ * @param {Object} options - Animation options (see animateRowMoves)
+ * @returns {number} Number of rows animated
+ */
+export function morphContent(container, html, options = {}) {
+  if (!container) return 0;
+
+  const previousPositions = captureRowPositions(container);
+  morphHtml(container, html);
+  return animateRowMoves(container, previousPositions, options);
+}
+
+export default {
+  hasRepeatRows,
+  captureRowPositions,
+  morphElement,
+  morphHtml,
+  animateRowMoves,
+  morphContent
+};
@@ -0,0 +1,133 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  hasRepeatRows,
+  captureRowPositions,
+  morphHtml,
+  animateRowMoves,
+  morphContent
+} from './rowAnimations';
+
+const rows = (runners) => runners
+  .map(([bib, name]) => `<li data-repeat-row="splits" data-row-key="${bib}">${name}</li>`)
+  .join('');
+
+const rowNodes = (list) => Array.from(list.children);
+
+describe('hasRepeatRows', () => {
+  it('detects compiled rows', () => {
+    expect(hasRepeatRows(rows([[1, 'Ana']]))).toBe(true);
+    expect(hasRepeatRows('<li data-repeat="splits"></li>')).toBe(false);
+    expect(hasRepeatRows(null)).toBe(false);
+  });
+});
+
+describe('morphHtml', () => {
+  let list;
+
+  beforeEach(() => {
+    list = document.createElement('ul');
+    list.innerHTML = rows([[1, 'Ana'], [2, 'Lee'], [3, 'Kim']]);
+  });
+
+  it('reuses rows by key and updates their content', () => {
+    const [ana, lee, kim] = rowNodes(list);
+    morphHtml(list, rows([[1, 'Ana R.'], [2, 'Lee'], [3, 'Kim']]));
+
+    const [first, second, third] = rowNodes(list);
+    expect(first).toBe(ana);
+    expect(second).toBe(lee);
+    expect(third).toBe(kim);
+    expect(ana.textContent).toBe('Ana R.');
+  });
+
+  it('inserts new rows and removes dropped ones', () => {
+    const [ana, lee, kim] = rowNodes(list);
+    morphHtml(list, rows([[2, 'Lee'], [4, 'Sam']]));
+
+    const [first, second] = rowNodes(list);
+    expect(rowNodes(list)).toHaveLength(2);
+    expect(first).toBe(lee);
+    expect(second.textContent).toBe('Sam');
+    expect(ana.isConnected || kim.isConnected).toBe(false);
+  });
+
+  it('moves reordered rows instead of recreating them', () => {
+    const [ana, lee, kim] = rowNodes(list);
+    morphHtml(list, rows([[3, 'Kim'], [1, 'Ana'], [2, 'Lee']]));
+
+    expect(rowNodes(list)[0]).toBe(kim);
+    expect(rowNodes(list)[1]).toBe(ana);
+    expect(rowNodes(list)[2]).toBe(lee);
+  });
+
+  it('keeps rows of different repeats apart', () => {
+    list.innerHTML = '<li data-repeat-row="a" data-row-key="1">a</li>';
+    const [row] = rowNodes(list);
+    morphHtml(list, '<li data-repeat-row="b" data-row-key="1">b</li>');
+
+    expect(rowNodes(list)[0]).not.toBe(row);
+  });
+
+  it('morphs other nodes by position, syncing attributes', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<h1 class="a" title="x">Top</h1>text';
+    const heading = container.firstChild;
+    morphHtml(container, '<h1 class="b">Top 5</h1>more');
+
+    expect(container.firstChild).toBe(heading);
+    expect(container.innerHTML).toBe('<h1 class="b">Top 5</h1>more');
+  });
+});
+
+describe('row animation', () => {
+  let list;
+  let animate;
+
+  beforeEach(() => {
+    list = document.createElement('ul');
+    list.innerHTML = rows([[1, 'Ana'], [2, 'Lee'], [3, 'Kim']]);
+    // Rows are 10px tall and stacked in document order
+    vi.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function getRect() {
+      const top = Array.from(this.parentNode.children).indexOf(this) * 10;
+      return { left: 0, top, width: 100, height: 10 };
+    });
+    animate = vi.fn();
+    Element.prototype.animate = animate;
+  });
+
+  afterEach(() => {
+    delete Element.prototype.animate;
+    vi.restoreAllMocks();
+  });
+
+  const translations = () => animate.mock.calls
+    .filter(([keyframes]) => keyframes[0].transform)
+    .map(([keyframes]) => keyframes[0].transform);
+
+  it('slides moved rows from their old position and fades in new ones', () => {
+    const animated = morphContent(list, rows([[3, 'Kim'], [1, 'Ana'], [2, 'Lee'], [4, 'Sam']]), { reducedMotion: false });
+
+    expect(animated).toBe(4);
+    expect(translations()).toEqual(['translate(0px, 20px)', 'translate(0px, -10px)', 'translate(0px, -10px)']);
+    expect(animate).toHaveBeenCalledWith([{ opacity: 0 }, { opacity: 1 }], expect.objectContaining({ duration: 600 }));
+  });
+
+  it('leaves rows that did not move alone', () => {
+    const before = captureRowPositions(list);
+    expect(animateRowMoves(list, before, { reducedMotion: false })).toBe(0);
+    expect(animate).not.toHaveBeenCalled();
+  });
+
+  it('skips animation under reduced motion, still updating the rows', () => {
+    expect(morphContent(list, rows([[2, 'Lee'], [1, 'Ana']]), { reducedMotion: true })).toBe(0);
+    expect(animate).not.toHaveBeenCalled();
+    expect(list.textContent).toBe('LeeAna');
+  });
+
+  it('skips animation where Element.animate is missing', () => {
+    delete Element.prototype.animate;
+    expect(morphContent(list, rows([[2, 'Lee'], [1, 'Ana']]), { reducedMotion: false })).toBe(0);
+    expect(list.textContent).toBe('LeeAna');
+  });
+});
@@ -0,0 +1,235 @@
+/* ──────────────────────────────────────────────────────────────
+   scopedCss.js
+   ------------------------------------------------------------------
+   Per-instance template CSS. Every selector is prefixed with the
+   display's scope attribute so several displays can share a page
+   without styling each other or the host app. :root, html, body and
+   .layout-root map to the scoped layout root, which keeps --font-*
+   overrides working; @keyframes are renamed per scope.
+   ------------------------------------------------------------------ */
+
+export const SCOPE_ATTRIBUTE = 'data-display-scope';
+
+// At-rules whose blocks contain ordinary style rules
+const GROUPING_AT_RULES = ['media', 'supports', 'container', 'layer', 'document', '-moz-document', 'scope'];
+const KEYFRAMES_PATTERN = /@(?:-webkit-|-moz-)?keyframes\s+([A-Za-z_][\w-]*)/g;
+const ROOT_SELECTOR_PATTERN = /^\s*(?:>\s*)?(?::root|html|body|\.layout-root)(?![\w-])/;
+
+let scopeCounter = 0;
+
+/**
+ * Create a unique scope id
+ * @param {string} prefix - Id prefix (default: 'rd')
+ * @returns {string} Scope id safe to use in attribute selectors
+ */
+export function createScopeId(prefix = 'rd') {
+  scopeCounter += 1;
+  return `${prefix}-${scopeCounter.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Attribute selector matching a scoped layout root
+ * @param {string} scopeId - Scope id
+ * @returns {string} e.g. [data-display-scope="rd-1abc"]
+ */
+export function getScopeSelector(scopeId) {
+  return `[${SCOPE_ATTRIBUTE}="${scopeId}"]`;
+}
+
+// Index of the next top-level character from `targets`, skipping strings and parentheses
+const findNext = (css, start, targets) => {
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && targets.includes(char)) {
+      return i;
+    }
+  }
+
+  return -1;
+};
+
+// Index of the brace closing the block opened at `openIndex`
+const findClosingBrace = (css, openIndex) => {
+  let depth = 0;
+  let index = openIndex;
+
+  while (index !== -1) {
+    const char = css[index];
+    if (char === '{') depth++;
+    if (char === '}') depth--;
+    if (depth === 0) return index;
+    index = findNext(css, index + 1, ['{', '}']);
+  }
+
+  return css.length;
+};
+
+const stripComments = (css) => {
+  let output = '';
+  let quote = null;
+
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (quote) {
+      if (char === '\\') {
+        output += char + (css[i + 1] ?? '');
+        i++;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2);
+      i = end === -1 ? css.length : end + 1;
+      continue;
+    }
+    output += char;
+  }
+
+  return output;
+};
+
+// Split a selector list on commas outside of parentheses, brackets and strings
+const splitSelectorList = (selectorList) => {
+  const selectors = [];
+  let start = 0;
+  let index = findNext(selectorList, 0, [',', '[']);
+
+  while (index !== -1) {
+    if (selectorList[index] === '[') {
+      const close = selectorList.indexOf(']', index);
+      index = findNext(selectorList, close === -1 ? selectorList.length : close + 1, [',', '[']);
+      continue;
+    }
+    selectors.push(selectorList.slice(start, index));
+    start = index + 1;
+    index = findNext(selectorList, start, [',', '[']);
+  }
+  selectors.push(selectorList.slice(start));
+
+  return selectors;
+};
+
+/**
+ * Prefix a single selector with a scope selector
+ * @param {string} selector - CSS selector
+ * @param {string} rootSelector - Selector for the scoped layout root
+ * @returns {string} Scoped selector
+ */
+export function scopeSelector(selector, rootSelector) {
+  const trimmed = selector.trim();
+  if (!trimmed) return trimmed;
+
+  // :root / html / body / .layout-root all become the scoped layout root
+  let rest = trimmed;
+  let isRoot = false;
+  let match = ROOT_SELECTOR_PATTERN.exec(rest);
+  while (match) {
+    rest = rest.slice(match[0].length);
+    isRoot = true;
+    match = ROOT_SELECTOR_PATTERN.exec(rest);
+  }
+
+  return isRoot ? `${rootSelector}${rest}` : `${rootSelector} ${trimmed}`;
+}
+
+const renameAnimations = (declarations, keyframeNames, scopeId) => {
+  if (keyframeNames.length === 0) return declarations;
+
+  return declarations.replace(/(animation(?:-name)?\s*:)([^;}]*)/gi, (match, property, value) => {
+    const renamed = value.replace(/(^|[^\w-])([A-Za-z_][\w-]*)(?![\w-])/g, (token, before, name) => (
+      keyframeNames.includes(name) ? `${before}${name}--${scopeId}` : token
+    ));
+    return `${property}${renamed}`;
+  });
+};
+
+const scopeRules = (css, context) => {
+  let output = '';
+  let index = 0;
+
+  while (index < css.length) {
+    const end = findNext(css, index, ['{', ';', '}']);
+    if (end === -1) {
+      output += css.slice(index);
+      break;
+    }
+
+    // Statements (@import, @charset) and stray characters pass through
+    if (css[end] !== '{') {
+      output += css.slice(index, end + 1);
+      index = end + 1;
+      continue;
+    }
+
+    const prelude = css.slice(index, end);
+    const close = findClosingBrace(css, end);
+    const body = css.slice(end + 1, close);
+    const leading = prelude.match(/^\s*/)[0];
+    const trimmedPrelude = prelude.trim();
+
+    if (trimmedPrelude.startsWith('@')) {
+      const atRule = /^@([\w-]+)/.exec(trimmedPrelude)?.[1].toLowerCase() || '';
+
+      if (GROUPING_AT_RULES.includes(atRule)) {
+        output += `${prelude}{${scopeRules(body, context)}}`;
+      } else if (/keyframes$/.test(atRule)) {
+        const renamedPrelude = trimmedPrelude.replace(/([A-Za-z_][\w-]*)\s*$/, `$1--${context.scopeId}`);
+        output += `${leading}${renamedPrelude} {${body}}`;
+      } else {
+        // @font-face, @page, @property, ... are global by nature
+        output += `${prelude}{${body}}`;
+      }
+    } else {
+      const selectors = splitSelectorList(trimmedPrelude)
+        .map(selector => scopeSelector(selector, context.scopeSelector))
+        .filter(Boolean)
+        .join(', ');
+      output += `${leading}${selectors} {${renameAnimations(body, context.keyframeNames, context.scopeId)}}`;
+    }
+
+    index = close + 1;
+  }
+
+  return output;
+};
+
+/**
+ * Scope template CSS to one display instance
+ * @param {string} css - Template CSS
+ * @param {string} scopeId - Scope id (see createScopeId); falsy returns the CSS unchanged
+ * @returns {string} CSS whose rules only match inside the scoped layout root
+ */
+export function scopeCss(css, scopeId) {
+  if (!css || !scopeId) return css || '';
+
+  const source = stripComments(String(css));
+  const keyframeNames = Array.from(source.matchAll(KEYFRAMES_PATTERN), match => match[1]);
+
+  return scopeRules(source, {
+    scopeId,
+    scopeSelector: getScopeSelector(scopeId),
+    keyframeNames
+  });
+}
+
+export default {
+  SCOPE_ATTRIBUTE,
+  createScopeId,
+  getScopeSelector,
+  scopeSelector,
+  scopeCss
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createScopeId, getScopeSelector, scopeSelector, scopeCss } from './scopedCss';
+
+const ROOT = '[data-display-scope="s1"]';
+
+describe('createScopeId', () => {
+  it('creates distinct ids usable in attribute selectors', () => {
+    const first = createScopeId();
+    expect(first).toMatch(/^rd-[a-z0-9]+$/);
+    expect(createScopeId()).not.toBe(first);
+    expect(createScopeId('editor')).toMatch(/^editor-/);
+    expect(getScopeSelector('s1')).toBe(ROOT);
+  });
+});
+
+describe('scopeSelector', () => {
+  it('prefixes ordinary selectors', () => {
+    expect(scopeSelector('.name > span:hover', ROOT)).toBe(`${ROOT} .name > span:hover`);
+    expect(scopeSelector('  ', ROOT)).toBe('');
+  });
+
+  it('maps :root, html, body and .layout-root to the scoped root', () => {
+    expect(scopeSelector(':root', ROOT)).toBe(ROOT);
+    expect(scopeSelector('html body .a', ROOT)).toBe(`${ROOT} .a`);
+    expect(scopeSelector('.layout-root.dark', ROOT)).toBe(`${ROOT}.dark`);
+    expect(scopeSelector('body > .a', ROOT)).toBe(`${ROOT} > .a`);
+  });
+
+  it('leaves look-alike names alone', () => {
+    expect(scopeSelector('.layout-rooted', ROOT)).toBe(`${ROOT} .layout-rooted`);
+    expect(scopeSelector('bodywrap', ROOT)).toBe(`${ROOT} bodywrap`);
+  });
+});
+
+describe('scopeCss', () => {
+  it('scopes every selector of a list', () => {
+    expect(scopeCss('.a, .b:not(.c, .d), [title="x,y"] {color:red}', 's1'))
+      .toBe(`${ROOT} .a, ${ROOT} .b:not(.c, .d), ${ROOT} [title="x,y"] {color:red}`);
+  });
+
+  it('keeps theme overrides on :root working', () => {
+    expect(scopeCss(':root { --font-title: 3vw; }', 's1')).toBe(`${ROOT} { --font-title: 3vw; }`);
+  });
+
+  it('scopes rules nested in @media and @supports', () => {
+    const css = '@media (orientation: portrait) { .a {top:0} @supports (display:grid) { .b {display:grid} } }';
+    expect(scopeCss(css, 's1')).toBe(
+      `@media (orientation: portrait) { ${ROOT} .a {top:0} @supports (display:grid) { ${ROOT} .b {display:grid} } }`
+    );
+  });
+
+  it('renames keyframes and the animations using them', () => {
+    const css = '@keyframes pulse {from{opacity:0}to{opacity:1}} .a {animation: pulse 1s, spin 2s} .b {animation-name: pulse}';
+    expect(scopeCss(css, 's1')).toBe(
+      '@keyframes pulse--s1 {from{opacity:0}to{opacity:1}}' +
+      ` ${ROOT} .a {animation: pulse--s1 1s, spin 2s}` +
+      ` ${ROOT} .b {animation-name: pulse--s1}`
+    );
+  });
+
+  it('renames prefixed keyframes', () => {
+    expect(scopeCss('@-webkit-keyframes glow {to{color:red}}', 's1')).toBe('@-webkit-keyframes glow--s1 {to{color:red}}');
+  });
+
+  it('passes @font-face, @import and @page through', () => {
+    const css = '@import url("a.css"); @font-face {font-family: X; src: url(x.woff2)} @page {margin:0}';
+    expect(scopeCss(css, 's1')).toBe(css);
+  });
+
+  it('ignores braces in strings and drops comments', () => {
+    expect(scopeCss('/* .x {} */.a::after {content: "}{"}', 's1')).toBe(`${ROOT} .a::after {content: "}{"}`);
+  });
+
+  it('returns the CSS unchanged without a scope', () => {
+    expect(scopeCss('.a{}', null)).toBe('.a{}');
+    expect(scopeCss(null, 's1')).toBe('');
+  });
+});
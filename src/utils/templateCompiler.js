@@ -0,0 +1,325 @@
+/* ──────────────────────────────────────────────────────────────
+   templateCompiler.js
+   ------------------------------------------------------------------
+   Pure template compiler shared by RunnerDisplayEnhanced and
+   ResponsiveTemplateViewer. Selects the active/resting state,
+   drops data-if / data-unless blocks, expands data-repeat rows,
+   resolves {{field|formatter}} and [data-placeholder] bindings, fills
+   image placeholders, applies portrait overrides, expands animation
+   attributes and sanitizes the result. String in, string out - no
+   DOM required.
+   ------------------------------------------------------------------ */
+
+import {
+  parseHtml,
+  serializeHtml,
+  createTextNode,
+  escapeHtml,
+  getAttribute,
+  hasAttribute,
+  setAttribute,
+  removeAttribute,
+  addClass,
+  parseStyle,
+  setStyle,
+  cloneNode,
+  RAW_TEXT_ELEMENTS
+} from './htmlParser';
+import { applyFormatters, parsePlaceholderExpression } from './templateFormatters';
+import { shouldRender } from './templateConditions';
+import { DEFAULT_FIELD_ALIASES, isEmptyValue, resolveField } from './templateData';
+import {
+  resolveSanitizeOptions,
+  sanitizeTree,
+  sanitizeCss,
+  isAllowedImageSource,
+  warnBlockedImage
+} from './templateSanitizer';
+import { scopeCss } from './scopedCss';
+import { PORTRAIT_STYLE_ATTRIBUTE, resolveOrientationTemplate } from './templateOrientation';
+
+export { DEFAULT_FIELD_ALIASES, resolveField };
+
+// Matches {{field}}, {{nested.field}} and {{field|formatter:arg}}
+export const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+const DEFAULT_COMPILE_OPTIONS = {
+  state: 'auto',          // 'auto' (active with data, resting without), 'active' or 'resting'
+  aliases: DEFAULT_FIELD_ALIASES,
+  animations: true,       // Expand data-anim into animate.css classes
+  reducedMotion: false,   // Skip animation classes entirely
+  maxRows: null,          // Default row limit for data-repeat
+  sanitize: true,         // true, false or sanitizer overrides (see templateSanitizer)
+  scope: null,            // Scope id for template CSS (see scopedCss), null = global
+  orientation: 'landscape' // 'portrait' renders the portrait variant (see templateOrientation)
+};
+
+/**
+ * Check whether a template uses the two-state format
+ * @param {Object} template - Template object
+ * @returns {boolean} True if it has both activeState and restingState
+ */
+export function isTwoStateTemplate(template) {
+  return !!(template && template.activeState && template.restingState);
+}
+
+/**
+ * Pick the template state to render
+ * @param {Object} template - Template object (single-state or two-state)
+ * @param {Object|null} data - Runner data
+ * @param {string} state - 'auto', 'active' or 'resting'
+ * @returns {Object} { stateName, stateTemplate }
+ */
+export function selectTemplateState(template, data, state = 'auto') {
+  if (!isTwoStateTemplate(template)) {
+    return { stateName: 'single', stateTemplate: template || {} };
+  }
+
+  const useActive = state === 'active' || (state === 'auto' && !!data);
+  return useActive
+    ? { stateName: 'active', stateTemplate: template.activeState }
+    : { stateName: 'resting', stateTemplate: template.restingState };
+}
+
+/**
+ * Resolve a placeholder expression like "finish_time|hms" to a display value
+ * @param {Object|null} data - Runner data
+ * @param {string} expression - Field name with optional formatter pipes
+ * @param {Object} options - Compile options
+ * @param {string} options.format - Extra pipeline applied after the expression's own (e.g. from data-format)
+ * @returns {*} Formatted value or undefined
+ */
+export function resolveExpression(data, expression, options = {}) {
+  const { aliases = DEFAULT_FIELD_ALIASES, format } = options;
+  const { key, formatters } = parsePlaceholderExpression(expression);
+  const pipeline = format
+    ? [...formatters, ...parsePlaceholderExpression(`|${format}`).formatters]
+    : formatters;
+  const value = resolveField(data, key, aliases);
+
+  return pipeline.length > 0 ? applyFormatters(value, pipeline, { data, key }) : value;
+}
+
+/**
+ * Replace {{field}} markers in a string
+ * @param {string} text - Source text
+ * @param {Object|null} data - Runner data
+ * @param {Object} options - Compile options
+ * @param {boolean} options.escape - HTML-escape values, for text that is markup (default: false)
+ * @returns {string} Text with markers replaced (empty string for missing values)
+ */
+export function substituteVariables(text, data, options = {}) {
+  if (!text || !text.includes('{{')) return text;
+  const { aliases = DEFAULT_FIELD_ALIASES, escape = false } = options;
+
+  return text.replace(VARIABLE_PATTERN, (match, expression) => {
+    const value = resolveExpression(data, expression, { aliases });
+    // Never show raw placeholders - show empty string if no data
+    if (value === undefined || value === null) return '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+// Fill a [data-placeholder] element from runner data
+const applyPlaceholder = (node, data, options) => {
+  const key = getAttribute(node, 'data-placeholder');
+  const value = resolveExpression(data, key, {
+    aliases: options.aliases,
+    format: getAttribute(node, 'data-format')
+  });
+
+  if (node.tagName === 'img') {
+    const { sanitizeOptions } = options;
+    const allowed = isEmptyValue(value) || !sanitizeOptions.enabled ||
+      isAllowedImageSource(String(value), sanitizeOptions.imageOrigins);
+    if (!allowed) warnBlockedImage(String(value));
+
+    if (!isEmptyValue(value) && allowed) {
+      setAttribute(node, 'src', String(value));
+      setAttribute(node, 'alt', `${key} image`);
+    } else {
+      setAttribute(node, 'src', '');
+      setStyle(node, { display: 'none' });
+    }
+    return;
+  }
+
+  // Clear placeholder content rather than showing the raw template
+  node.children = isEmptyValue(value) ? [] : [createTextNode(value)];
+};
+
+// Expand data-anim into animate.css classes and timing variables
+const applyEntranceAnimation = (node) => {
+  const anim = getAttribute(node, 'data-anim');
+  if (!anim || anim.trim() === '') return;
+
+  const duration = parseInt(getAttribute(node, 'data-anim-dur')) || 1000;
+  const delay = parseInt(getAttribute(node, 'data-anim-delay')) || 0;
+  const sanitizedAnim = anim.trim().replace(/\s+/g, '');
+
+  addClass(node, 'animate__animated', `animate__${sanitizedAnim}`);
+  setStyle(node, {
+    '--animate-duration': `${duration}ms`,
+    '--animate-delay': `${delay}ms`,
+    'animation-delay': `${delay}ms`
+  });
+};
+
+// Attributes that configure a repeat and are not copied to the rendered rows
+const REPEAT_ATTRIBUTES = ['data-repeat', 'data-repeat-key', 'data-repeat-max'];
+
+// Build the data scope for one repeated row
+const createRowScope = (data, item, index) => {
+  const rowMeta = { $index: index, $position: index + 1, $parent: data };
+  return item !== null && typeof item === 'object'
+    ? { ...data, ...item, ...rowMeta }
+    : { ...data, $value: item, ...rowMeta };
+};
+
+// Stable identity for a row, used to animate rows into new positions
+const getRowKey = (item, keyField, index) => {
+  if (item === null || typeof item !== 'object') return String(index);
+  const key = keyField ? item[keyField] : (item.bib ?? item.bib_number ?? item.id);
+  return key === undefined || key === null ? String(index) : String(key);
+};
+
+// Clone a [data-repeat] row template once per item in the bound array
+const expandRepeat = (node, data, options) => {
+  const source = getAttribute(node, 'data-repeat');
+  const items = resolveField(data, source, options.aliases);
+  if (!Array.isArray(items)) return [];
+
+  const limit = parseInt(getAttribute(node, 'data-repeat-max'), 10) || options.maxRows || items.length;
+  const keyField = getAttribute(node, 'data-repeat-key');
+
+  return items.slice(0, limit).map((item, index) => {
+    const row = cloneNode(node);
+    row.attrs = row.attrs.filter(attr => !REPEAT_ATTRIBUTES.includes(attr.name));
+    setAttribute(row, 'data-repeat-row', source);
+    setAttribute(row, 'data-row-key', getRowKey(item, keyField, index));
+    setAttribute(row, 'data-row-index', String(index));
+    addClass(row, 'repeat-row', index % 2 === 0 ? 'repeat-odd' : 'repeat-even');
+
+    return { row, scope: createRowScope(data, item, index) };
+  });
+};
+
+// Compile one element in place; returns false when the element should be dropped
+const compileElement = (node, data, options) => {
+  const ifExpression = getAttribute(node, 'data-if');
+  const unlessExpression = getAttribute(node, 'data-unless');
+  if (!shouldRender(ifExpression, unlessExpression, data, { aliases: options.aliases })) {
+    return false;
+  }
+
+  node.attrs.forEach(attr => {
+    if (attr.value) attr.value = substituteVariables(attr.value, data, options);
+  });
+
+  const portraitStyle = getAttribute(node, PORTRAIT_STYLE_ATTRIBUTE);
+  if (portraitStyle !== undefined) {
+    if (options.orientation === 'portrait') setStyle(node, parseStyle(portraitStyle));
+    removeAttribute(node, PORTRAIT_STYLE_ATTRIBUTE);
+  }
+
+  if (!RAW_TEXT_ELEMENTS.includes(node.tagName)) {
+    compileChildren(node, data, options);
+  }
+
+  if (hasAttribute(node, 'data-placeholder')) {
+    applyPlaceholder(node, data, options);
+  }
+  if (options.animations && !options.reducedMotion && hasAttribute(node, 'data-anim')) {
+    applyEntranceAnimation(node);
+  }
+
+  return true;
+};
+
+// Compile the children of a node, expanding repeats and dropping false conditions
+function compileChildren(parent, data, options) {
+  parent.children = parent.children.flatMap(child => {
+    if (child.type === 'text') {
+      // Text nodes hold markup, so values are escaped unless sanitizing is off
+      child.value = substituteVariables(child.value, data, {
+        aliases: options.aliases,
+        escape: options.sanitizeOptions.escapeValues
+      });
+      return [child];
+    }
+    if (child.type !== 'element') return [child];
+
+    if (hasAttribute(child, 'data-repeat')) {
+      return expandRepeat(child, data, options)
+        .filter(({ row, scope }) => compileElement(row, scope, options))
+        .map(({ row }) => row);
+    }
+
+    return compileElement(child, data, options) ? [child] : [];
+  });
+}
+
+/**
+ * Compile an HTML fragment against runner data
+ * @param {string} html - Template HTML
+ * @param {Object|null} data - Runner data
+ * @param {Object} options - Compile options
+ * @param {Object} options.aliases - Field alias map (default: message -> custom_message)
+ * @param {boolean} options.animations - Expand data-anim attributes (default: true)
+ * @param {boolean} options.reducedMotion - Skip animation classes (default: false)
+ * @param {number} options.maxRows - Default row limit for data-repeat (default: unlimited)
+ * @param {boolean|Object} options.sanitize - Sanitizer switch or overrides (default: true)
+ * @param {string} options.orientation - 'portrait' applies data-portrait-style overrides (default: 'landscape')
+ * @returns {string} Compiled HTML
+ */
+export function compileHtml(html, data, options = {}) {
+  const config = { ...DEFAULT_COMPILE_OPTIONS, ...options };
+  const sanitizeOptions = resolveSanitizeOptions(config.sanitize);
+  const tree = parseHtml(html || '');
+
+  compileChildren(tree, data, { ...config, sanitizeOptions });
+  // Runs last so URLs built from runner values are checked too
+  sanitizeTree(tree, sanitizeOptions);
+
+  return serializeHtml(tree);
+}
+
+/**
+ * Compile a template against runner data
+ * @param {Object} template - Single-state ({ html, css, ... }) or two-state
+ *   ({ activeState, restingState }) template
+ * @param {Object|null} data - Runner data (null renders the resting state)
+ * @param {Object} options - Compile options (see compileHtml), plus
+ *   `state` ('auto' | 'active' | 'resting'), `scope` (scope id for the CSS) and
+ *   `orientation` ('landscape' | 'portrait', picks the portrait variant if the template has one)
+ * @returns {Object} { html, css, canvasWidth, canvasHeight, backgroundStyles, state, orientation, scope }
+ */
+export function compileTemplate(template, data, options = {}) {
+  const config = { ...DEFAULT_COMPILE_OPTIONS, ...options };
+  const orientedTemplate = resolveOrientationTemplate(template, config.orientation);
+  const orientation = orientedTemplate === template ? 'landscape' : 'portrait';
+  const { stateName, stateTemplate } = selectTemplateState(orientedTemplate, data, config.state);
+
+  return {
+    html: compileHtml(stateTemplate.html || '', data, { ...config, orientation }),
+    css: sanitizeCss(scopeCss(stateTemplate.css || '', config.scope), config.sanitize),
+    canvasWidth: stateTemplate.canvasWidth ?? orientedTemplate?.canvasWidth,
+    canvasHeight: stateTemplate.canvasHeight ?? orientedTemplate?.canvasHeight,
+    backgroundStyles: stateTemplate.backgroundStyles ?? orientedTemplate?.backgroundStyles,
+    state: stateName,
+    orientation,
+    scope: config.scope
+  };
+}
+
+export default {
+  DEFAULT_FIELD_ALIASES,
+  VARIABLE_PATTERN,
+  isTwoStateTemplate,
+  selectTemplateState,
+  resolveField,
+  resolveExpression,
+  substituteVariables,
+  compileHtml,
+  compileTemplate
+};
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isTwoStateTemplate,
+  selectTemplateState,
+  resolveExpression,
+  substituteVariables,
+  compileHtml,
+  compileTemplate
+} from './templateCompiler';
+
+const runner = {
+  first_name: 'Ana',
+  bib: 7,
+  time: '1:02:03',
+  message: 'Go <b>',
+  photo: 'https://cdn.example.com/ana.png',
+  splits: [{ bib: 1, name: 'Lee' }, { bib: 2, name: 'Kim' }]
+};
+
+const template = {
+  schemaVersion: 2,
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  activeState: { html: '<b>{{bib}}</b>', css: '.a{color:red}' },
+  restingState: { html: '<i>Next runner</i>', css: '' },
+  portrait: { canvasWidth: 1080, canvasHeight: 1920, css: '.a{top:0}' }
+};
+
+describe('state selection', () => {
+  it('shows the active state with data and the resting state without', () => {
+    expect(isTwoStateTemplate(template)).toBe(true);
+    expect(selectTemplateState(template, runner).stateName).toBe('active');
+    expect(selectTemplateState(template, null).stateName).toBe('resting');
+    expect(selectTemplateState(template, null, 'active').stateName).toBe('active');
+    expect(selectTemplateState({ html: '<p></p>' }, runner).stateName).toBe('single');
+  });
+});
+
+describe('substituteVariables', () => {
+  it('resolves fields, aliases and formatters', () => {
+    expect(resolveExpression(runner, 'first_name|upper')).toBe('ANA');
+    expect(substituteVariables('{{ first_name }} #{{bib}}', runner)).toBe('Ana #7');
+    expect(substituteVariables('{{message}}', { custom_message: 'Hi' })).toBe('Hi');
+  });
+
+  it('never shows raw placeholders', () => {
+    expect(substituteVariables('[{{missing}}]', runner)).toBe('[]');
+    expect(substituteVariables('[{{bib}}]', null)).toBe('[]');
+  });
+
+  it('escapes values only when asked', () => {
+    expect(substituteVariables('{{message}}', runner)).toBe('Go <b>');
+    expect(substituteVariables('{{message}}', runner, { escape: true })).toBe('Go &lt;b&gt;');
+  });
+});
+
+describe('compileHtml', () => {
+  it('fills text, attributes and data-placeholder elements', () => {
+    expect(compileHtml('<p title="{{bib}}">{{message}}</p>', runner)).toBe('<p title="7">Go &lt;b&gt;</p>');
+    expect(compileHtml('<div data-placeholder="first_name|upper">Name</div>', runner))
+      .toBe('<div data-placeholder="first_name|upper">ANA</div>');
+    expect(compileHtml('<div data-placeholder="missing">Name</div>', runner))
+      .toBe('<div data-placeholder="missing"></div>');
+  });
+
+  it('drops elements whose condition fails', () => {
+    expect(compileHtml('<i data-if="bib > 5">big</i><i data-unless="bib">none</i>', runner))
+      .toBe('<i data-if="bib &gt; 5">big</i>');
+  });
+
+  it('repeats rows with row fields and keys', () => {
+    const html = compileHtml('<ul><li data-repeat="splits">{{$position}}. {{name}}</li></ul>', runner);
+    expect(html).toBe(
+      '<ul><li data-repeat-row="splits" data-row-key="1" data-row-index="0" class="repeat-row repeat-odd">1. Lee</li>' +
+      '<li data-repeat-row="splits" data-row-key="2" data-row-index="1" class="repeat-row repeat-even">2. Kim</li></ul>'
+    );
+    expect(compileHtml('<li data-repeat="splits" data-repeat-max="1">{{name}}</li>', runner)).toContain('Lee');
+    expect(compileHtml('<li data-repeat="splits" data-repeat-max="1">{{name}}</li>', runner)).not.toContain('Kim');
+  });
+
+  it('fills image placeholders and hides blocked or empty ones', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const html = compileHtml(
+      '<img data-placeholder="photo"><img data-placeholder="bad"><img data-placeholder="none">',
+      { ...runner, bad: 'javascript:alert(1)' }
+    );
+    expect(html).toBe(
+      '<img data-placeholder="photo" src="https://cdn.example.com/ana.png" alt="photo image">' +
+      '<img data-placeholder="bad" src="" style="display: none">' +
+      '<img data-placeholder="none" src="" style="display: none">'
+    );
+    vi.restoreAllMocks();
+  });
+
+  it('expands entrance animations unless motion is reduced', () => {
+    const source = '<div data-anim="fadeIn" data-anim-dur="500">a</div>';
+    expect(compileHtml(source, runner)).toContain('class="animate__animated animate__fadeIn"');
+    expect(compileHtml(source, runner)).toContain('--animate-duration: 500ms');
+    expect(compileHtml(source, runner, { reducedMotion: true })).not.toContain('animate__');
+  });
+
+  it('applies portrait styles only in portrait', () => {
+    const source = '<div style="left: 1px" data-portrait-style="left: 2px">a</div>';
+    expect(compileHtml(source, runner)).toBe('<div style="left: 1px">a</div>');
+    expect(compileHtml(source, runner, { orientation: 'portrait' })).toBe('<div style="left: 2px">a</div>');
+  });
+
+  it('sanitizes the output, including values from runner data', () => {
+    expect(compileHtml('<a href="{{link}}" onclick="x()">a</a><script>x()</script>', { link: 'javascript:x()' }))
+      .toBe('<a>a</a>');
+    expect(compileHtml('<a onclick="x()">a</a>', null, { sanitize: false })).toBe('<a onclick="x()">a</a>');
+  });
+});
+
+describe('compileTemplate', () => {
+  it('compiles the active state and scopes its CSS', () => {
+    expect(compileTemplate(template, runner, { scope: 's1' })).toEqual({
+      html: '<b>7</b>',
+      css: '[data-display-scope="s1"] .a {color:red}',
+      canvasWidth: 1920,
+      canvasHeight: 1080,
+      backgroundStyles: undefined,
+      state: 'active',
+      orientation: 'landscape',
+      scope: 's1'
+    });
+  });
+
+  it('renders the resting state without data', () => {
+    expect(compileTemplate(template, null)).toMatchObject({ html: '<i>Next runner</i>', state: 'resting' });
+  });
+
+  it('renders the portrait variant on its own canvas', () => {
+    expect(compileTemplate(template, runner, { orientation: 'portrait' })).toMatchObject({
+      html: '<b>7</b>',
+      css: '.a{color:red}\n.a{top:0}',
+      canvasWidth: 1080,
+      canvasHeight: 1920,
+      orientation: 'portrait'
+    });
+  });
+
+  it('keeps landscape for templates without a portrait variant', () => {
+    const landscapeOnly = { ...template, portrait: undefined };
+    expect(compileTemplate(landscapeOnly, runner, { orientation: 'portrait' }).orientation).toBe('landscape');
+  });
+});
@@ -0,0 +1,309 @@
+/* ──────────────────────────────────────────────────────────────
+   templateConditions.js
+   ------------------------------------------------------------------
+   Safe expression evaluator for conditional template blocks
+   (data-if / data-unless). Parses a small expression language -
+   fields, literals, comparisons, !, &&, || and parentheses - into an
+   AST and evaluates it against runner data. Never uses eval.
+   ------------------------------------------------------------------ */
+
+import { resolveField, DEFAULT_FIELD_ALIASES } from './templateData';
+
+const COMPARISON_OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '<', '>'];
+const KEYWORDS = { true: true, false: false, null: null, undefined };
+const WORD_OPERATORS = { and: '&&', or: '||', not: '!' };
+
+// Parsed conditions, and the errors of malformed ones so they are reported once
+const astCache = new Map();
+const reportedErrors = new Set();
+
+/**
+ * Error thrown for malformed condition expressions
+ */
+export class ConditionSyntaxError extends Error {
+  constructor(message, expression) {
+    super(`[TemplateConditions] ${message} in "${expression}"`);
+    this.name = 'ConditionSyntaxError';
+    this.expression = expression;
+    this.reason = message;
+  }
+}
+
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const rest = expression.slice(index);
+    const whitespace = /^\s+/.exec(rest);
+    if (whitespace) {
+      index += whitespace[0].length;
+      continue;
+    }
+
+    const operator = ['&&', '||', ...COMPARISON_OPERATORS, '!', '(', ')']
+      .find(candidate => rest.startsWith(candidate));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+      index += operator.length;
+      continue;
+    }
+
+    const number = /^-?\d+(\.\d+)?/.exec(rest);
+    if (number) {
+      tokens.push({ type: 'literal', value: parseFloat(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+
+    const string = /^(["'])((?:\\.|(?!\1).)*)\1/.exec(rest);
+    if (string) {
+      tokens.push({ type: 'literal', value: string[2].replace(/\\(.)/g, '$1') });
+      index += string[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*/.exec(rest);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, lower)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[lower] });
+      } else if (WORD_OPERATORS[lower]) {
+        tokens.push({ type: 'operator', value: WORD_OPERATORS[lower] });
+      } else {
+        tokens.push({ type: 'field', value: word[0] });
+      }
+      index += word[0].length;
+      continue;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected character "${rest[0]}"`, expression);
+  }
+
+  return tokens;
+};
+
+// Recursive descent: || binds loosest, then &&, !, comparisons and primaries
+const buildAst = (source) => {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+  const consume = () => tokens[position++];
+
+  const parsePrimary = () => {
+    const token = consume();
+    if (!token) throw new ConditionSyntaxError('Unexpected end of condition', source);
+
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'field') return { type: 'field', name: token.value };
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseOr();
+      if (!isOperator(')')) throw new ConditionSyntaxError('Missing ")"', source);
+      consume();
+      return inner;
+    }
+
+    throw new ConditionSyntaxError(`Unexpected "${token.value}"`, source);
+  };
+
+  const parseComparison = () => {
+    const left = parsePrimary();
+    const token = peek();
+    if (token?.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      consume();
+      return { type: 'compare', operator: token.value, left, right: parsePrimary() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOperator('!')) {
+      consume();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      consume();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      consume();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new ConditionSyntaxError(`Unexpected "${peek().value}"`, source);
+  }
+
+  return ast;
+};
+
+/**
+ * Parse a condition expression into an AST
+ * Results are cached, including the error of a malformed expression.
+ * @param {string} expression - Condition, e.g. "age_group_place <= 3 && !dnf"
+ * @returns {Object} AST node
+ * @throws {ConditionSyntaxError} When the expression is malformed
+ */
+export function parseCondition(expression) {
+  const source = String(expression ?? '').trim();
+  const cached = astCache.get(source);
+  if (cached instanceof ConditionSyntaxError) throw cached;
+  if (cached) return cached;
+  if (!source) throw new ConditionSyntaxError('Empty condition', source);
+
+  try {
+    const ast = buildAst(source);
+    astCache.set(source, ast);
+    return ast;
+  } catch (error) {
+    if (error instanceof ConditionSyntaxError) astCache.set(source, error);
+    throw error;
+  }
+}
+
+/**
+ * Template truthiness: empty/whitespace strings and empty arrays are false
+ * @param {*} value - Value to test
+ * @returns {boolean} Truthiness
+ */
+export function isTruthy(value) {
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+const NUMERIC_PATTERN = /^\s*-?\d+(\.\d+)?\s*$/;
+
+// Compare numerically when both sides look like numbers ("2" <= 3)
+const normalizePair = (left, right) => {
+  const isNumeric = (value) => typeof value === 'number' ||
+    (typeof value === 'string' && NUMERIC_PATTERN.test(value));
+
+  if (isNumeric(left) && isNumeric(right)) return [Number(left), Number(right)];
+  return [left, right];
+};
+
+const compare = (operator, rawLeft, rawRight) => {
+  const [left, right] = normalizePair(rawLeft, rawRight);
+
+  switch (operator) {
+    case '==':
+    case '===':
+      return left === right || (left == null && right == null);
+    case '!=':
+    case '!==':
+      return !(left === right || (left == null && right == null));
+    case '<':
+      return left !== null && left !== undefined && left < right;
+    case '<=':
+      return left !== null && left !== undefined && left <= right;
+    case '>':
+      return left !== null && left !== undefined && left > right;
+    case '>=':
+      return left !== null && left !== undefined && left >= right;
+    default:
+      return false;
+  }
+};
+
+const evaluateNode = (node, data, aliases) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return resolveField(data, node.name, aliases);
+    case 'not':
+      return !isTruthy(evaluateNode(node.operand, data, aliases));
+    case 'and':
+      return isTruthy(evaluateNode(node.left, data, aliases)) &&
+        isTruthy(evaluateNode(node.right, data, aliases));
+    case 'or':
+      return isTruthy(evaluateNode(node.left, data, aliases)) ||
+        isTruthy(evaluateNode(node.right, data, aliases));
+    case 'compare':
+      return compare(
+        node.operator,
+        evaluateNode(node.left, data, aliases),
+        evaluateNode(node.right, data, aliases)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Evaluate a condition against runner data
+ * Malformed conditions evaluate to false, with a warning the first time each is seen.
+ * @param {string} expression - Condition expression
+ * @param {Object|null} data - Runner data
+ * @param {Object} options - Evaluation options
+ * @param {Object} options.aliases - Field alias map (default: message -> custom_message)
+ * @returns {boolean} Result
+ */
+export function evaluateCondition(expression, data, { aliases = DEFAULT_FIELD_ALIASES } = {}) {
+  try {
+    return isTruthy(evaluateNode(parseCondition(expression), data, aliases));
+  } catch (error) {
+    if (!reportedErrors.has(error.message)) {
+      reportedErrors.add(error.message);
+      console.warn(error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Check a condition for syntax errors without evaluating it
+ * @param {string} expression - Condition expression
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateCondition(expression) {
+  try {
+    parseCondition(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Decide whether an element with data-if / data-unless should render
+ * @param {string|null|undefined} ifExpression - data-if value
+ * @param {string|null|undefined} unlessExpression - data-unless value
+ * @param {Object|null} data - Runner data
+ * @param {Object} options - Evaluation options
+ * @returns {boolean} True if the element should be kept
+ */
+export function shouldRender(ifExpression, unlessExpression, data, options = {}) {
+  if (ifExpression !== undefined && ifExpression !== null && ifExpression.trim() !== '') {
+    if (!evaluateCondition(ifExpression, data, options)) return false;
+  }
+  if (unlessExpression !== undefined && unlessExpression !== null && unlessExpression.trim() !== '') {
+    if (evaluateCondition(unlessExpression, data, options)) return false;
+  }
+  return true;
+}
+
+export default {
+  ConditionSyntaxError,
+  parseCondition,
+  isTruthy,
+  evaluateCondition,
+  validateCondition,
+  shouldRender
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  ConditionSyntaxError,
+  parseCondition,
+  evaluateCondition,
+  validateCondition,
+  shouldRender
+} from './templateConditions';
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('evaluateCondition', () => {
+  const runner = { bib: 7, age_group_place: 2, dnf: false, name: 'Ana', splits: [] };
+
+  it('evaluates comparisons and logic', () => {
+    expect(evaluateCondition('age_group_place <= 3 && !dnf', runner)).toBe(true);
+    expect(evaluateCondition('bib == "7"', runner)).toBe(true);
+    expect(evaluateCondition('name == "Lee" or bib > 10', runner)).toBe(false);
+    expect(evaluateCondition('splits', runner)).toBe(false);
+  });
+
+  it('warns once for a malformed condition and counts it as false', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(evaluateCondition('bib >', runner)).toBe(false);
+    expect(evaluateCondition('bib >', runner)).toBe(false);
+    expect(evaluateCondition(' bib > ', runner)).toBe(false);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('parseCondition', () => {
+  it('caches parsed conditions', () => {
+    expect(parseCondition('a && b')).toBe(parseCondition(' a && b '));
+  });
+
+  it('caches the error of a malformed condition', () => {
+    let first;
+    try {
+      parseCondition('(a || b');
+    } catch (error) {
+      first = error;
+    }
+    expect(first).toBeInstanceOf(ConditionSyntaxError);
+    expect(first.reason).toBe('Missing ")"');
+    expect(() => parseCondition('(a || b')).toThrow(first);
+  });
+});
+
+describe('validateCondition', () => {
+  it('returns the error message or null', () => {
+    expect(validateCondition('a < 3')).toBeNull();
+    expect(validateCondition('a # 3')).toMatch(/Unexpected character "#"/);
+    expect(validateCondition('')).toMatch(/Empty condition/);
+  });
+});
+
+describe('shouldRender', () => {
+  it('combines data-if and data-unless', () => {
+    expect(shouldRender('bib', undefined, { bib: 1 })).toBe(true);
+    expect(shouldRender('bib', 'dnf', { bib: 1, dnf: true })).toBe(false);
+    expect(shouldRender('', '', null)).toBe(true);
+  });
+});
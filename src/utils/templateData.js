@@ -0,0 +1,50 @@
+/* ──────────────────────────────────────────────────────────────
+   templateData.js
+   ------------------------------------------------------------------
+   Runner data lookups shared by the template compiler, formatters
+   and conditions: dotted field paths, field aliases and the
+   "empty value" rule used for clearing placeholders.
+   ------------------------------------------------------------------ */
+
+// Fields that fall back to other runner fields when empty
+export const DEFAULT_FIELD_ALIASES = {
+  message: ['custom_message']
+};
+
+/**
+ * Check whether a value should be treated as empty
+ * @param {*} value - Value to test
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+export function isEmptyValue(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Resolve a field from runner data, following dotted paths and aliases
+ * @param {Object|null} data - Runner data
+ * @param {string} key - Field name or dotted path
+ * @param {Object} aliases - Alias map (field -> fallback fields)
+ * @returns {*} Resolved value or undefined
+ */
+export function resolveField(data, key, aliases = DEFAULT_FIELD_ALIASES) {
+  if (!data || !key) return undefined;
+
+  const value = key.split('.').reduce(
+    (current, part) => (current === undefined || current === null ? undefined : current[part]),
+    data
+  );
+
+  if (isEmptyValue(value) && aliases && aliases[key]) {
+    const fallback = aliases[key].find(alias => !isEmptyValue(data[alias]));
+    return fallback ? data[fallback] : value;
+  }
+
+  return value;
+}
+
+export default {
+  DEFAULT_FIELD_ALIASES,
+  isEmptyValue,
+  resolveField
+};
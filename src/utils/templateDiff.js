@@ -0,0 +1,161 @@
+/* ──────────────────────────────────────────────────────────────
+   templateDiff.js
+   ------------------------------------------------------------------
+   Text diff between two template versions, for the version history.
+   Editor output keeps each state on one line, so HTML is broken up
+   at tags and CSS at rules before the lines are compared.
+   ------------------------------------------------------------------ */
+
+import { TEMPLATE_STATES } from './templateSchema';
+
+// Above this many line pairs the changed middle is shown as replaced wholesale
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * Break markup or CSS into lines worth comparing
+ * @param {string} source - HTML or CSS
+ * @param {string} kind - 'html' or 'css'
+ * @returns {string[]} Trimmed, non-empty lines
+ */
+export function splitForDiff(source = '', kind = 'html') {
+  const broken = kind === 'css'
+    ? String(source).replace(/([{;])/g, '$1\n').replace(/}/g, '\n}\n')
+    : String(source).replace(/>\s*</g, '>\n<');
+
+  return broken.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Line diff (longest common subsequence)
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Array} [{ type: 'same' | 'removed' | 'added', text }] in reading order
+ */
+export function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const same = (lines) => lines.map(text => ({ type: 'same', text }));
+  const head = same(before.slice(0, start));
+  const tail = same(before.slice(endBefore));
+  const oldMiddle = before.slice(start, endBefore);
+  const newMiddle = after.slice(start, endAfter);
+
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...oldMiddle.map(text => ({ type: 'removed', text })),
+      ...newMiddle.map(text => ({ type: 'added', text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = oldMiddle[i] === newMiddle[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && oldMiddle[i] === newMiddle[j]) {
+      middle.push({ type: 'same', text: oldMiddle[i] });
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      middle.push({ type: 'removed', text: oldMiddle[i] });
+      i++;
+    } else {
+      middle.push({ type: 'added', text: newMiddle[j] });
+      j++;
+    }
+  }
+
+  return [...head, ...middle, ...tail];
+}
+
+const countChanges = (...diffs) => diffs.reduce(
+  (total, lines) => total + lines.filter(line => line.type !== 'same').length,
+  0
+);
+
+// One line per entry, so a changed font or background property shows on its own
+const fontLines = (fonts) => (Array.isArray(fonts) ? fonts : []).map(font => (
+  typeof font === 'string' ? font : JSON.stringify(font)
+));
+
+const styleLines = (styles) => Object.entries(styles && typeof styles === 'object' ? styles : {})
+  .map(([property, value]) => `${property}: ${value}`);
+
+const diffState = (before, after) => {
+  const html = diffLines(splitForDiff(before?.html, 'html'), splitForDiff(after?.html, 'html'));
+  const css = diffLines(splitForDiff(before?.css, 'css'), splitForDiff(after?.css, 'css'));
+  const backgroundStyles = diffLines(styleLines(before?.backgroundStyles), styleLines(after?.backgroundStyles));
+  return { html, css, backgroundStyles, changes: countChanges(html, css, backgroundStyles) };
+};
+
+const CANVAS_FIELDS = ['canvasWidth', 'canvasHeight'];
+
+/**
+ * Compare two templates state by state
+ * The portrait variant, fonts and background styles are compared too.
+ * @param {Object} before - Template (schema v2)
+ * @param {Object} after - Template (schema v2)
+ * @returns {Object} { changed, canvas, activeState, restingState, portrait, fonts, backgroundStyles } -
+ *   each state has { html, css, backgroundStyles } line diffs and a `changes` count; portrait has
+ *   a css line diff and its own states; canvas lists size changes, portrait sizes as 'portrait.canvasWidth'
+ */
+export function diffTemplates(before, after) {
+  const result = { changed: false, canvas: [] };
+
+  const compareCanvas = (beforeSource, afterSource, prefix = '') => {
+    CANVAS_FIELDS.forEach(field => {
+      if (beforeSource?.[field] !== afterSource?.[field]) {
+        result.canvas.push({ field: prefix + field, before: beforeSource?.[field], after: afterSource?.[field] });
+      }
+    });
+  };
+  compareCanvas(before, after);
+  compareCanvas(before?.portrait, after?.portrait, 'portrait.');
+
+  TEMPLATE_STATES.forEach(state => {
+    result[state] = diffState(before?.[state], after?.[state]);
+  });
+
+  const portraitCss = diffLines(splitForDiff(before?.portrait?.css, 'css'), splitForDiff(after?.portrait?.css, 'css'));
+  result.portrait = { css: portraitCss, changes: countChanges(portraitCss) };
+  TEMPLATE_STATES.forEach(state => {
+    result.portrait[state] = diffState(before?.portrait?.[state], after?.portrait?.[state]);
+    result.portrait.changes += result.portrait[state].changes;
+  });
+
+  result.fonts = diffLines(fontLines(before?.fonts), fontLines(after?.fonts));
+  result.backgroundStyles = diffLines(styleLines(before?.backgroundStyles), styleLines(after?.backgroundStyles));
+
+  result.changed = result.canvas.length > 0 ||
+    TEMPLATE_STATES.some(state => result[state].changes > 0) ||
+    result.portrait.changes > 0 ||
+    countChanges(result.fonts, result.backgroundStyles) > 0;
+  return result;
+}
+
+export default {
+  splitForDiff,
+  diffLines,
+  diffTemplates
+};
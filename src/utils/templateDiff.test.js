@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { splitForDiff, diffLines, diffTemplates } from './templateDiff';
+
+const template = (overrides = {}) => ({
+  schemaVersion: 2,
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  activeState: { html: '<div class="name">{{name}}</div><div class="bib">{{bib}}</div>', css: '.name { color: red; }' },
+  restingState: { html: '<div>Next runner</div>', css: '' },
+  ...overrides
+});
+
+const changed = (lines) => lines.filter(line => line.type !== 'same');
+
+describe('splitForDiff', () => {
+  it('breaks HTML at tags', () => {
+    expect(splitForDiff('<div><span>a</span></div>')).toEqual(['<div>', '<span>a</span>', '</div>']);
+  });
+
+  it('breaks CSS at declarations and rules', () => {
+    expect(splitForDiff('.a { color: red; top: 0; } .b { left: 0 }', 'css'))
+      .toEqual(['.a {', 'color: red;', 'top: 0;', '}', '.b {', 'left: 0', '}']);
+  });
+
+  it('treats missing sources as empty', () => {
+    expect(splitForDiff(undefined, 'css')).toEqual([]);
+  });
+});
+
+describe('diffLines', () => {
+  it('marks removed and added lines in reading order', () => {
+    expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'x' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' }
+    ]);
+  });
+
+  it('keeps the longest common run', () => {
+    const lines = diffLines(['a', 'b', 'c', 'd'], ['b', 'c', 'd', 'a']);
+    expect(changed(lines)).toEqual([
+      { type: 'removed', text: 'a' },
+      { type: 'added', text: 'a' }
+    ]);
+  });
+});
+
+describe('diffTemplates', () => {
+  it('reports identical templates as unchanged', () => {
+    const diff = diffTemplates(template(), template());
+    expect(diff.changed).toBe(false);
+    expect(diff.activeState.changes).toBe(0);
+    expect(diff.portrait.changes).toBe(0);
+  });
+
+  it('diffs each state and the canvas size', () => {
+    const after = template({ canvasWidth: 1080 });
+    after.activeState = { ...after.activeState, css: '.name { color: blue; }' };
+
+    const diff = diffTemplates(template(), after);
+    expect(diff.changed).toBe(true);
+    expect(diff.canvas).toEqual([{ field: 'canvasWidth', before: 1920, after: 1080 }]);
+    expect(changed(diff.activeState.css)).toEqual([
+      { type: 'removed', text: 'color: red;' },
+      { type: 'added', text: 'color: blue;' }
+    ]);
+    expect(diff.activeState.changes).toBe(2);
+    expect(diff.restingState.changes).toBe(0);
+  });
+
+  it('diffs the portrait variant', () => {
+    const before = template({
+      portrait: { canvasWidth: 1080, canvasHeight: 1920, css: '.name { top: 100px; }' }
+    });
+    const after = template({
+      portrait: {
+        canvasWidth: 1080,
+        canvasHeight: 1600,
+        css: '.name { top: 200px; }',
+        restingState: { html: '<div>Next</div>', css: '' }
+      }
+    });
+
+    const diff = diffTemplates(before, after);
+    expect(diff.changed).toBe(true);
+    expect(diff.canvas).toEqual([{ field: 'portrait.canvasHeight', before: 1920, after: 1600 }]);
+    expect(changed(diff.portrait.css).map(line => line.text)).toEqual(['top: 100px;', 'top: 200px;']);
+    expect(changed(diff.portrait.restingState.html)).toEqual([{ type: 'added', text: '<div>Next</div>' }]);
+    expect(diff.portrait.changes).toBe(3);
+    expect(diff.activeState.changes).toBe(0);
+  });
+
+  it('reports a change made only to the portrait css', () => {
+    const diff = diffTemplates(template({ portrait: { css: '' } }), template({ portrait: { css: '.a { top: 0 }' } }));
+    expect(diff.changed).toBe(true);
+  });
+
+  it('diffs fonts', () => {
+    const diff = diffTemplates(
+      template({ fonts: ['Inter', { family: 'Oswald', weight: 700 }] }),
+      template({ fonts: ['Inter', { family: 'Oswald', weight: 400 }] })
+    );
+    expect(diff.changed).toBe(true);
+    expect(changed(diff.fonts)).toEqual([
+      { type: 'removed', text: '{"family":"Oswald","weight":700}' },
+      { type: 'added', text: '{"family":"Oswald","weight":400}' }
+    ]);
+  });
+
+  it('diffs background styles of the template and of each state', () => {
+    const before = template({ backgroundStyles: { backgroundColor: '#000' } });
+    const after = template({ backgroundStyles: { backgroundColor: '#111' } });
+    after.restingState = { ...after.restingState, backgroundStyles: { backgroundImage: 'url(bg.png)' } };
+
+    const diff = diffTemplates(before, after);
+    expect(diff.changed).toBe(true);
+    expect(changed(diff.backgroundStyles).map(line => line.text))
+      .toEqual(['backgroundColor: #000', 'backgroundColor: #111']);
+    expect(changed(diff.restingState.backgroundStyles)).toEqual([
+      { type: 'added', text: 'backgroundImage: url(bg.png)' }
+    ]);
+    expect(diff.restingState.changes).toBe(1);
+  });
+});
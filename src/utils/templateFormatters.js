@@ -0,0 +1,302 @@
+/* ──────────────────────────────────────────────────────────────
+   templateFormatters.js
+   ------------------------------------------------------------------
+   Formatter registry for template placeholders. Formatters are
+   chained as pipes - {{finish_time|hms}}, {{place|ordinal}},
+   {{last_name|upper|truncate:12}} - or set on placeholder elements
+   with data-format="hms". Teams can register their own at runtime.
+   ------------------------------------------------------------------ */
+
+import { isEmptyValue } from './templateData';
+
+const formatters = new Map();
+const warnedFormatters = new Set();
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Parse a duration into seconds
+ * Accepts numbers (seconds) and clock strings like "1:23:45.6", "23:45" or "45.6".
+ * @param {number|string} value - Duration
+ * @returns {number|null} Seconds, or null if the value is not a duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isEmptyValue(value)) return null;
+
+  const parts = String(value).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Format seconds as a clock string
+ * @param {number} totalSeconds - Duration in seconds
+ * @param {Object} options - Formatting options
+ * @param {number} options.decimals - Fractional second digits, truncated (default: 0)
+ * @param {boolean} options.forceHours - Always show hours (default: false)
+ * @returns {string} e.g. "1:23:45", "23:45.6"
+ */
+export function formatDuration(totalSeconds, { decimals = 0, forceHours = false } = {}) {
+  const factor = Math.pow(10, decimals);
+  // Race timing truncates, it never rounds up to the next second
+  const truncated = Math.floor(Math.abs(totalSeconds) * factor + 1e-6) / factor;
+  const hours = Math.floor(truncated / 3600);
+  const minutes = Math.floor((truncated % 3600) / 60);
+  const seconds = truncated % 60;
+  const secondsText = decimals > 0
+    ? pad(seconds.toFixed(decimals), decimals + 3)
+    : pad(Math.floor(seconds));
+  const sign = totalSeconds < 0 ? '-' : '';
+
+  if (hours > 0 || forceHours) {
+    return `${sign}${hours}:${pad(minutes)}:${secondsText}`;
+  }
+  return `${sign}${minutes}:${secondsText}`;
+}
+
+// Format a duration-like value, leaving unparseable values untouched
+const durationFormatter = (options) => (value) => {
+  const seconds = parseDuration(value);
+  return seconds === null ? value : formatDuration(seconds, options);
+};
+
+const BUILT_IN_FORMATTERS = {
+  // 1:23:45.6 -> 1:23:45
+  hms: durationFormatter({ forceHours: true }),
+
+  // 83:45 / 5025 -> 1:23:45 (hours only when needed)
+  time: (value, decimals = 0) => durationFormatter({ decimals: Number(decimals) || 0 })(value),
+
+  // 1:23:45.67 -> 1:23:45.6 with duration:1
+  duration: (value, decimals = 1) => durationFormatter({ decimals: Number(decimals) || 0 })(value),
+
+  // Pace per unit: {{finish_time|pace:42.195:km}} -> 1:59/km; without a distance the value is the pace
+  pace: (value, distance, unit = '') => {
+    const seconds = parseDuration(value);
+    if (seconds === null) return value;
+
+    const distanceValue = parseFloat(distance);
+    const perUnit = distanceValue > 0 ? seconds / distanceValue : seconds;
+    const suffix = unit ? `/${unit}` : '';
+    return `${formatDuration(perUnit)}${suffix}`;
+  },
+
+  // 1 -> 1st, 22 -> 22nd, 113 -> 113th
+  ordinal: (value) => {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number)) return value;
+
+    const lastTwo = Math.abs(number) % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${number}th`;
+    switch (Math.abs(number) % 10) {
+      case 1: return `${number}st`;
+      case 2: return `${number}nd`;
+      case 3: return `${number}rd`;
+      default: return `${number}th`;
+    }
+  },
+
+  upper: (value) => String(value).toUpperCase(),
+
+  lower: (value) => String(value).toLowerCase(),
+
+  // "mary-jane o'neil" -> "Mary-Jane O'Neil"
+  title: (value) => String(value)
+    .toLowerCase()
+    .replace(/(^|[\s\-'’])(\p{L})/gu, (match, separator, letter) => `${separator}${letter.toUpperCase()}`),
+
+  // {{distance|number:2}}, {{count|number:0:de-DE}}
+  number: (value, decimals, locale) => {
+    const number = Number(value);
+    if (isEmptyValue(value) || !Number.isFinite(number)) return value;
+
+    const digits = decimals === undefined || decimals === '' ? undefined : Number(decimals);
+    return number.toLocaleString(locale || undefined, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    });
+  },
+
+  // {{finishers|locale:fr-FR}}
+  locale: (value, locale) => {
+    const number = Number(value);
+    if (isEmptyValue(value) || !Number.isFinite(number)) return value;
+    return number.toLocaleString(locale || undefined);
+  },
+
+  // {{last_name|truncate:12}}, {{city|truncate:10:...}}
+  truncate: (value, length = 20, suffix = '…') => {
+    const text = String(value);
+    const maxLength = parseInt(length, 10);
+    if (!Number.isFinite(maxLength) || text.length <= maxLength) return text;
+    return `${text.slice(0, Math.max(0, maxLength - suffix.length)).trimEnd()}${suffix}`;
+  },
+
+  // {{custom_message|default:Well done!}}
+  default: (value, fallback = '') => (isEmptyValue(value) ? fallback : value)
+};
+
+// Formatters that should still run when the value is empty
+const EMPTY_VALUE_FORMATTERS = ['default'];
+
+/**
+ * Register a formatter
+ * @param {string} name - Formatter name used in pipes
+ * @param {function} formatter - (value, ...args) => formatted value; `this` is { data, key }
+ * @param {Object} options - Registration options
+ * @param {boolean} options.handlesEmpty - Also call the formatter for empty values (default: false)
+ */
+export function registerFormatter(name, formatter, { handlesEmpty = false } = {}) {
+  if (!name || typeof formatter !== 'function') {
+    throw new Error('[TemplateFormatters] registerFormatter requires a name and a function');
+  }
+  formatters.set(name, { format: formatter, handlesEmpty });
+  warnedFormatters.delete(name);
+}
+
+/**
+ * Remove a formatter
+ * @param {string} name - Formatter name
+ * @returns {boolean} True if a formatter was removed
+ */
+export function unregisterFormatter(name) {
+  return formatters.delete(name);
+}
+
+/**
+ * Get a registered formatter function
+ * @param {string} name - Formatter name
+ * @returns {function|undefined} Formatter function
+ */
+export function getFormatter(name) {
+  return formatters.get(name)?.format;
+}
+
+/**
+ * List registered formatter names
+ * @returns {string[]} Formatter names
+ */
+export function listFormatters() {
+  return Array.from(formatters.keys());
+}
+
+// Split on a separator outside of quotes
+const splitOutsideQuotes = (source, separator) => {
+  const parts = [];
+  let quote = null;
+  let current = '';
+
+  for (const char of source) {
+    if (quote) {
+      if (char === quote) quote = null;
+      current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current += char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+};
+
+const unquote = (value) => {
+  const trimmed = value.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(trimmed);
+  return quoted ? quoted[2] : trimmed;
+};
+
+/**
+ * Parse a formatter pipeline like "upper|truncate:12"
+ * @param {string} pipeline - Formatter pipeline
+ * @returns {Array} [{ name, args }]
+ */
+export function parseFormatterPipeline(pipeline) {
+  if (!pipeline || !pipeline.trim()) return [];
+
+  return splitOutsideQuotes(pipeline, '|')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .map(segment => {
+      const [name, ...args] = splitOutsideQuotes(segment, ':');
+      return { name: name.trim(), args: args.map(unquote) };
+    });
+}
+
+/**
+ * Parse a placeholder expression like "finish_time|hms"
+ * @param {string} expression - Placeholder expression
+ * @returns {Object} { key, formatters: [{ name, args }] }
+ */
+export function parsePlaceholderExpression(expression) {
+  const [key, ...rest] = splitOutsideQuotes(expression || '', '|');
+  return {
+    key: key.trim(),
+    formatters: parseFormatterPipeline(rest.join('|'))
+  };
+}
+
+/**
+ * Run a value through a formatter pipeline
+ * @param {*} value - Raw value
+ * @param {string|Array} pipeline - Pipeline string or parsed pipeline
+ * @param {Object} context - Passed to formatters as `this` ({ data, key })
+ * @returns {*} Formatted value
+ */
+export function applyFormatters(value, pipeline, context = {}) {
+  const steps = typeof pipeline === 'string' ? parseFormatterPipeline(pipeline) : (pipeline || []);
+
+  return steps.reduce((current, { name, args }) => {
+    const entry = formatters.get(name);
+
+    if (!entry) {
+      if (!warnedFormatters.has(name)) {
+        console.warn(`[TemplateFormatters] Unknown formatter "${name}"`);
+        warnedFormatters.add(name);
+      }
+      return current;
+    }
+
+    if (isEmptyValue(current) && !entry.handlesEmpty) return current;
+
+    try {
+      return entry.format.call(context, current, ...args);
+    } catch (error) {
+      console.warn(`[TemplateFormatters] Formatter "${name}" failed:`, error);
+      return current;
+    }
+  }, value);
+}
+
+/**
+ * Restore the built-in formatters, dropping custom registrations
+ */
+export function resetFormatters() {
+  formatters.clear();
+  warnedFormatters.clear();
+  Object.entries(BUILT_IN_FORMATTERS).forEach(([name, formatter]) => {
+    registerFormatter(name, formatter, { handlesEmpty: EMPTY_VALUE_FORMATTERS.includes(name) });
+  });
+}
+
+resetFormatters();
+
+export default {
+  parseDuration,
+  formatDuration,
+  registerFormatter,
+  unregisterFormatter,
+  getFormatter,
+  listFormatters,
+  parseFormatterPipeline,
+  parsePlaceholderExpression,
+  applyFormatters,
+  resetFormatters
+};
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  parseDuration,
+  formatDuration,
+  registerFormatter,
+  unregisterFormatter,
+  parsePlaceholderExpression,
+  applyFormatters,
+  resetFormatters
+} from './templateFormatters';
+import { compileHtml } from './templateCompiler';
+
+afterEach(() => {
+  resetFormatters();
+  vi.restoreAllMocks();
+});
+
+describe('parseDuration', () => {
+  it('reads seconds and clock strings', () => {
+    expect(parseDuration('1:23:45.6')).toBeCloseTo(5025.6);
+    expect(parseDuration('23:45')).toBe(1425);
+    expect(parseDuration('45.6')).toBe(45.6);
+    expect(parseDuration(90)).toBe(90);
+  });
+
+  it('rejects values that are not durations', () => {
+    expect(parseDuration('DNF')).toBeNull();
+    expect(parseDuration('1:2:3:4')).toBeNull();
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration(Infinity)).toBeNull();
+  });
+});
+
+describe('formatDuration', () => {
+  it('truncates instead of rounding', () => {
+    expect(formatDuration(5025.6)).toBe('1:23:45');
+    expect(formatDuration(59.999)).toBe('0:59');
+    expect(formatDuration(59.99, { decimals: 1 })).toBe('0:59.9');
+  });
+
+  it('shows hours only when needed or forced', () => {
+    expect(formatDuration(83)).toBe('1:23');
+    expect(formatDuration(83, { forceHours: true })).toBe('0:01:23');
+  });
+
+  it('keeps the sign of negative durations', () => {
+    expect(formatDuration(-83)).toBe('-1:23');
+    expect(formatDuration(-3600.5, { decimals: 1 })).toBe('-1:00:00.5');
+  });
+});
+
+describe('duration formatters', () => {
+  it('format 1:23:45.6 as a clock', () => {
+    expect(applyFormatters('1:23:45.6', 'hms')).toBe('1:23:45');
+    expect(applyFormatters('1:23:45.6', 'time')).toBe('1:23:45');
+    expect(applyFormatters('1:23:45.67', 'time:2')).toBe('1:23:45.67');
+    expect(applyFormatters('1:23:45.6', 'duration')).toBe('1:23:45.6');
+    expect(applyFormatters('23:45', 'hms')).toBe('0:23:45');
+  });
+
+  it('leave values that are not durations alone', () => {
+    expect(applyFormatters('DNF', 'hms')).toBe('DNF');
+  });
+});
+
+describe('pace', () => {
+  it('divides by the distance and appends the unit', () => {
+    expect(applyFormatters('3:30:00', 'pace:42.195:km')).toBe('4:58/km');
+    expect(applyFormatters('1:00:00', 'pace:10')).toBe('6:00');
+  });
+
+  it('formats the value as the pace without a distance', () => {
+    expect(applyFormatters('5:00', 'pace')).toBe('5:00');
+    expect(applyFormatters(300, 'pace::mi')).toBe('5:00/mi');
+  });
+});
+
+describe('ordinal', () => {
+  it('uses "th" for the teens', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 23].map(place => applyFormatters(place, 'ordinal')))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '23rd']);
+    expect([101, 111, 112, 113].map(place => applyFormatters(place, 'ordinal')))
+      .toEqual(['101st', '111th', '112th', '113th']);
+  });
+});
+
+describe('truncate', () => {
+  it('shortens long text, with the suffix counted in the length', () => {
+    expect(applyFormatters('Constantinople', 'truncate:6')).toBe('Const…');
+    expect(applyFormatters('Constantinople', 'truncate:10:...')).toBe('Constan...');
+    expect(applyFormatters('Rome', 'truncate:10:...')).toBe('Rome');
+  });
+
+  it('accepts quoted arguments', () => {
+    expect(parsePlaceholderExpression('city|truncate:6:" ~"')).toEqual({
+      key: 'city',
+      formatters: [{ name: 'truncate', args: ['6', ' ~'] }]
+    });
+    expect(applyFormatters('Constantinople', 'truncate:6:" ~"')).toBe('Cons ~');
+  });
+});
+
+describe('default', () => {
+  it('fills empty values only', () => {
+    expect(applyFormatters('', 'default:Well done!')).toBe('Well done!');
+    expect(applyFormatters(null, 'upper|default:-')).toBe('-');
+    expect(applyFormatters('Go', 'default:Well done!')).toBe('Go');
+  });
+});
+
+describe('registerFormatter', () => {
+  it('overrides a built-in formatter until reset', () => {
+    registerFormatter('upper', value => `<${value}>`);
+    expect(applyFormatters('a', 'upper')).toBe('<a>');
+
+    resetFormatters();
+    expect(applyFormatters('a', 'upper')).toBe('A');
+  });
+
+  it('passes arguments and the placeholder context', () => {
+    registerFormatter('team', function team(value, separator) {
+      return `${value}${separator}${this.data.team}`;
+    });
+    expect(applyFormatters('Ana', 'team:" / "', { data: { team: 'Blue' } })).toBe('Ana / Blue');
+  });
+
+  it('skips unknown formatters, warning once per name', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    unregisterFormatter('lower');
+    expect(applyFormatters('a', 'nope|upper')).toBe('A');
+    expect(applyFormatters('B', 'nope|lower')).toBe('B');
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the value when a formatter throws', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    registerFormatter('broken', () => {
+      throw new Error('broken');
+    });
+    expect(applyFormatters('a', 'broken|upper')).toBe('A');
+  });
+
+  it('requires a name and a function', () => {
+    expect(() => registerFormatter('x')).toThrow(/requires a name and a function/);
+  });
+});
+
+describe('data-format', () => {
+  it('formats [data-placeholder] elements after their own pipes', () => {
+    const runner = { finish_time: '1:23:45.6', place: 12 };
+    expect(compileHtml('<span data-placeholder="finish_time" data-format="hms">0:00</span>', runner))
+      .toBe('<span data-placeholder="finish_time" data-format="hms">1:23:45</span>');
+    expect(compileHtml('<b data-placeholder="place|ordinal" data-format="upper">1st</b>', runner))
+      .toBe('<b data-placeholder="place|ordinal" data-format="upper">12TH</b>');
+  });
+});
@@ -0,0 +1,154 @@
+/* ──────────────────────────────────────────────────────────────
+   templateOrientation.js
+   ------------------------------------------------------------------
+   Portrait variants of landscape templates. Shrinking a 16:9 layout
+   into a 9:16 screen leaves tiny text in a sea of space, so templates
+   can carry their own portrait layout:
+
+     data-portrait-style="left: 40px; top: 600px; font-size: 96px"
+         per-element overrides, applied inline in portrait
+     portrait: { canvasWidth, canvasHeight, css,
+                 activeState?, restingState? }
+         template-level canvas, extra CSS or whole alternate states
+
+   The displays pick the variant from the orientation the scaler
+   detects (or forceOrientation); the editor edits it in place.
+   ------------------------------------------------------------------ */
+
+import { TEMPLATE_STATES } from './templateSchema';
+
+export const ORIENTATIONS = ['landscape', 'portrait'];
+
+export const PORTRAIT_STYLE_ATTRIBUTE = 'data-portrait-style';
+
+// Properties a portrait variant may move, resize or hide per element
+export const LAYOUT_PROPERTIES = [
+  'left', 'top', 'right', 'bottom', 'width', 'height',
+  'font-size', 'line-height', 'text-align', 'display', 'transform'
+];
+
+const getStates = (template) => [template, ...TEMPLATE_STATES.map(state => template[state])]
+  .filter(Boolean);
+
+/**
+ * Check whether a template has a portrait variant
+ * @param {Object} template - Template (any schema version)
+ * @returns {boolean} True for a `portrait` section or per-element portrait styles
+ */
+export function hasPortraitLayout(template) {
+  if (!template || typeof template !== 'object') return false;
+  if (template.portrait && typeof template.portrait === 'object') return true;
+
+  return getStates(template).some(state => (
+    typeof state.html === 'string' && state.html.includes(PORTRAIT_STYLE_ATTRIBUTE)
+  ));
+}
+
+/**
+ * Design size of the portrait variant
+ * @param {Object} template - Template
+ * @returns {Object} { width, height } - the declared portrait canvas, else the landscape canvas turned upright
+ */
+export function getPortraitCanvas(template) {
+  const width = template?.canvasWidth ?? 1920;
+  const height = template?.canvasHeight ?? 1080;
+  const portrait = template?.portrait || {};
+
+  return {
+    width: portrait.canvasWidth ?? Math.min(width, height),
+    height: portrait.canvasHeight ?? Math.max(width, height)
+  };
+}
+
+const joinCss = (...sheets) => sheets.filter(Boolean).join('\n');
+
+/**
+ * Resolve the layout to render for an orientation
+ * In portrait, alternate states replace the landscape ones, portrait.css is
+ * appended and the canvas becomes the portrait canvas. Per-element styles are
+ * applied by the compiler (see compileTemplate's `orientation` option).
+ * @param {Object} template - Template (single-state or two-state)
+ * @param {string} orientation - 'landscape' or 'portrait'
+ * @returns {Object} Template for that orientation; the input when it has no portrait variant
+ */
+export function resolveOrientationTemplate(template, orientation = 'landscape') {
+  if (orientation !== 'portrait' || !hasPortraitLayout(template)) return template;
+
+  const { portrait = {}, ...landscape } = template;
+  const canvas = getPortraitCanvas(template);
+  const resolved = {
+    ...landscape,
+    canvasWidth: canvas.width,
+    canvasHeight: canvas.height,
+    orientation: 'portrait'
+  };
+
+  // Landscape state sizes do not apply to the portrait canvas
+  const orientState = (landscapeState, portraitState) => {
+    const { canvasWidth, canvasHeight, ...state } = landscapeState || {};
+    const base = portraitState || state;
+    return { ...base, css: joinCss(base.css, portrait.css) };
+  };
+
+  if (TEMPLATE_STATES.some(state => landscape[state])) {
+    TEMPLATE_STATES.forEach(state => {
+      if (landscape[state]) resolved[state] = orientState(landscape[state], portrait[state]);
+    });
+  } else {
+    resolved.css = joinCss(landscape.css, portrait.css);
+  }
+
+  return resolved;
+}
+
+/**
+ * Pick the layout properties out of a style map
+ * @param {Object} style - CSS property/value map
+ * @returns {Object} Only LAYOUT_PROPERTIES that are set
+ */
+export function pickLayout(style = {}) {
+  return LAYOUT_PROPERTIES.reduce((layout, property) => {
+    const value = style[property];
+    if (value !== undefined && value !== '' && value !== 'unset') layout[property] = value;
+    return layout;
+  }, {});
+}
+
+/**
+ * Layout declarations that turn the landscape layout into the portrait one
+ * @param {Object} landscape - Landscape layout (see pickLayout)
+ * @param {Object} portrait - Portrait layout
+ * @returns {Object} Changed properties; ones dropped in portrait are reset with `unset`
+ */
+export function diffLayout(landscape, portrait) {
+  const overrides = {};
+  LAYOUT_PROPERTIES.forEach(property => {
+    if (portrait[property] !== undefined) {
+      if (portrait[property] !== landscape[property]) overrides[property] = portrait[property];
+    } else if (landscape[property] !== undefined) {
+      overrides[property] = 'unset';
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Serialize a style map for an attribute
+ * @param {Object} style - CSS property/value map
+ * @returns {string} e.g. "left: 40px; top: 600px"
+ */
+export function serializeStyle(style) {
+  return Object.entries(style).map(([property, value]) => `${property}: ${value}`).join('; ');
+}
+
+export default {
+  ORIENTATIONS,
+  PORTRAIT_STYLE_ATTRIBUTE,
+  LAYOUT_PROPERTIES,
+  hasPortraitLayout,
+  getPortraitCanvas,
+  resolveOrientationTemplate,
+  pickLayout,
+  diffLayout,
+  serializeStyle
+};
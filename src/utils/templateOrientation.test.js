@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  hasPortraitLayout,
+  getPortraitCanvas,
+  resolveOrientationTemplate,
+  pickLayout,
+  diffLayout,
+  serializeStyle
+} from './templateOrientation';
+
+const landscape = {
+  schemaVersion: 2,
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  activeState: { html: '<b>{{bib}}</b>', css: '.a{}' },
+  restingState: { html: '<i>Next</i>', css: '.r{}' }
+};
+
+describe('hasPortraitLayout', () => {
+  it('detects a portrait section or per-element portrait styles', () => {
+    expect(hasPortraitLayout(landscape)).toBe(false);
+    expect(hasPortraitLayout({ ...landscape, portrait: {} })).toBe(true);
+    expect(hasPortraitLayout({
+      ...landscape,
+      restingState: { html: '<i data-portrait-style="top: 0">Next</i>' }
+    })).toBe(true);
+    expect(hasPortraitLayout({ html: '<b data-portrait-style="top: 0"></b>' })).toBe(true);
+    expect(hasPortraitLayout(null)).toBe(false);
+  });
+});
+
+describe('getPortraitCanvas', () => {
+  it('uses the declared portrait canvas, else turns the landscape one upright', () => {
+    expect(getPortraitCanvas({ ...landscape, portrait: { canvasWidth: 1080, canvasHeight: 1350 } }))
+      .toEqual({ width: 1080, height: 1350 });
+    expect(getPortraitCanvas(landscape)).toEqual({ width: 1080, height: 1920 });
+    expect(getPortraitCanvas({ canvasWidth: 720, canvasHeight: 1280 })).toEqual({ width: 720, height: 1280 });
+  });
+});
+
+describe('resolveOrientationTemplate', () => {
+  const withPortrait = {
+    ...landscape,
+    portrait: {
+      canvasWidth: 1080,
+      canvasHeight: 1920,
+      css: '.a{top:0}',
+      restingState: { html: '<i>Up next</i>', css: '.p{}' }
+    }
+  };
+
+  it('returns landscape templates unchanged', () => {
+    expect(resolveOrientationTemplate(withPortrait, 'landscape')).toBe(withPortrait);
+    expect(resolveOrientationTemplate(withPortrait)).toBe(withPortrait);
+  });
+
+  it('falls back to the landscape layout without a portrait variant', () => {
+    expect(resolveOrientationTemplate(landscape, 'portrait')).toBe(landscape);
+  });
+
+  it('uses the portrait canvas, states and extra CSS', () => {
+    expect(resolveOrientationTemplate(withPortrait, 'portrait')).toEqual({
+      schemaVersion: 2,
+      canvasWidth: 1080,
+      canvasHeight: 1920,
+      orientation: 'portrait',
+      activeState: { html: '<b>{{bib}}</b>', css: '.a{}\n.a{top:0}' },
+      restingState: { html: '<i>Up next</i>', css: '.p{}\n.a{top:0}' }
+    });
+  });
+
+  it('drops landscape state sizes', () => {
+    const resolved = resolveOrientationTemplate({
+      ...withPortrait,
+      activeState: { ...landscape.activeState, canvasWidth: 1920, canvasHeight: 1080 }
+    }, 'portrait');
+    expect(resolved.activeState).toEqual({ html: '<b>{{bib}}</b>', css: '.a{}\n.a{top:0}' });
+  });
+
+  it('appends portrait CSS to single-state templates', () => {
+    expect(resolveOrientationTemplate({ html: '<b></b>', css: '.a{}', portrait: { css: '.a{top:0}' } }, 'portrait'))
+      .toEqual({ html: '<b></b>', css: '.a{}\n.a{top:0}', canvasWidth: 1080, canvasHeight: 1920, orientation: 'portrait' });
+  });
+});
+
+describe('portrait layout styles', () => {
+  it('picks and diffs layout properties', () => {
+    const landscapeLayout = pickLayout({ left: '10px', top: '20px', color: 'red', width: '' });
+    expect(landscapeLayout).toEqual({ left: '10px', top: '20px' });
+
+    const portraitLayout = pickLayout({ left: '10px', 'font-size': '96px' });
+    expect(diffLayout(landscapeLayout, portraitLayout)).toEqual({ top: 'unset', 'font-size': '96px' });
+  });
+
+  it('serializes a style map', () => {
+    expect(serializeStyle({ left: '40px', top: '600px' })).toBe('left: 40px; top: 600px');
+  });
+});
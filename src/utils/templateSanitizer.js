@@ -0,0 +1,272 @@
+/* ──────────────────────────────────────────────────────────────
+   templateSanitizer.js
+   ------------------------------------------------------------------
+   Sanitizer stage for compiled templates. Removes script-capable
+   elements, comments, inline event handlers and javascript: URLs
+   (in attributes, inline styles and SVG animations of links) from
+   the node tree, keeps
+   template CSS inside its <style> element and
+   checks image placeholder sources against an origin allowlist.
+   Runner values are HTML-escaped by the compiler when enabled.
+   ------------------------------------------------------------------ */
+
+import {
+  parseHtml,
+  serializeHtml,
+  parseStyle,
+  RAW_TEXT_ELEMENTS,
+  FOREIGN_ELEMENTS
+} from './htmlParser';
+
+export const DEFAULT_SANITIZE_OPTIONS = {
+  enabled: true,
+  escapeValues: true,                      // HTML-escape values substituted into text
+  stripScripts: true,                      // Remove <script>, <iframe>, <object>, ...
+  stripEventHandlers: true,                // Remove on* attributes
+  stripUnsafeUrls: true,                   // Remove javascript:, vbscript: and non-image data: URLs
+  imageOrigins: ['self', 'https:', 'data:'] // Allowed sources for image placeholders, null = any safe URL
+};
+
+// Elements that can run script or change how the page loads resources
+export const BLOCKED_ELEMENTS = [
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'base', 'meta', 'noscript'
+];
+
+// Attributes that are navigated to or fetched as URLs
+const URL_ATTRIBUTES = [
+  'href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background', 'cite', 'data', 'srcset'
+];
+
+const SAFE_SCHEMES = ['http:', 'https:', 'mailto:', 'tel:'];
+
+// SVG animation elements (tag names as parsed, lowercase) set attributes from values/from/to/by
+const SVG_ANIMATION_ELEMENTS = ['animate', 'set', 'animatemotion'];
+
+// Inline style constructs that run script in some browser
+const UNSAFE_STYLE_PATTERN = /expression\s*\(|behavior\s*:|-moz-binding|(java|vb)script:/i;
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+const SAFE_DATA_URL_PATTERN = /^data:image\/(png|jpe?g|gif|webp|avif|bmp);/i;
+
+const warnedSources = new Set();
+
+/**
+ * Normalize the sanitize option passed to the compiler or components
+ * @param {boolean|Object|undefined} sanitize - true/undefined for defaults, false to disable, or overrides
+ * @returns {Object} Full sanitize options
+ */
+export function resolveSanitizeOptions(sanitize) {
+  if (sanitize === false) {
+    return {
+      ...DEFAULT_SANITIZE_OPTIONS,
+      enabled: false,
+      escapeValues: false,
+      stripScripts: false,
+      stripEventHandlers: false,
+      stripUnsafeUrls: false,
+      imageOrigins: null
+    };
+  }
+  if (!sanitize || sanitize === true) return DEFAULT_SANITIZE_OPTIONS;
+  return { ...DEFAULT_SANITIZE_OPTIONS, ...sanitize };
+}
+
+// Browsers ignore whitespace and control characters inside the scheme
+const normalizeUrl = (url) => String(url ?? '').replace(/[\u0000- \u007f]+/g, '');
+
+const getScheme = (url) => {
+  const match = /^([a-z][a-z0-9+.-]*):/i.exec(normalizeUrl(url));
+  return match ? `${match[1].toLowerCase()}:` : null;
+};
+
+/**
+ * Check whether a URL is safe to navigate to or load
+ * Relative URLs, http(s), mailto, tel and raster data:image URLs are allowed.
+ * @param {string} url - URL to check
+ * @returns {boolean} True if safe
+ */
+export function isSafeUrl(url) {
+  const scheme = getScheme(url);
+  if (!scheme) return true;
+  if (scheme === 'data:') return SAFE_DATA_URL_PATTERN.test(normalizeUrl(url));
+  return SAFE_SCHEMES.includes(scheme);
+}
+
+const getCurrentOrigin = () => (
+  typeof window !== 'undefined' && window.location ? window.location.origin : null
+);
+
+// Match an origin against an allowlist entry: 'self', 'https:', 'data:', 'https://cdn.example.com' or '*.example.com'
+const matchesOriginEntry = (entry, { url, scheme, isRelative }, baseOrigin) => {
+  if (entry === '*') return true;
+  if (entry === 'self') {
+    if (isRelative) return true;
+    return !!baseOrigin && !!url && url.origin === baseOrigin;
+  }
+  if (entry.endsWith(':') && !entry.includes('/')) return (url?.protocol || scheme) === entry.toLowerCase();
+  if (!url) return false;
+  if (entry.startsWith('*.')) {
+    const domain = entry.slice(2).toLowerCase();
+    return url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+  }
+  return url.origin === entry.replace(/\/+$/, '').toLowerCase();
+};
+
+/**
+ * Check an image source against an origin allowlist
+ * @param {string} src - Image URL
+ * @param {string[]|null} allowlist - Allowed origins; null allows any safe URL
+ * @param {string} baseOrigin - Origin of the page (default: window.location.origin)
+ * @returns {boolean} True if the image may be shown
+ */
+export function isAllowedImageSource(src, allowlist = DEFAULT_SANITIZE_OPTIONS.imageOrigins, baseOrigin = getCurrentOrigin()) {
+  if (!src || !isSafeUrl(src)) return false;
+  if (!allowlist) return true;
+
+  const normalized = normalizeUrl(src);
+  const scheme = getScheme(src);
+  // Protocol-relative URLs ("//host/path") point at another origin
+  const isRelative = !scheme && !/^[\\/]{2}/.test(normalized);
+  let url = null;
+  if (!isRelative && scheme !== 'data:') {
+    try {
+      url = new URL(normalized, baseOrigin || 'https://invalid.invalid');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return allowlist.some(entry => matchesOriginEntry(entry, { url, scheme, isRelative }, baseOrigin));
+}
+
+/**
+ * Report a blocked image source once per origin
+ * @param {string} src - Blocked image URL
+ */
+export function warnBlockedImage(src) {
+  const scheme = getScheme(src);
+  let origin = scheme || 'relative';
+  try {
+    const { origin: urlOrigin } = new URL(normalizeUrl(src));
+    if (scheme && urlOrigin !== 'null') origin = urlOrigin;
+  } catch (error) {
+    // Keep the scheme as the origin label
+  }
+
+  if (warnedSources.has(origin)) return;
+  warnedSources.add(origin);
+  console.warn(`[TemplateSanitizer] Blocked image source from "${origin}" (not in imageOrigins)`);
+}
+
+// Undo CSS comments and escapes, which can hide "expression(" or "javascript:"
+const decodeCss = (value) => String(value)
+  .replace(/\/\*[\s\S]*?\*\//g, '')
+  .replace(/\\([0-9a-f]{1,6})\s?/gi, (match, hex) => {
+    const codePoint = parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+  })
+  .replace(/\\(.)/g, '$1');
+
+const isUnsafeDeclaration = (property, value) => {
+  const decoded = decodeCss(`${property}:${value}`);
+  if (UNSAFE_STYLE_PATTERN.test(normalizeUrl(decoded))) return true;
+  return [...decoded.matchAll(CSS_URL_PATTERN)].some(([, , url]) => !isSafeUrl(url));
+};
+
+/**
+ * Remove declarations that can run script or load unsafe URLs from inline style text
+ * @param {string} style - Style attribute value
+ * @returns {string} Style with only safe declarations
+ */
+export function sanitizeStyle(style) {
+  return Object.entries(parseStyle(style))
+    .filter(([property, value]) => !isUnsafeDeclaration(property, value))
+    .map(([property, value]) => `${property}: ${value}`)
+    .join('; ');
+}
+
+const isUnsafeAttribute = ({ name, value }, config) => {
+  if (config.stripEventHandlers && name.startsWith('on')) return true;
+  if (config.stripScripts && name === 'srcdoc') return true;
+  if (!config.stripUnsafeUrls || value === null || value === undefined) return false;
+
+  if (name === 'srcset') {
+    return value.split(',').some(candidate => !isSafeUrl(candidate.trim().split(/\s+/)[0]));
+  }
+  return URL_ATTRIBUTES.includes(name) && !isSafeUrl(value);
+};
+
+// An SVG animation of href writes its values into a link, out of reach of the URL check
+const animatesUrl = ({ tagName, attrs }) => SVG_ANIMATION_ELEMENTS.includes(tagName) && attrs.some(({ name, value }) => (
+  name === 'attributename' && URL_ATTRIBUTES.includes(String(value ?? '').trim().toLowerCase())
+));
+
+const sanitizeChildren = (node, config, inForeignContent) => {
+  node.children = node.children.filter(child => {
+    // Comments are never needed on a display, and their parsing is easy to confuse
+    if (child.type === 'comment') return false;
+    if (child.type !== 'element') return true;
+    if (config.stripScripts && BLOCKED_ELEMENTS.includes(child.tagName)) return false;
+    // Browsers parse svg/math <style> and <title> content as markup, which defeats raw-text handling
+    if (config.stripScripts && inForeignContent && RAW_TEXT_ELEMENTS.includes(child.tagName)) return false;
+    if (config.stripUnsafeUrls && animatesUrl(child)) return false;
+
+    child.attrs = child.attrs.filter(attr => !isUnsafeAttribute(attr, config));
+    if (config.stripUnsafeUrls) {
+      child.attrs.forEach(attr => {
+        if (attr.name === 'style' && attr.value) attr.value = sanitizeStyle(attr.value);
+      });
+    }
+    sanitizeChildren(child, config, inForeignContent || FOREIGN_ELEMENTS.includes(child.tagName));
+    return true;
+  });
+};
+
+/**
+ * Remove unsafe elements and attributes from a parsed node tree (in place)
+ * @param {Object} node - Root or element node from parseHtml
+ * @param {Object} options - Sanitize options (see DEFAULT_SANITIZE_OPTIONS)
+ * @returns {Object} The same node
+ */
+export function sanitizeTree(node, options = {}) {
+  const config = resolveSanitizeOptions(options);
+  if (!config.enabled || !node.children) return node;
+
+  sanitizeChildren(node, config, FOREIGN_ELEMENTS.includes(node.tagName));
+  return node;
+}
+
+/**
+ * Sanitize an HTML string
+ * @param {string} html - HTML to clean
+ * @param {Object} options - Sanitize options (see DEFAULT_SANITIZE_OPTIONS)
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html, options = {}) {
+  return serializeHtml(sanitizeTree(parseHtml(html || ''), options));
+}
+
+/**
+ * Keep template CSS from closing its <style> element
+ * @param {string} css - Template CSS
+ * @param {Object} options - Sanitize options
+ * @returns {string} CSS safe to embed in <style>
+ */
+export function sanitizeCss(css, options = {}) {
+  const config = resolveSanitizeOptions(options);
+  if (!config.enabled || !css) return css || '';
+  // "\3c" is the CSS escape for "<", so strings keep their text
+  return String(css).replace(/<\/(style)/gi, '\\3c /$1');
+}
+
+export default {
+  DEFAULT_SANITIZE_OPTIONS,
+  BLOCKED_ELEMENTS,
+  resolveSanitizeOptions,
+  isSafeUrl,
+  isAllowedImageSource,
+  warnBlockedImage,
+  sanitizeStyle,
+  sanitizeTree,
+  sanitizeHtml,
+  sanitizeCss
+};
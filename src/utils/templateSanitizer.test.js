@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sanitizeHtml,
+  sanitizeStyle,
+  sanitizeCss,
+  isSafeUrl,
+  isAllowedImageSource
+} from './templateSanitizer';
+
+describe('sanitizeHtml', () => {
+  it('removes script-capable elements and event handlers', () => {
+    expect(sanitizeHtml('<div onclick="x()">a<script>alert(1)</script><iframe src="x"></iframe></div>'))
+      .toBe('<div>a</div>');
+  });
+
+  it('removes javascript: URLs', () => {
+    expect(sanitizeHtml('<a href="javascript:alert(1)">x</a><a href=" JaVa\tscript:alert(1)">y</a>'))
+      .toBe('<a>x</a><a>y</a>');
+  });
+
+  it('keeps ordinary template markup', () => {
+    const html = '<div class="a" data-placeholder="bib" style="left: 10px">{{bib}}</div><img src="https://cdn/x.png">';
+    expect(sanitizeHtml(html)).toBe(html);
+  });
+
+  describe('parser confusion', () => {
+    it('drops <style> inside svg, where browsers parse its content as markup', () => {
+      const output = sanitizeHtml('<svg><style><img src=x onerror=alert(1)></style></svg>');
+      expect(output).not.toContain('onerror');
+      expect(output).toBe('<svg></svg>');
+    });
+
+    it('drops <title> inside math', () => {
+      const output = sanitizeHtml('<math><title><img src=x onerror=alert(1)></title></math>');
+      expect(output).not.toContain('onerror');
+      expect(output).toBe('<math></math>');
+    });
+
+    it('ends "<!-->" comments where browsers do', () => {
+      const output = sanitizeHtml('<!--><img src=x onerror=alert(1)>-->');
+      expect(output).not.toContain('onerror');
+      expect(output).not.toContain('<!--');
+    });
+
+    it('ends comments at "--!>"', () => {
+      const output = sanitizeHtml('<!-- --!><img src=x onerror=alert(1)> -->');
+      expect(output).not.toContain('onerror');
+      expect(output).not.toContain('<!--');
+    });
+
+    it('ends raw text at end tags with attributes or a slash', () => {
+      ['</style x>', '</STYLE/>', '</style\t x>'].forEach(endTag => {
+        const output = sanitizeHtml(`<style>a{}${endTag}<img src=x onerror=alert(1)></style>`);
+        expect(output).toBe('<style>a{}</style><img src="x">');
+      });
+      expect(sanitizeHtml('<textarea>a</textarea/><img src=x onerror=alert(1)>')).toBe('<textarea>a</textarea><img src="x">');
+      expect(sanitizeHtml('<title>a</title\t x><img src=x onerror=alert(1)>')).toBe('<title>a</title><img src="x">');
+    });
+
+    it('keeps end tag look-alikes inside raw text', () => {
+      expect(sanitizeHtml('<style>a{}</styles></style>')).toBe('<style>a{}</styles></style>');
+    });
+
+    it('drops comments', () => {
+      expect(sanitizeHtml('a<!-- note -->b<!--->c')).toBe('abc');
+    });
+
+    it('keeps svg drawing elements', () => {
+      expect(sanitizeHtml('<svg width="2" height="2"><circle r="1"></circle></svg>'))
+        .toBe('<svg width="2" height="2"><circle r="1"></circle></svg>');
+    });
+  });
+
+  describe('svg animation', () => {
+    it('drops animations that write a link', () => {
+      expect(sanitizeHtml('<svg><a><animate attributeName="href" values="javascript:alert(1)"></animate>x</a></svg>'))
+        .toBe('<svg><a>x</a></svg>');
+      expect(sanitizeHtml('<svg><a><set attributeName=" xlink:href" to="javascript:alert(1)"></set></a></svg>'))
+        .toBe('<svg><a></a></svg>');
+      expect(sanitizeHtml('<svg><a><animate attributeName="HREF" from="javascript:alert(1)" to="#"></animate></a></svg>'))
+        .toBe('<svg><a></a></svg>');
+    });
+
+    it('keeps other animations', () => {
+      const html = '<svg><circle r="1"><animate attributename="opacity" values="0;1" dur="1s"></animate></circle></svg>';
+      expect(sanitizeHtml(html)).toBe(html);
+    });
+  });
+
+  describe('inline styles', () => {
+    it('removes url(javascript:...) declarations', () => {
+      expect(sanitizeHtml('<div style="color: red; background:url(javascript:alert(1))">a</div>'))
+        .toBe('<div style="color: red">a</div>');
+    });
+
+    it('removes expression() even when hidden by comments or escapes', () => {
+      expect(sanitizeStyle('width: expr/**/ession(alert(1)); height: 10px')).toBe('height: 10px');
+      expect(sanitizeStyle('background: url(java\\73 cript:alert(1))')).toBe('');
+      expect(sanitizeStyle('-moz-binding: url(x.xml#xss)')).toBe('');
+    });
+
+    it('keeps safe image URLs', () => {
+      expect(sanitizeStyle("background: url('https://cdn.example.com/bg.png')"))
+        .toBe("background: url('https://cdn.example.com/bg.png')");
+    });
+  });
+
+  it('does nothing when disabled', () => {
+    const html = '<div onclick="x()"><!-- c --></div>';
+    expect(sanitizeHtml(html, { enabled: false })).toBe(html);
+  });
+});
+
+describe('sanitizeCss', () => {
+  it('keeps CSS from closing its <style> element', () => {
+    expect(sanitizeCss('.a { content: "</style><script>" }')).not.toMatch(/<\/style/i);
+  });
+});
+
+describe('isSafeUrl', () => {
+  it('allows relative, http(s) and raster data URLs only', () => {
+    expect(isSafeUrl('/img/a.png')).toBe(true);
+    expect(isSafeUrl('https://x.test/a.png')).toBe(true);
+    expect(isSafeUrl('data:image/png;base64,AAAA')).toBe(true);
+    expect(isSafeUrl('data:image/svg+xml;base64,AAAA')).toBe(false);
+    expect(isSafeUrl('vbscript:msgbox(1)')).toBe(false);
+  });
+});
+
+describe('isAllowedImageSource', () => {
+  it('checks sources against the allowlist', () => {
+    expect(isAllowedImageSource('https://cdn.example.com/a.png', ['*.example.com'], 'https://app.test')).toBe(true);
+    expect(isAllowedImageSource('http://cdn.example.com/a.png', ['https:'], 'https://app.test')).toBe(false);
+    expect(isAllowedImageSource('//evil.test/a.png', ['self'], 'https://app.test')).toBe(false);
+    expect(isAllowedImageSource('/a.png', ['self'], 'https://app.test')).toBe(true);
+  });
+});
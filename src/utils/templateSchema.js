@@ -0,0 +1,232 @@
+/* ──────────────────────────────────────────────────────────────
+   templateSchema.js
+   ------------------------------------------------------------------
+   Versioned template format. Older templates are upgraded through a
+   chain of migrations, one per version, and validated against the
+   current schema before they reach the compiler:
+
+     v0  { html, css, canvasWidth, canvasHeight, backgroundStyles }
+     v1  { activeState, restingState }                (no version)
+     v2  { schemaVersion: 2, canvasWidth, canvasHeight, fonts?,
+           activeState: { html, css, ... }, restingState: { ... },
+           portrait?: { canvasWidth, canvasHeight, css, activeState, ... } }
+   ------------------------------------------------------------------ */
+
+export const TEMPLATE_SCHEMA_VERSION = 2;
+
+export const DEFAULT_CANVAS = { width: 1920, height: 1080 };
+
+export const TEMPLATE_STATES = ['activeState', 'restingState'];
+
+/**
+ * Error thrown for templates that cannot be migrated or fail validation
+ */
+export class TemplateSchemaError extends Error {
+  constructor(errors) {
+    super(`[TemplateSchema] Invalid template: ${errors.join('; ')}`);
+    this.name = 'TemplateSchemaError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+/**
+ * Detect the schema version of a template
+ * @param {Object} template - Template object
+ * @returns {number} Schema version (0 and 1 are the unversioned legacy formats)
+ */
+export function getTemplateVersion(template) {
+  if (!isPlainObject(template)) return 0;
+  if (template.schemaVersion !== undefined) return template.schemaVersion;
+  return template.activeState || template.restingState ? 1 : 0;
+}
+
+// Pick the per-state fields of a legacy template
+const toStateTemplate = ({ html, css, backgroundStyles }) => ({
+  html,
+  css: css ?? '',
+  ...(backgroundStyles ? { backgroundStyles } : {})
+});
+
+// migrations[n] upgrades a version n template to version n + 1
+const MIGRATIONS = {
+  // Single-state: the resting screen keeps showing the layout with empty placeholders, as before
+  0: (template) => {
+    const { html, css, backgroundStyles, ...rest } = template;
+    const state = toStateTemplate({ html, css, backgroundStyles });
+
+    return {
+      ...rest,
+      activeState: state,
+      restingState: { ...state }
+    };
+  },
+
+  // Unversioned two-state: hoist the canvas size and stamp the version
+  1: (template) => {
+    const { activeState = {}, restingState = {} } = template;
+
+    return {
+      ...template,
+      schemaVersion: 2,
+      canvasWidth: template.canvasWidth ?? activeState.canvasWidth ?? DEFAULT_CANVAS.width,
+      canvasHeight: template.canvasHeight ?? activeState.canvasHeight ?? DEFAULT_CANVAS.height,
+      activeState: { css: '', ...activeState },
+      restingState: { css: '', ...restingState }
+    };
+  }
+};
+
+/**
+ * Upgrade a template to the current schema version
+ * The input is not modified.
+ * @param {Object} template - Template in any supported version
+ * @returns {Object} Template at TEMPLATE_SCHEMA_VERSION
+ * @throws {TemplateSchemaError} When the template is not an object or its version is unknown
+ */
+export function migrateTemplate(template) {
+  if (!isPlainObject(template)) {
+    throw new TemplateSchemaError(['template must be an object']);
+  }
+
+  let version = getTemplateVersion(template);
+  if (!Number.isInteger(version) || version < 0) {
+    throw new TemplateSchemaError([`schemaVersion must be a whole number, got ${JSON.stringify(version)}`]);
+  }
+  if (version > TEMPLATE_SCHEMA_VERSION) {
+    throw new TemplateSchemaError([
+      `schemaVersion ${version} is newer than this display supports (${TEMPLATE_SCHEMA_VERSION})`
+    ]);
+  }
+
+  let migrated = template;
+  while (version < TEMPLATE_SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+  }
+
+  return migrated;
+}
+
+const validateDimension = (errors, value, path) => {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    errors.push(`${path} must be a positive number, got ${JSON.stringify(value)}`);
+  }
+};
+
+const validateState = (errors, state, path) => {
+  if (!isPlainObject(state)) {
+    errors.push(`${path} is required and must be an object`);
+    return;
+  }
+  if (typeof state.html !== 'string') {
+    errors.push(`${path}.html must be a string`);
+  }
+  if (state.css !== undefined && typeof state.css !== 'string') {
+    errors.push(`${path}.css must be a string`);
+  }
+  if (state.backgroundStyles !== undefined && !isPlainObject(state.backgroundStyles)) {
+    errors.push(`${path}.backgroundStyles must be an object`);
+  }
+  validateDimension(errors, state.canvasWidth, `${path}.canvasWidth`);
+  validateDimension(errors, state.canvasHeight, `${path}.canvasHeight`);
+};
+
+// Fonts the template waits for before fitting text: family names, shorthands or { family, weight, style }
+const validateFonts = (errors, fonts) => {
+  if (fonts === undefined) return;
+  if (!Array.isArray(fonts)) {
+    errors.push('fonts must be an array');
+    return;
+  }
+  fonts.forEach((font, index) => {
+    const valid = typeof font === 'string'
+      ? font.trim() !== ''
+      : isPlainObject(font) && typeof font.family === 'string' && font.family.trim() !== '';
+    if (!valid) {
+      errors.push(`fonts[${index}] must be a font family string or an object with a family`);
+    }
+  });
+};
+
+// Optional portrait variant (see templateOrientation); its states replace the landscape ones
+const validatePortrait = (errors, portrait) => {
+  if (portrait === undefined) return;
+  if (!isPlainObject(portrait)) {
+    errors.push('portrait must be an object');
+    return;
+  }
+  validateDimension(errors, portrait.canvasWidth, 'portrait.canvasWidth');
+  validateDimension(errors, portrait.canvasHeight, 'portrait.canvasHeight');
+  if (portrait.css !== undefined && typeof portrait.css !== 'string') {
+    errors.push('portrait.css must be a string');
+  }
+  TEMPLATE_STATES.forEach(stateName => {
+    if (portrait[stateName] !== undefined) {
+      validateState(errors, portrait[stateName], `portrait.${stateName}`);
+    }
+  });
+};
+
+/**
+ * Validate a template against the current schema
+ * Legacy templates fail with a hint to migrate; use normalizeTemplate to do both.
+ * @param {Object} template - Template object
+ * @returns {Object} { valid, errors } - errors are readable messages with the field path
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!isPlainObject(template)) {
+    return { valid: false, errors: ['template must be an object'] };
+  }
+
+  const version = getTemplateVersion(template);
+  if (version !== TEMPLATE_SCHEMA_VERSION) {
+    errors.push(
+      version < TEMPLATE_SCHEMA_VERSION && Number.isInteger(version)
+        ? `schemaVersion ${version} is outdated, migrate the template to ${TEMPLATE_SCHEMA_VERSION}`
+        : `schemaVersion must be ${TEMPLATE_SCHEMA_VERSION}, got ${JSON.stringify(template.schemaVersion)}`
+    );
+    return { valid: false, errors };
+  }
+
+  validateDimension(errors, template.canvasWidth, 'canvasWidth');
+  validateDimension(errors, template.canvasHeight, 'canvasHeight');
+  if (template.backgroundStyles !== undefined && !isPlainObject(template.backgroundStyles)) {
+    errors.push('backgroundStyles must be an object');
+  }
+  validateFonts(errors, template.fonts);
+  validatePortrait(errors, template.portrait);
+  TEMPLATE_STATES.forEach(stateName => validateState(errors, template[stateName], stateName));
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Migrate and validate a template in one step
+ * @param {Object} template - Template in any supported version
+ * @returns {Object} Valid template at TEMPLATE_SCHEMA_VERSION
+ * @throws {TemplateSchemaError} With all validation errors
+ */
+export function normalizeTemplate(template) {
+  const migrated = migrateTemplate(template);
+  const { valid, errors } = validateTemplate(migrated);
+  if (!valid) throw new TemplateSchemaError(errors);
+  return migrated;
+}
+
+export default {
+  TEMPLATE_SCHEMA_VERSION,
+  DEFAULT_CANVAS,
+  TEMPLATE_STATES,
+  TemplateSchemaError,
+  getTemplateVersion,
+  migrateTemplate,
+  validateTemplate,
+  normalizeTemplate
+};
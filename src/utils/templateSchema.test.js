@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TEMPLATE_SCHEMA_VERSION,
+  TemplateSchemaError,
+  getTemplateVersion,
+  migrateTemplate,
+  validateTemplate,
+  normalizeTemplate
+} from './templateSchema';
+
+const v2Template = (overrides = {}) => ({
+  schemaVersion: 2,
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  activeState: { html: '<div>{{bib}}</div>', css: '' },
+  restingState: { html: '<div>Next</div>', css: '' },
+  ...overrides
+});
+
+describe('getTemplateVersion', () => {
+  it('detects legacy and versioned templates', () => {
+    expect(getTemplateVersion({ html: '<p></p>' })).toBe(0);
+    expect(getTemplateVersion({ activeState: {}, restingState: {} })).toBe(1);
+    expect(getTemplateVersion(v2Template())).toBe(2);
+    expect(getTemplateVersion(null)).toBe(0);
+  });
+});
+
+describe('migrateTemplate', () => {
+  it('upgrades a single-state template, showing it in both states', () => {
+    const legacy = {
+      html: '<div>{{bib}}</div>',
+      css: '.a{}',
+      canvasWidth: 1280,
+      canvasHeight: 720,
+      backgroundStyles: { backgroundColor: '#000' }
+    };
+
+    expect(migrateTemplate(legacy)).toEqual({
+      schemaVersion: TEMPLATE_SCHEMA_VERSION,
+      canvasWidth: 1280,
+      canvasHeight: 720,
+      activeState: { html: '<div>{{bib}}</div>', css: '.a{}', backgroundStyles: { backgroundColor: '#000' } },
+      restingState: { html: '<div>{{bib}}</div>', css: '.a{}', backgroundStyles: { backgroundColor: '#000' } }
+    });
+    expect(legacy.activeState).toBeUndefined();
+  });
+
+  it('hoists the canvas size of an unversioned two-state template', () => {
+    const migrated = migrateTemplate({
+      activeState: { html: '<b></b>', canvasWidth: 1080, canvasHeight: 1920 },
+      restingState: { html: '' }
+    });
+    expect(migrated).toMatchObject({ schemaVersion: 2, canvasWidth: 1080, canvasHeight: 1920 });
+    expect(migrated.restingState).toEqual({ css: '', html: '' });
+  });
+
+  it('defaults the canvas to 1920x1080', () => {
+    expect(migrateTemplate({ activeState: { html: '' }, restingState: { html: '' } }))
+      .toMatchObject({ canvasWidth: 1920, canvasHeight: 1080 });
+  });
+
+  it('leaves current templates alone', () => {
+    const template = v2Template();
+    expect(migrateTemplate(template)).toBe(template);
+  });
+
+  it('refuses unknown versions', () => {
+    expect(() => migrateTemplate(v2Template({ schemaVersion: 3 }))).toThrow(/newer than this display supports/);
+    expect(() => migrateTemplate(v2Template({ schemaVersion: 1.5 }))).toThrow(TemplateSchemaError);
+    expect(() => migrateTemplate('<div></div>')).toThrow(TemplateSchemaError);
+  });
+});
+
+describe('validateTemplate', () => {
+  it('accepts a complete template', () => {
+    const template = v2Template({
+      fonts: ['Inter', { family: 'Oswald', weight: 700 }],
+      portrait: { canvasWidth: 1080, canvasHeight: 1920, css: '', restingState: { html: '' } }
+    });
+    expect(validateTemplate(template)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('lists every problem with its path', () => {
+    const { valid, errors } = validateTemplate(v2Template({
+      canvasWidth: 0,
+      fonts: [''],
+      activeState: { html: 42 },
+      portrait: { canvasHeight: '1920px', activeState: { html: '', css: 1 } }
+    }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'canvasWidth must be a positive number, got 0',
+      'fonts[0] must be a font family string or an object with a family',
+      'portrait.canvasHeight must be a positive number, got "1920px"',
+      'portrait.activeState.css must be a string',
+      'activeState.html must be a string'
+    ]);
+  });
+
+  it('asks for legacy templates to be migrated', () => {
+    expect(validateTemplate({ html: '' }).errors[0]).toMatch(/outdated, migrate/);
+  });
+});
+
+describe('normalizeTemplate', () => {
+  it('migrates and validates in one step', () => {
+    expect(normalizeTemplate({ html: '<p></p>' }).schemaVersion).toBe(2);
+  });
+
+  it('throws every validation error at once', () => {
+    let error;
+    try {
+      normalizeTemplate({ activeState: { html: 1 }, restingState: null });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(TemplateSchemaError);
+    expect(error.errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,78 @@
+/* ──────────────────────────────────────────────────────────────
+   templateStates.js
+   ------------------------------------------------------------------
+   Two-state templates in the editor. The displays show activeState
+   while a runner is on screen and restingState in between; the
+   editor edits one state at a time. Top-level elements marked
+
+     <img data-shared="sponsor-logo" src="...">
+
+   are shared: edited once and written into both states on export.
+   ------------------------------------------------------------------ */
+
+import { TEMPLATE_STATES } from './templateSchema';
+import { parseHtml, serializeHtml, getAttribute, hasAttribute } from './htmlParser';
+
+export const SHARED_ATTRIBUTE = 'data-shared';
+
+/**
+ * The state that is not being edited
+ * @param {string} state - 'activeState' or 'restingState'
+ * @returns {string} The other state
+ */
+export function getOtherState(state) {
+  return TEMPLATE_STATES.find(name => name !== state);
+}
+
+const isSharedNode = (node) => node.type === 'element' && hasAttribute(node, SHARED_ATTRIBUTE);
+
+/**
+ * Separate a state's shared elements from its own markup
+ * @param {string} html - State HTML
+ * @returns {Object} { html, shared } - own markup, and shared elements as [{ key, html }]
+ */
+export function splitSharedElements(html = '') {
+  const root = parseHtml(html);
+  const own = root.children.filter(node => !isSharedNode(node));
+  const shared = root.children.filter(isSharedNode).map(node => ({
+    key: getAttribute(node, SHARED_ATTRIBUTE) || '',
+    html: serializeHtml(node)
+  }));
+
+  return { html: serializeHtml(own).trim(), shared };
+}
+
+/**
+ * Split a two-state template for editing
+ * Shared elements are taken from activeState; ones only the resting state
+ * has are kept too.
+ * @param {Object} template - Template at the current schema version
+ * @returns {Object} { activeState, restingState, shared } - states as { html, css } without
+ *   their shared elements, shared as HTML
+ */
+export function splitTemplateStates(template) {
+  const seen = new Set();
+  const sharedHtml = [];
+  const result = {};
+
+  TEMPLATE_STATES.forEach(state => {
+    const { html = '', css = '' } = template[state] || {};
+    const split = splitSharedElements(html);
+
+    split.shared.forEach(({ key, html: elementHtml }) => {
+      if (key && seen.has(key)) return;
+      seen.add(key);
+      sharedHtml.push(elementHtml);
+    });
+    result[state] = { html: split.html, css };
+  });
+
+  return { ...result, shared: sharedHtml.join('') };
+}
+
+export default {
+  SHARED_ATTRIBUTE,
+  getOtherState,
+  splitSharedElements,
+  splitTemplateStates
+};
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { getOtherState, splitSharedElements, splitTemplateStates } from './templateStates';
+
+const logo = '<img data-shared="logo" src="/logo.png">';
+
+describe('getOtherState', () => {
+  it('switches between the active and resting state', () => {
+    expect(getOtherState('activeState')).toBe('restingState');
+    expect(getOtherState('restingState')).toBe('activeState');
+  });
+});
+
+describe('splitSharedElements', () => {
+  it('separates top-level shared elements from the own markup', () => {
+    expect(splitSharedElements(`${logo}\n<div class="name">{{name}}</div>`)).toEqual({
+      html: '<div class="name">{{name}}</div>',
+      shared: [{ key: 'logo', html: logo }]
+    });
+  });
+
+  it('only looks at top-level elements', () => {
+    const html = `<div>${logo}</div>`;
+    expect(splitSharedElements(html)).toEqual({ html, shared: [] });
+  });
+
+  it('handles an empty state', () => {
+    expect(splitSharedElements()).toEqual({ html: '', shared: [] });
+  });
+});
+
+describe('splitTemplateStates', () => {
+  it('takes shared elements from the active state', () => {
+    const template = {
+      activeState: { html: `${logo}<b>{{bib}}</b>`, css: '.a{}' },
+      restingState: { html: `<img data-shared="logo" src="/old.png"><i>Next</i>`, css: '.r{}' }
+    };
+
+    expect(splitTemplateStates(template)).toEqual({
+      activeState: { html: '<b>{{bib}}</b>', css: '.a{}' },
+      restingState: { html: '<i>Next</i>', css: '.r{}' },
+      shared: logo
+    });
+  });
+
+  it('keeps shared elements only the resting state has', () => {
+    const sponsor = '<div data-shared="sponsor">Sponsor</div>';
+    const { shared } = splitTemplateStates({
+      activeState: { html: logo },
+      restingState: { html: `${logo}${sponsor}` }
+    });
+    expect(shared).toBe(`${logo}${sponsor}`);
+  });
+
+  it('keeps every shared element without a key', () => {
+    const { shared } = splitTemplateStates({
+      activeState: { html: '<hr data-shared>' },
+      restingState: { html: '<hr data-shared>' }
+    });
+    expect(shared).toBe('<hr data-shared><hr data-shared>');
+  });
+
+  it('falls back to empty states', () => {
+    expect(splitTemplateStates({ activeState: { html: '<b></b>' } })).toEqual({
+      activeState: { html: '<b></b>', css: '' },
+      restingState: { html: '', css: '' },
+      shared: ''
+    });
+  });
+});
@@ -0,0 +1,522 @@
+/* ──────────────────────────────────────────────────────────────
+   templateStorage.js
+   ------------------------------------------------------------------
+   Where edited templates are kept.
+
+   Storage adapter - one template, used by the editor's autosave:
+     save(template)   persist the template (may return a Promise)
+     load()           the saved template or null (may return a Promise)
+
+   Template store - named templates with versions, every method
+   returns a Promise:
+     list()                     [{ id, name, version, updatedAt }]
+     get(id, version?)          template (latest version) or null
+     put(id, template, { name, author, message, autosave })
+                                save a new version, resolves with its metadata;
+                                an autosave replaces the latest version when
+                                that is an unpinned autosave too
+     remove(id)                 delete the template and its versions
+     listVersions(id)           [{ version, savedAt, author, message, autosave, pinned }],
+                                newest first
+     pinVersion(id, version, pinned?)
+                                keep a version however many are saved after it
+     subscribe(callback)        callback({ type, id, version }) on changes
+                                from any tab; returns an unsubscribe function
+
+   Versions are never changed once saved; rolling back saves the old
+   template again as a new version.
+
+   Stores exist for localStorage, IndexedDB and a REST API. Saves are
+   announced on a BroadcastChannel (and through storage events for
+   localStorage), so open displays pick up changes from the editor.
+
+   The single-key localStorage adapter writes where the
+   ResponsiveTemplateViewer looks when it is given no templateId.
+   ------------------------------------------------------------------ */
+
+export const DISPLAY_TEMPLATE_STORAGE_KEY = 'currentDisplayTemplate';
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+export const DEFAULT_STORE_OPTIONS = {
+  namespace: 'raceDisplay',               // Key prefix (localStorage) or database name (IndexedDB)
+  maxVersions: 50,                        // Older versions are dropped, unless pinned
+  channelName: 'race-display-templates'   // BroadcastChannel for change notices
+};
+
+/**
+ * Error thrown by template stores
+ */
+export class TemplateStorageError extends Error {
+  constructor(message, status = null) {
+    super(`[TemplateStorage] ${message}`);
+    this.name = 'TemplateStorageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Check whether an object can be used as a storage adapter
+ * @param {Object} adapter - Candidate adapter
+ * @returns {boolean} True when it has a save function
+ */
+export function isStorageAdapter(adapter) {
+  return Boolean(adapter) && typeof adapter.save === 'function';
+}
+
+/**
+ * Check whether an object is a template store
+ * @param {Object} store - Candidate store
+ * @returns {boolean} True when it has get and put functions
+ */
+export function isTemplateStore(store) {
+  return Boolean(store) && typeof store.get === 'function' && typeof store.put === 'function';
+}
+
+/**
+ * Storage adapter backed by Web Storage
+ * @param {string} key - Storage key (default: 'currentDisplayTemplate')
+ * @param {Storage} storage - Storage area (default: window.localStorage)
+ * @returns {Object} Storage adapter { load, save }
+ */
+export function createLocalStorageAdapter(key = DISPLAY_TEMPLATE_STORAGE_KEY, storage = window.localStorage) {
+  return {
+    load() {
+      const saved = storage.getItem(key);
+      if (!saved) return null;
+
+      try {
+        return JSON.parse(saved);
+      } catch (error) {
+        console.warn(`[TemplateStorage] Ignoring unreadable template in "${key}":`, error.message);
+        return null;
+      }
+    },
+
+    save(template) {
+      storage.setItem(key, JSON.stringify(template));
+    }
+  };
+}
+
+/**
+ * Storage adapter for one template of a store
+ * @param {Object} store - Template store
+ * @param {string} templateId - Template to load and save
+ * @param {Object} options - { name, author } saved with each version
+ * @returns {Object} Storage adapter { load, save } - save(template, { message, autosave }) describes the version
+ */
+export function bindTemplateStore(store, templateId = DEFAULT_TEMPLATE_ID, { name, author } = {}) {
+  return {
+    load: () => store.get(templateId),
+    save: (template, details = {}) => store.put(templateId, template, { name, author, ...details })
+  };
+}
+
+// Version entry with only the details that were given
+const createVersionEntry = (version, savedAt, { author, message, autosave } = {}) => ({
+  version,
+  savedAt,
+  ...(author ? { author } : {}),
+  ...(message ? { message } : {}),
+  ...(autosave ? { autosave: true } : {})
+});
+
+// Autosaves coalesce, so a burst of edits does not push deliberate saves out of the history
+const replacesLatest = (latest, { autosave } = {}) => Boolean(autosave && latest?.autosave && !latest.pinned);
+
+const validateId = (id) => {
+  if (typeof id !== 'string' || !id.trim()) {
+    throw new TemplateStorageError(`template id must be a non-empty string, got ${JSON.stringify(id)}`);
+  }
+};
+
+// Change notices; stores only react to messages from the same scope
+const createNotifier = (channelName, scope) => {
+  let channel = null;
+
+  return {
+    post(message) {
+      if (typeof BroadcastChannel !== 'function') return;
+      channel ??= new BroadcastChannel(channelName);
+      channel.postMessage({ ...message, scope });
+    },
+
+    subscribe(callback) {
+      if (typeof BroadcastChannel !== 'function') return () => {};
+
+      // A channel of its own, so saves from this tab are heard too
+      const listener = new BroadcastChannel(channelName);
+      listener.onmessage = ({ data }) => {
+        if (data?.scope !== scope) return;
+        const { scope: _scope, ...change } = data;
+        callback(change);
+      };
+      return () => listener.close();
+    }
+  };
+};
+
+// Index updates read, change and write the index; run them one at a time per store,
+// and across tabs where the Web Locks API exists
+const createWriteQueue = (lockName) => {
+  let queue = Promise.resolve();
+
+  return (work) => {
+    const locks = typeof navigator !== 'undefined' ? navigator.locks : null;
+    const run = () => (locks?.request ? locks.request(lockName, work) : work());
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return result;
+  };
+};
+
+/**
+ * Versioned store over an async key/value backend
+ * @param {Object} backend - { getItem, setItem, removeItem }, values are JSON-compatible, and
+ *   optionally transaction(work), which runs work(records) atomically with the same three methods
+ * @param {Object} options - maxVersions, the notifier and the lockName writes are serialized under
+ * @returns {Object} Template store
+ */
+const createKeyValueStore = (backend, { maxVersions, notifier, lockName }) => {
+  const INDEX_KEY = 'index';
+  const versionKey = (id, version) => `template:${id}:v${version}`;
+  const readIndex = async (records = backend) => (await records.getItem(INDEX_KEY)) || {};
+  const enqueue = createWriteQueue(lockName);
+  const write = (work) => enqueue(() => (backend.transaction ? backend.transaction(work) : work(backend)));
+
+  return {
+    // Same for every store over the same records, e.g. one created on each render
+    storeId: lockName,
+
+    async list() {
+      const index = await readIndex();
+      return Object.values(index)
+        .map(({ versions, ...meta }) => meta)
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async get(id, version) {
+      validateId(id);
+      const entry = (await readIndex())[id];
+      if (!entry) return null;
+      return (await backend.getItem(versionKey(id, version ?? entry.version))) ?? null;
+    },
+
+    async put(id, template, { name, ...details } = {}) {
+      validateId(id);
+      const meta = await write(async (records) => {
+        const index = await readIndex(records);
+        const entry = index[id];
+        const version = (entry?.version ?? 0) + 1;
+        const updatedAt = new Date().toISOString();
+
+        await records.setItem(versionKey(id, version), template);
+
+        const previous = entry?.versions || [];
+        const replaced = replacesLatest(previous[0], details) ? previous.slice(0, 1) : [];
+        const versions = [createVersionEntry(version, updatedAt, details), ...previous.slice(replaced.length)];
+        const kept = versions.filter((item, position) => position < maxVersions || item.pinned);
+        const dropped = [...replaced, ...versions.filter(item => !kept.includes(item))];
+        await Promise.all(dropped.map(old => records.removeItem(versionKey(id, old.version))));
+
+        const saved = { id, name: name ?? entry?.name ?? id, version, updatedAt };
+        index[id] = { ...saved, versions: kept };
+        await records.setItem(INDEX_KEY, index);
+        return saved;
+      });
+
+      notifier.post({ type: 'saved', id, version: meta.version });
+      return meta;
+    },
+
+    async remove(id) {
+      validateId(id);
+      const removed = await write(async (records) => {
+        const index = await readIndex(records);
+        const entry = index[id];
+        if (!entry) return false;
+
+        await Promise.all(entry.versions.map(old => records.removeItem(versionKey(id, old.version))));
+        delete index[id];
+        await records.setItem(INDEX_KEY, index);
+        return true;
+      });
+
+      if (removed) notifier.post({ type: 'removed', id });
+      return removed;
+    },
+
+    async listVersions(id) {
+      validateId(id);
+      const entry = (await readIndex())[id];
+      return entry ? entry.versions.map(item => ({ ...item })) : [];
+    },
+
+    async pinVersion(id, version, pinned = true) {
+      validateId(id);
+      const item = await write(async (records) => {
+        const index = await readIndex(records);
+        const found = index[id]?.versions.find(candidate => candidate.version === version);
+        if (!found) {
+          throw new TemplateStorageError(`template "${id}" has no version ${version}`, 404);
+        }
+
+        if (pinned) {
+          found.pinned = true;
+        } else {
+          delete found.pinned;
+        }
+        await records.setItem(INDEX_KEY, index);
+        return { ...found };
+      });
+
+      notifier.post({ type: 'pinned', id, version });
+      return item;
+    },
+
+    subscribe: (callback) => notifier.subscribe(callback)
+  };
+};
+
+/**
+ * Template store in localStorage
+ * Other tabs are notified through the BroadcastChannel, or storage events
+ * where BroadcastChannel is missing.
+ * @param {Object} options - Store options (see DEFAULT_STORE_OPTIONS)
+ * @param {Storage} options.storage - Storage area (default: window.localStorage)
+ * @returns {Object} Template store
+ */
+export function createLocalStorageStore(options = {}) {
+  const { namespace, maxVersions, channelName } = { ...DEFAULT_STORE_OPTIONS, ...options };
+  const storage = options.storage || window.localStorage;
+  const prefix = `${namespace}:`;
+  const notifier = createNotifier(channelName, `local:${namespace}`);
+
+  const backend = {
+    getItem: async (key) => {
+      const saved = storage.getItem(prefix + key);
+      return saved ? JSON.parse(saved) : null;
+    },
+    setItem: async (key, value) => {
+      try {
+        storage.setItem(prefix + key, JSON.stringify(value));
+      } catch (error) {
+        throw new TemplateStorageError(`could not write "${prefix + key}": ${error.message}`);
+      }
+    },
+    removeItem: async (key) => storage.removeItem(prefix + key)
+  };
+
+  const store = createKeyValueStore(backend, { maxVersions, notifier, lockName: `local:${namespace}` });
+
+  return {
+    ...store,
+    subscribe(callback) {
+      if (typeof BroadcastChannel === 'function' || typeof window === 'undefined') {
+        return store.subscribe(callback);
+      }
+
+      const parseIndex = (value) => {
+        try {
+          return value ? JSON.parse(value) : {};
+        } catch (error) {
+          return {};
+        }
+      };
+      // Compare the index before and after to see which templates changed
+      const handleStorage = (event) => {
+        if (event.key !== `${prefix}index`) return;
+        const before = parseIndex(event.oldValue);
+        const after = parseIndex(event.newValue);
+
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(id => {
+          if (!after[id]) {
+            callback({ type: 'removed', id });
+          } else if (after[id].version !== before[id]?.version) {
+            callback({ type: 'saved', id, version: after[id].version });
+          }
+        });
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    }
+  };
+}
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(new TemplateStorageError(`IndexedDB request failed: ${request.error?.message}`));
+});
+
+/**
+ * Template store in IndexedDB, for templates too large for localStorage
+ * @param {Object} options - Store options (see DEFAULT_STORE_OPTIONS); namespace is the database name
+ * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: window.indexedDB)
+ * @returns {Object} Template store
+ */
+export function createIndexedDBStore(options = {}) {
+  const { namespace, maxVersions, channelName } = { ...DEFAULT_STORE_OPTIONS, ...options };
+  const factory = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+  const STORE_NAME = 'records';
+  let database = null;
+
+  const openDatabase = () => {
+    if (!factory) {
+      return Promise.reject(new TemplateStorageError('IndexedDB is not available'));
+    }
+
+    database ??= new Promise((resolve, reject) => {
+      const request = factory.open(namespace, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        database = null;
+        reject(new TemplateStorageError(`could not open database "${namespace}": ${request.error?.message}`));
+      };
+    });
+    return database;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await openDatabase();
+    return promisifyRequest(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  const backend = {
+    getItem: async (key) => (await run('readonly', records => records.get(key))) ?? null,
+    setItem: (key, value) => run('readwrite', records => records.put(value, key)),
+    removeItem: (key) => run('readwrite', records => records.delete(key)),
+
+    // Index and versions change in one readwrite transaction, which IndexedDB
+    // also serializes against other tabs
+    async transaction(work) {
+      const db = await openDatabase();
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const records = transaction.objectStore(STORE_NAME);
+      const complete = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onabort = () => reject(
+          new TemplateStorageError(`IndexedDB transaction failed: ${transaction.error?.message || 'aborted'}`)
+        );
+      });
+
+      try {
+        const result = await work({
+          getItem: async (key) => (await promisifyRequest(records.get(key))) ?? null,
+          setItem: (key, value) => promisifyRequest(records.put(value, key)),
+          removeItem: (key) => promisifyRequest(records.delete(key))
+        });
+        await complete;
+        return result;
+      } catch (error) {
+        complete.catch(() => {});
+        try {
+          transaction.abort();
+        } catch (abortError) {
+          // Already finished or aborted
+        }
+        throw error;
+      }
+    }
+  };
+
+  return createKeyValueStore(backend, {
+    maxVersions,
+    notifier: createNotifier(channelName, `indexeddb:${namespace}`),
+    lockName: `indexeddb:${namespace}`
+  });
+}
+
+/**
+ * Template store behind a REST API
+ * The server keeps the versions:
+ *   GET    {baseUrl}/templates                     list
+ *   GET    {baseUrl}/templates/:id                 latest template, 404 when missing
+ *   GET    {baseUrl}/templates/:id/versions        versions, newest first
+ *   GET    {baseUrl}/templates/:id/versions/:n     one version
+ *   PUT    {baseUrl}/templates/:id                 body { name, author, message, autosave, template },
+ *                                                  responds with the metadata
+ *   PATCH  {baseUrl}/templates/:id/versions/:n     body { pinned }
+ *   DELETE {baseUrl}/templates/:id
+ * @param {Object} options - Store options
+ * @param {string} options.baseUrl - API root, e.g. '/api'
+ * @param {function} options.fetch - fetch implementation, e.g. a mock in tests (default: window.fetch)
+ * @param {Object} options.headers - Extra request headers, e.g. authorization
+ * @param {string} options.channelName - BroadcastChannel for change notices between local tabs
+ * @returns {Object} Template store
+ */
+export function createRestStore({
+  baseUrl = '',
+  fetch: fetchImpl = (...args) => fetch(...args),
+  headers = {},
+  channelName = DEFAULT_STORE_OPTIONS.channelName
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const notifier = createNotifier(channelName, `rest:${root}`);
+
+  const request = async (method, path, body) => {
+    const response = await fetchImpl(`${root}/templates${path}`, {
+      method,
+      headers: { Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+
+    if (method === 'GET' && response.status === 404) return null;
+    if (!response.ok) {
+      throw new TemplateStorageError(`${method} ${path || '/'} failed with status ${response.status}`, response.status);
+    }
+    return response.status === 204 ? null : response.json();
+  };
+
+  const templatePath = (id) => {
+    validateId(id);
+    return `/${encodeURIComponent(id)}`;
+  };
+
+  return {
+    storeId: `rest:${root}`,
+
+    list: async () => (await request('GET', '')) || [],
+
+    get: (id, version) => request('GET', version === undefined
+      ? templatePath(id)
+      : `${templatePath(id)}/versions/${encodeURIComponent(version)}`),
+
+    async put(id, template, { name, author, message, autosave } = {}) {
+      const meta = await request('PUT', templatePath(id), { name: name ?? id, author, message, autosave, template });
+      notifier.post({ type: 'saved', id, version: meta?.version });
+      return meta;
+    },
+
+    async remove(id) {
+      await request('DELETE', templatePath(id));
+      notifier.post({ type: 'removed', id });
+      return true;
+    },
+
+    listVersions: async (id) => (await request('GET', `${templatePath(id)}/versions`)) || [],
+
+    async pinVersion(id, version, pinned = true) {
+      const item = await request('PATCH', `${templatePath(id)}/versions/${encodeURIComponent(version)}`, { pinned });
+      notifier.post({ type: 'pinned', id, version });
+      return item;
+    },
+
+    subscribe: (callback) => notifier.subscribe(callback)
+  };
+}
+
+export default {
+  DISPLAY_TEMPLATE_STORAGE_KEY,
+  DEFAULT_TEMPLATE_ID,
+  DEFAULT_STORE_OPTIONS,
+  TemplateStorageError,
+  isStorageAdapter,
+  isTemplateStore,
+  createLocalStorageAdapter,
+  bindTemplateStore,
+  createLocalStorageStore,
+  createIndexedDBStore,
+  createRestStore
+};
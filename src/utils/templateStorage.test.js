@@ -0,0 +1,241 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  createLocalStorageStore,
+  createIndexedDBStore,
+  createRestStore,
+  bindTemplateStore,
+  TemplateStorageError
+} from './templateStorage';
+
+const template = (text) => ({
+  schemaVersion: 2,
+  canvasWidth: 1920,
+  canvasHeight: 1080,
+  activeState: { html: `<div>${text}</div>`, css: '' },
+  restingState: { html: '', css: '' }
+});
+
+// In-memory Storage with the methods the store uses
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    get length() { return items.size; }
+  };
+};
+
+// Behaviour every key/value store shares
+const describeKeyValueStore = (name, createStore) => {
+  describe(name, () => {
+    it('saves versions and reads the latest or a given one', async () => {
+      const store = createStore();
+      await store.put('finish', template('one'), { name: 'Finish', author: 'ana' });
+      const meta = await store.put('finish', template('two'), { message: 'bigger bib' });
+
+      expect(meta).toMatchObject({ id: 'finish', name: 'Finish', version: 2 });
+      expect((await store.get('finish')).activeState.html).toBe('<div>two</div>');
+      expect((await store.get('finish', 1)).activeState.html).toBe('<div>one</div>');
+      expect(await store.get('missing')).toBeNull();
+      expect(await store.list()).toEqual([expect.objectContaining({ id: 'finish', version: 2 })]);
+
+      const versions = await store.listVersions('finish');
+      expect(versions.map(item => item.version)).toEqual([2, 1]);
+      expect(versions[0].message).toBe('bigger bib');
+      expect(versions[1].author).toBe('ana');
+    });
+
+    it('gives concurrent saves distinct versions', async () => {
+      const store = createStore();
+      const saved = await Promise.all(
+        ['a', 'b', 'c', 'd', 'e'].map(text => store.put('race', template(text)))
+      );
+
+      expect(saved.map(meta => meta.version)).toEqual([1, 2, 3, 4, 5]);
+      expect((await store.listVersions('race')).map(item => item.version)).toEqual([5, 4, 3, 2, 1]);
+      expect((await store.get('race', 3)).activeState.html).toBe('<div>c</div>');
+    });
+
+    it('keeps pinned versions when pruning', async () => {
+      const store = createStore({ maxVersions: 2 });
+      await store.put('race', template('first'));
+      await store.pinVersion('race', 1);
+      await Promise.all([2, 3, 4].map(version => store.put('race', template(`v${version}`))));
+
+      expect((await store.listVersions('race')).map(item => item.version)).toEqual([4, 3, 1]);
+      expect(await store.get('race', 2)).toBeNull();
+      expect((await store.get('race', 1)).activeState.html).toBe('<div>first</div>');
+
+      await store.pinVersion('race', 1, false);
+      expect((await store.listVersions('race')).find(item => item.version === 1).pinned).toBeUndefined();
+    });
+
+    it('replaces the latest autosave with the next one', async () => {
+      const store = createStore({ maxVersions: 4 });
+      await store.put('race', template('saved'), { message: 'Release' });
+      for (const text of ['a', 'b', 'c', 'd', 'e']) {
+        await store.put('race', template(text), { message: 'Autosave', autosave: true });
+      }
+
+      const versions = await store.listVersions('race');
+      expect(versions.map(item => item.version)).toEqual([6, 1]);
+      expect(versions[0]).toMatchObject({ autosave: true, message: 'Autosave' });
+      expect((await store.get('race')).activeState.html).toBe('<div>e</div>');
+      expect(await store.get('race', 5)).toBeNull();
+
+      // A deliberate save starts a new autosave
+      await store.put('race', template('saved again'));
+      await store.put('race', template('f'), { autosave: true });
+      expect((await store.listVersions('race')).map(item => item.version)).toEqual([8, 7, 6, 1]);
+    });
+
+    it('keeps a pinned autosave', async () => {
+      const store = createStore();
+      await store.put('race', template('a'), { autosave: true });
+      await store.pinVersion('race', 1);
+      await store.put('race', template('b'), { autosave: true });
+      expect((await store.listVersions('race')).map(item => item.version)).toEqual([2, 1]);
+    });
+
+    it('rejects pinning a version that does not exist', async () => {
+      const store = createStore();
+      await store.put('race', template('a'));
+      await expect(store.pinVersion('race', 9)).rejects.toBeInstanceOf(TemplateStorageError);
+
+      // A failed write does not block the ones queued after it
+      expect((await store.put('race', template('b'))).version).toBe(2);
+    });
+
+    it('removes a template and its versions', async () => {
+      const store = createStore();
+      await store.put('race', template('a'));
+      await store.put('other', template('b'));
+
+      const [removed, saved] = await Promise.all([store.remove('race'), store.put('other', template('c'))]);
+      expect(removed).toBe(true);
+      expect(saved.version).toBe(2);
+      expect(await store.get('race')).toBeNull();
+      expect(await store.listVersions('race')).toEqual([]);
+      expect(await store.remove('race')).toBe(false);
+      expect((await store.list()).map(meta => meta.id)).toEqual(['other']);
+    });
+
+    it('rejects invalid ids', async () => {
+      await expect(createStore().put('', template('a'))).rejects.toThrow();
+    });
+  });
+};
+
+beforeEach(() => {
+  // Change notices are not under test; an open channel would keep the worker alive
+  vi.stubGlobal('BroadcastChannel', undefined);
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describeKeyValueStore('createLocalStorageStore', (options) => (
+  createLocalStorageStore({ storage: createMemoryStorage(), ...options })
+));
+
+let databaseCount = 0;
+describeKeyValueStore('createIndexedDBStore', (options) => (
+  createIndexedDBStore({ indexedDB: new IDBFactory(), namespace: `test${databaseCount++}`, ...options })
+));
+
+describe('createLocalStorageStore', () => {
+  it('reports storage that is full', async () => {
+    const storage = createMemoryStorage();
+    storage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+    await expect(createLocalStorageStore({ storage }).put('race', template('a')))
+      .rejects.toBeInstanceOf(TemplateStorageError);
+  });
+
+  it('identifies stores over the same records alike', () => {
+    const storage = createMemoryStorage();
+    expect(createLocalStorageStore({ storage }).storeId).toBe(createLocalStorageStore({ storage }).storeId);
+    expect(createLocalStorageStore({ storage, namespace: 'other' }).storeId).toBe('local:other');
+    expect(createRestStore({ baseUrl: '/api/' }).storeId).toBe('rest:/api');
+  });
+});
+
+describe('createIndexedDBStore', () => {
+  it('rolls back a save that fails part way', async () => {
+    const store = createIndexedDBStore({ indexedDB: new IDBFactory(), namespace: 'rollback' });
+    await store.put('race', template('a'));
+
+    // Functions cannot be cloned, so the version write fails inside the transaction
+    await expect(store.put('race', { ...template('b'), render: () => {} })).rejects.toBeTruthy();
+
+    expect((await store.listVersions('race')).map(item => item.version)).toEqual([1]);
+    expect((await store.put('race', template('c'))).version).toBe(2);
+  });
+});
+
+describe('createRestStore', () => {
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  });
+
+  it('maps store calls to requests', async () => {
+    const fetch = vi.fn(async (url, { method }) => {
+      if (method === 'PUT') return respond(200, { id: 'race', name: 'Race', version: 3 });
+      if (method === 'DELETE') return respond(204);
+      if (url.endsWith('/versions')) return respond(200, [{ version: 3 }]);
+      return respond(200, template('a'));
+    });
+    const store = createRestStore({ baseUrl: '/api/', fetch, headers: { Authorization: 'Bearer x' } });
+
+    expect(await store.put('race', template('a'), { name: 'Race', author: 'ana' })).toMatchObject({ version: 3 });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/api/templates/race');
+    expect(init.method).toBe('PUT');
+    expect(init.headers).toMatchObject({ 'Content-Type': 'application/json', Authorization: 'Bearer x' });
+    expect(JSON.parse(init.body)).toMatchObject({ name: 'Race', author: 'ana', template: template('a') });
+
+    await store.put('race', template('b'), { autosave: true });
+    expect(JSON.parse(fetch.mock.lastCall[1].body).autosave).toBe(true);
+
+    await store.get('race', 2);
+    expect(fetch).toHaveBeenLastCalledWith('/api/templates/race/versions/2', expect.objectContaining({ method: 'GET' }));
+
+    await store.pinVersion('race', 2);
+    expect(fetch.mock.lastCall[0]).toBe('/api/templates/race/versions/2');
+    expect(JSON.parse(fetch.mock.lastCall[1].body)).toEqual({ pinned: true });
+
+    expect(await store.listVersions('race')).toEqual([{ version: 3 }]);
+    expect(await store.remove('race')).toBe(true);
+  });
+
+  it('encodes ids and treats a missing template as null', async () => {
+    const fetch = vi.fn(async () => respond(404));
+    const store = createRestStore({ fetch });
+
+    expect(await store.get('finish line')).toBeNull();
+    expect(fetch.mock.calls[0][0]).toBe('/templates/finish%20line');
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('reports failed writes with their status', async () => {
+    const store = createRestStore({ fetch: async () => respond(409) });
+    await expect(store.put('race', template('a'))).rejects.toMatchObject({ status: 409 });
+  });
+});
+
+describe('bindTemplateStore', () => {
+  it('saves and loads one template of a store', async () => {
+    const store = createLocalStorageStore({ storage: createMemoryStorage() });
+    const adapter = bindTemplateStore(store, 'race', { name: 'Race', author: 'ana' });
+
+    await adapter.save(template('a'));
+    expect((await adapter.load()).activeState.html).toBe('<div>a</div>');
+    expect((await store.listVersions('race'))[0].author).toBe('ana');
+  });
+});